@@ -0,0 +1,437 @@
+// access_codes.js - 访问码存储（MongoDB 持久化，数据库不可用时退回内存）
+
+const crypto = require('crypto');
+const { COLLECTIONS } = require('./db');
+const { logger } = require('./logger');
+
+// 访问码状态
+const CODE_STATUSES = ['active', 'exhausted', 'expired', 'revoked'];
+
+// 生成访问码使用的字符（去掉易混淆的 0/O、1/I）
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// 同一客户端在该时间窗口内重复验证不再消耗使用次数，默认24小时
+const REDEMPTION_WINDOW = (parseFloat(process.env.REDEMPTION_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+
+// 访问码格式验证
+function isValidAccessCodeFormat(code) {
+    // 基本格式检查：只允许字母数字，长度1-20
+    return /^[A-Z0-9]{1,20}$/.test(code);
+}
+
+// 从 ACCESS_CODES 环境变量解析访问码（逗号分隔）
+function parseAccessCodesEnv(value) {
+    if (!value) return [];
+    return value.split(',').map(code => code.trim().toUpperCase()).filter(code => code.length > 0);
+}
+
+// 环境变量中的默认使用次数和有效期
+function getDefaultCodeSettings(now = new Date()) {
+    return {
+        maxUses: parseInt(process.env.ACCESS_CODE_MAX_USES) || 9999,
+        expiresAt: new Date(now.getTime() + (parseInt(process.env.ACCESS_CODE_EXPIRY_DAYS) || 365) * 24 * 60 * 60 * 1000)
+    };
+}
+
+function createCodeRecord(code, { maxUses, expiresAt }, now) {
+    return {
+        code: code,
+        maxUses: maxUses,
+        currentUses: 0,
+        createdAt: now,
+        expiresAt: expiresAt,
+        lastUsed: null,
+        revokedAt: null,
+        redemptions: {} // 客户端ID → { redeemedAt, lastCheckedAt, checks }
+    };
+}
+
+// 客户端在窗口期内已核销过该访问码
+function hasRecentRedemption(record, clientId, now) {
+    const redemption = record.redemptions && record.redemptions[clientId];
+    return Boolean(redemption) && now - redemption.redeemedAt < REDEMPTION_WINDOW;
+}
+
+// 核销记录列表（按核销时间倒序）
+function listRedemptions(record) {
+    return Object.entries(record.redemptions || {})
+        .map(([clientId, redemption]) => ({ clientId, ...redemption }))
+        .sort((a, b) => b.redeemedAt - a.redeemedAt);
+}
+
+function getCodeStatus(record, now) {
+    if (record.revokedAt) return 'revoked';
+    if (now >= record.expiresAt) return 'expired';
+    if (record.currentUses >= record.maxUses) return 'exhausted';
+    return 'active';
+}
+
+function isCodeActive(record, now) {
+    return getCodeStatus(record, now) === 'active';
+}
+
+// 附加状态与剩余次数，用于管理接口展示
+function withUsageStats(record, now) {
+    const redemptions = listRedemptions(record);
+    return {
+        ...record,
+        status: getCodeStatus(record, now),
+        remainingUses: Math.max(0, record.maxUses - record.currentUses),
+        redemptions: redemptions,
+        redemptionCount: redemptions.length
+    };
+}
+
+// 生成随机访问码，总长度（含前缀）不超过20
+function generateRandomCode(length, prefix = '') {
+    let code = prefix;
+    while (code.length < prefix.length + length) {
+        code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+// 内存存储：仅在未配置数据库时使用，重启后使用次数会丢失
+class MemoryAccessCodeStore {
+    constructor() {
+        this.type = 'memory';
+        this.codes = new Map();
+    }
+
+    async init() {}
+
+    async count() {
+        return this.codes.size;
+    }
+
+    // 插入新访问码，已存在的跳过；返回实际插入的记录
+    async insertCodes(records) {
+        const inserted = [];
+        for (const record of records) {
+            if (!this.codes.has(record.code)) {
+                this.codes.set(record.code, { ...record });
+                inserted.push(record);
+            }
+        }
+        return inserted;
+    }
+
+    async importCodes(codes, settings, now = new Date()) {
+        const inserted = await this.insertCodes(codes.map(code => createCodeRecord(code, settings, now)));
+        return inserted.length;
+    }
+
+    async findByCode(code) {
+        const record = this.codes.get(code);
+        return record ? { ...record } : null;
+    }
+
+    async listCodes({ status, prefix, limit, skip }, now = new Date()) {
+        const matched = Array.from(this.codes.values())
+            .filter(record => !status || getCodeStatus(record, now) === status)
+            .filter(record => !prefix || record.code.startsWith(prefix))
+            .sort((a, b) => b.createdAt - a.createdAt);
+
+        return {
+            total: matched.length,
+            codes: matched.slice(skip, skip + limit).map(record => ({ ...record }))
+        };
+    }
+
+    async revoke(code, now = new Date()) {
+        const record = this.codes.get(code);
+        if (!record) return null;
+
+        if (!record.revokedAt) record.revokedAt = now;
+        return { ...record };
+    }
+
+    async setExpiry(code, expiresAt) {
+        const record = this.codes.get(code);
+        if (!record) return null;
+
+        record.expiresAt = expiresAt;
+        return { ...record };
+    }
+
+    // 核销访问码：同一客户端在窗口期内重复验证只更新检查时间（reused: true），
+    // 否则有效时使用次数加1；无法核销时返回 null
+    async redeem(code, clientId, now = new Date()) {
+        const record = this.codes.get(code);
+        if (!record) return null;
+
+        const status = getCodeStatus(record, now);
+        if (status === 'revoked' || status === 'expired') return null;
+
+        if (!record.redemptions) record.redemptions = {};
+
+        if (hasRecentRedemption(record, clientId, now)) {
+            const redemption = record.redemptions[clientId];
+            redemption.lastCheckedAt = now;
+            redemption.checks += 1;
+            return { record: { ...record }, reused: true };
+        }
+
+        if (status !== 'active') return null;
+
+        record.currentUses += 1;
+        record.lastUsed = now;
+        record.redemptions[clientId] = { redeemedAt: now, lastCheckedAt: now, checks: 1 };
+        return { record: { ...record }, reused: false };
+    }
+
+    // 清除核销记录：指定 clientId 时只清除该客户端
+    async resetRedemptions(code, clientId) {
+        const record = this.codes.get(code);
+        if (!record) return null;
+
+        if (clientId) {
+            if (record.redemptions) delete record.redemptions[clientId];
+        } else {
+            record.redemptions = {};
+        }
+        return { ...record };
+    }
+
+    async getStats(now = new Date()) {
+        const records = Array.from(this.codes.values());
+        return {
+            total: records.length,
+            active: records.filter(record => isCodeActive(record, now)).length
+        };
+    }
+
+    // 导出全部记录（保存进程状态快照时使用）
+    exportRecords() {
+        return Array.from(this.codes.values()).map(record => ({ ...record }));
+    }
+
+    // 从快照恢复记录，覆盖同名访问码（保留重启前的使用次数与核销记录）
+    restoreRecords(records) {
+        for (const record of records) {
+            this.codes.set(record.code, { ...record });
+        }
+    }
+}
+
+// 按状态构建 MongoDB 查询条件（与 getCodeStatus 的判断一致）
+// revokedAt: null 同时匹配旧数据中不存在该字段的文档
+function buildStatusFilter(status, now) {
+    switch (status) {
+        case 'revoked':
+            return { revokedAt: { $ne: null } };
+        case 'expired':
+            return { revokedAt: null, expiresAt: { $lte: now } };
+        case 'exhausted':
+            return { revokedAt: null, expiresAt: { $gt: now }, $expr: { $gte: ['$currentUses', '$maxUses'] } };
+        case 'active':
+            return { revokedAt: null, expiresAt: { $gt: now }, $expr: { $lt: ['$currentUses', '$maxUses'] } };
+        default:
+            return {};
+    }
+}
+
+// MongoDB 存储：使用次数在数据库中原子递增，多实例与重启后保持一致
+class MongoAccessCodeStore {
+    constructor(db) {
+        this.type = 'mongodb';
+        this.collection = db.collection(COLLECTIONS.ACCESS_CODES);
+    }
+
+    async init() {
+        await this.collection.createIndex({ code: 1 }, { unique: true });
+    }
+
+    async count() {
+        return this.collection.countDocuments();
+    }
+
+    // 只插入不存在的访问码，已有访问码的使用记录保持不变；返回实际插入的记录
+    async insertCodes(records) {
+        if (records.length === 0) return [];
+
+        const result = await this.collection.bulkWrite(records.map(record => ({
+            updateOne: {
+                filter: { code: record.code },
+                update: { $setOnInsert: record },
+                upsert: true
+            }
+        })), { ordered: false });
+
+        return Object.keys(result.upsertedIds).map(index => records[index]);
+    }
+
+    async importCodes(codes, settings, now = new Date()) {
+        const inserted = await this.insertCodes(codes.map(code => createCodeRecord(code, settings, now)));
+        return inserted.length;
+    }
+
+    async findByCode(code) {
+        return this.collection.findOne({ code: code }, { projection: { _id: 0 } });
+    }
+
+    async listCodes({ status, prefix, limit, skip }, now = new Date()) {
+        const filter = buildStatusFilter(status, now);
+        if (prefix) {
+            filter.code = { $regex: `^${prefix}` };
+        }
+
+        const [total, codes] = await Promise.all([
+            this.collection.countDocuments(filter),
+            this.collection.find(filter, { projection: { _id: 0 } })
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .toArray()
+        ]);
+
+        return { total, codes };
+    }
+
+    async revoke(code, now = new Date()) {
+        await this.collection.updateOne({ code: code, revokedAt: null }, { $set: { revokedAt: now } });
+        return this.findByCode(code);
+    }
+
+    async setExpiry(code, expiresAt) {
+        return this.collection.findOneAndUpdate(
+            { code: code },
+            { $set: { expiresAt: expiresAt } },
+            { returnDocument: 'after', projection: { _id: 0 } }
+        );
+    }
+
+    // 窗口期内的重复验证：只更新检查时间，不消耗使用次数
+    async recheck(code, clientId, now) {
+        const key = `redemptions.${clientId}`;
+        return this.collection.findOneAndUpdate(
+            {
+                code: code,
+                revokedAt: null,
+                expiresAt: { $gt: now },
+                [`${key}.redeemedAt`]: { $gt: new Date(now.getTime() - REDEMPTION_WINDOW) }
+            },
+            {
+                $set: { [`${key}.lastCheckedAt`]: now },
+                $inc: { [`${key}.checks`]: 1 }
+            },
+            { returnDocument: 'after', projection: { _id: 0 } }
+        );
+    }
+
+    // 条件更新保证并发核销不会超过 maxUses，且同一客户端在窗口期内只消耗一次
+    async redeem(code, clientId, now = new Date()) {
+        const rechecked = await this.recheck(code, clientId, now);
+        if (rechecked) return { record: rechecked, reused: true };
+
+        const key = `redemptions.${clientId}`;
+        const record = await this.collection.findOneAndUpdate(
+            {
+                code: code,
+                ...buildStatusFilter('active', now),
+                [`${key}.redeemedAt`]: { $not: { $gt: new Date(now.getTime() - REDEMPTION_WINDOW) } }
+            },
+            {
+                $inc: { currentUses: 1 },
+                $set: {
+                    lastUsed: now,
+                    [key]: { redeemedAt: now, lastCheckedAt: now, checks: 1 }
+                }
+            },
+            { returnDocument: 'after', projection: { _id: 0 } }
+        );
+        if (record) return { record, reused: false };
+
+        // 并发请求中另一个已为同一客户端完成核销
+        const concurrent = await this.recheck(code, clientId, now);
+        return concurrent ? { record: concurrent, reused: true } : null;
+    }
+
+    async resetRedemptions(code, clientId) {
+        const update = clientId
+            ? { $unset: { [`redemptions.${clientId}`]: '' } }
+            : { $set: { redemptions: {} } };
+
+        return this.collection.findOneAndUpdate(
+            { code: code },
+            update,
+            { returnDocument: 'after', projection: { _id: 0 } }
+        );
+    }
+
+    async getStats(now = new Date()) {
+        const [total, active] = await Promise.all([
+            this.collection.countDocuments(),
+            this.collection.countDocuments(buildStatusFilter('active', now))
+        ]);
+        return { total, active };
+    }
+}
+
+// 批量生成随机访问码；遇到重复的访问码会重新生成
+async function generateAccessCodes(store, { count, length, prefix, maxUses, expiresAt }, now = new Date()) {
+    const MAX_ROUNDS = 10;
+    const generated = [];
+
+    for (let round = 0; round < MAX_ROUNDS && generated.length < count; round++) {
+        const candidates = new Set();
+        while (candidates.size < count - generated.length) {
+            candidates.add(generateRandomCode(length, prefix));
+        }
+
+        const records = Array.from(candidates)
+            .filter(isValidAccessCodeFormat)
+            .map(code => createCodeRecord(code, { maxUses, expiresAt }, now));
+
+        generated.push(...await store.insertCodes(records));
+    }
+
+    return generated;
+}
+
+// 创建访问码存储；数据库集合为空时从 ACCESS_CODES 环境变量做一次性导入
+async function initializeAccessCodeStore(db, { accessCodes = process.env.ACCESS_CODES, now = new Date() } = {}) {
+    const store = db ? new MongoAccessCodeStore(db) : new MemoryAccessCodeStore();
+    await store.init();
+
+    const envCodes = parseAccessCodesEnv(accessCodes);
+
+    if (store.type === 'memory') {
+        if (envCodes.length === 0) {
+            logger.warn('未设置 ACCESS_CODES 环境变量，默认无访问码');
+        } else {
+            await store.importCodes(envCodes, getDefaultCodeSettings(now), now);
+            logger.warn('数据库不可用，从环境变量加载访问码到内存（使用记录在关闭时保存到状态快照）', { count: envCodes.length });
+        }
+        return store;
+    }
+
+    const existing = await store.count();
+    if (existing === 0 && envCodes.length > 0) {
+        const imported = await store.importCodes(envCodes, getDefaultCodeSettings(now), now);
+        logger.info('已从 ACCESS_CODES 环境变量导入访问码到数据库', { count: imported });
+    } else {
+        logger.info('数据库中已有访问码', { count: existing });
+        if (envCodes.length > 0) {
+            logger.info('数据库已有访问码，忽略 ACCESS_CODES 环境变量（可在导入完成后移除）');
+        }
+    }
+
+    return store;
+}
+
+module.exports = {
+    CODE_STATUSES,
+    REDEMPTION_WINDOW,
+    isValidAccessCodeFormat,
+    parseAccessCodesEnv,
+    getDefaultCodeSettings,
+    getCodeStatus,
+    isCodeActive,
+    withUsageStats,
+    listRedemptions,
+    generateAccessCodes,
+    MemoryAccessCodeStore,
+    MongoAccessCodeStore,
+    initializeAccessCodeStore
+};
@@ -0,0 +1,175 @@
+// admin_auth.js - 管理员认证（请求头密钥、常量时间比较、权限范围与错误锁定）
+
+const crypto = require('crypto');
+const { AUDIT_EVENTS } = require('./audit_log');
+const { reply, formatDuration } = require('./i18n');
+const { SYSTEM_CLOCK } = require('./clock');
+const { logger } = require('./logger');
+
+// 权限范围
+const ADMIN_SCOPES = {
+    SECURITY_READ: 'security:read',     // 查看安全状态
+    SECURITY_MANAGE: 'security:manage', // 解除封禁等安全操作
+    CODES_READ: 'codes:read',           // 查看、导出访问码
+    CODES_MANAGE: 'codes:manage',       // 生成、停用、延期访问码
+    STATS_READ: 'stats:read',           // 按时间范围和分组查询总体统计
+    PRIVACY_READ: 'privacy:read'        // 查看保存了哪些数据及保留策略
+};
+const ALL_SCOPES = Object.values(ADMIN_SCOPES);
+
+// 错误密钥锁定：同一IP在锁定窗口内失败达到阈值后，窗口结束前拒绝所有管理请求
+const ADMIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.ADMIN_MAX_FAILED_ATTEMPTS) || 5;
+const ADMIN_LOCKOUT_WINDOW = (parseInt(process.env.ADMIN_LOCKOUT_MINUTES) || 30) * 60 * 1000;
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+// 读取管理员密钥配置（env 默认为 process.env）
+// ADMIN_KEYS: JSON 数组，例如 [{"name":"ops","key":"...","scopes":["security:read"]}]，scopes 省略或为 ["*"] 表示全部权限
+// ADMIN_KEY: 兼容旧配置，作为名为 default 的全权限密钥
+function loadAdminKeys(env = process.env) {
+    const keys = [];
+
+    if (env.ADMIN_KEYS) {
+        try {
+            const configured = JSON.parse(env.ADMIN_KEYS);
+            for (const item of Array.isArray(configured) ? configured : []) {
+                if (!item || typeof item.name !== 'string' || typeof item.key !== 'string' || item.key.length < 16) {
+                    logger.warn('忽略无效的管理员密钥配置（密钥至少16位）', { name: item && item.name });
+                    continue;
+                }
+
+                const scopes = !item.scopes || item.scopes.includes('*')
+                    ? ALL_SCOPES
+                    : item.scopes.filter(scope => ALL_SCOPES.includes(scope));
+                keys.push({ name: item.name, hash: hashKey(item.key), scopes });
+            }
+        } catch (error) {
+            logger.error('ADMIN_KEYS 不是有效的 JSON', { error: error });
+        }
+    }
+
+    if (env.ADMIN_KEY) {
+        keys.push({ name: 'default', hash: hashKey(env.ADMIN_KEY), scopes: ALL_SCOPES });
+    }
+
+    if (keys.length === 0) {
+        logger.warn('未配置 ADMIN_KEYS 或 ADMIN_KEY，管理接口不可用');
+    }
+
+    return keys;
+}
+
+// 常量时间查找：先哈希成等长摘要再逐个比较，且不提前退出
+function findAdminKey(adminKeys, providedKey) {
+    const providedHash = hashKey(providedKey);
+    let match = null;
+
+    for (const entry of adminKeys) {
+        if (crypto.timingSafeEqual(providedHash, entry.hash) && !match) {
+            match = entry;
+        }
+    }
+
+    return match;
+}
+
+// 创建管理员认证中间件工厂
+// adminKeys 为 loadAdminKeys() 的结果；getStore 返回计数存储（与限流共用，支持多实例）；getAuditLog 返回审计日志
+// 计数键和审计日志使用 req.ipHash（IP 哈希，由应用的中间件设置），不保存原始地址
+function createAdminAuth({ adminKeys = loadAdminKeys(), getStore, getAuditLog, clock = SYSTEM_CLOCK }) {
+    function lockoutKey(ip, now) {
+        const windowStart = Math.floor(now / ADMIN_LOCKOUT_WINDOW) * ADMIN_LOCKOUT_WINDOW;
+        return { key: `admin-auth-failures:${ip}:${windowStart}`, expiresAt: windowStart + ADMIN_LOCKOUT_WINDOW };
+    }
+
+    // requireAdmin(scope)：要求 X-Admin-Key 请求头，且密钥具有指定权限
+    return function requireAdmin(scope) {
+        return async (req, res, next) => {
+            const now = clock.now().getTime();
+            const store = getStore();
+            const { key, expiresAt } = lockoutKey(req.ipHash, now);
+
+            try {
+                if (await store.get(key, now) >= ADMIN_MAX_FAILED_ATTEMPTS) {
+                    req.log.warn('因多次使用错误的管理员密钥被锁定', { ip: req.ip });
+                    getAuditLog().record(AUDIT_EVENTS.ADMIN_AUTH_FAILURE, {
+                        ip: req.ipHash,
+                        reason: 'locked_out',
+                        details: { method: req.method, path: req.path }
+                    });
+                    res.set('Retry-After', String(Math.ceil((expiresAt - now) / 1000)));
+                    return res.status(429).json({
+                        success: false,
+                        ...reply(req, 'ADMIN_LOCKED_OUT', { duration: formatDuration(req.lang, (expiresAt - now) / 1000) })
+                    });
+                }
+
+                const providedKey = req.get('X-Admin-Key');
+                if (!providedKey) {
+                    return res.status(401).json({
+                        success: false,
+                        ...reply(req, 'ADMIN_KEY_MISSING')
+                    });
+                }
+
+                const admin = findAdminKey(adminKeys, providedKey);
+                if (!admin) {
+                    await store.increment(key, expiresAt, now);
+                    req.log.warn('使用了错误的管理员密钥', { ip: req.ip });
+                    getAuditLog().record(AUDIT_EVENTS.ADMIN_AUTH_FAILURE, {
+                        ip: req.ipHash,
+                        reason: 'invalid_key',
+                        details: { method: req.method, path: req.path }
+                    });
+                    return res.status(401).json({
+                        success: false,
+                        ...reply(req, 'ADMIN_KEY_INVALID')
+                    });
+                }
+
+                if (!admin.scopes.includes(scope)) {
+                    req.log.warn('管理员密钥缺少权限', { admin: admin.name, scope: scope, method: req.method, path: req.path });
+                    getAuditLog().record(AUDIT_EVENTS.ADMIN_AUTH_FAILURE, {
+                        ip: req.ipHash,
+                        reason: 'missing_scope',
+                        actor: admin.name,
+                        details: { method: req.method, path: req.path, scope: scope }
+                    });
+                    return res.status(403).json({
+                        success: false,
+                        ...reply(req, 'ADMIN_SCOPE_MISSING', { scope })
+                    });
+                }
+
+                req.admin = { name: admin.name, scopes: admin.scopes };
+
+                // 记录每一次管理操作及执行者
+                res.on('finish', () => {
+                    req.log.info('管理员操作', { admin: admin.name, method: req.method, path: req.path, status: res.statusCode, ip: req.ip });
+                    getAuditLog().record(AUDIT_EVENTS.ADMIN_ACTION, {
+                        ip: req.ipHash,
+                        code: req.params && req.params.code ? req.params.code.toUpperCase() : null,
+                        actor: admin.name,
+                        details: { method: req.method, path: req.path, status: res.statusCode, scope: scope }
+                    });
+                });
+
+                next();
+            } catch (error) {
+                req.log.error('管理员认证时发生错误', { error: error });
+                res.status(500).json({
+                    success: false,
+                    ...reply(req, 'INTERNAL_ERROR')
+                });
+            }
+        };
+    };
+}
+
+module.exports = {
+    ADMIN_SCOPES,
+    loadAdminKeys,
+    createAdminAuth
+};
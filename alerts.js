@@ -0,0 +1,252 @@
+// alerts.js - 攻击检测（滚动窗口）与警报分发（控制台、Webhook、邮件）
+
+const nodemailer = require('nodemailer');
+const { subnetKey } = require('./ip_utils');
+const { logger } = require('./logger');
+
+const MINUTE = 60 * 1000;
+
+// 检测阈值（均可通过环境变量配置）
+const ALERT_THRESHOLDS = {
+    // 全局失败率：窗口内失败次数达到阈值
+    failureThreshold: parseInt(process.env.ALERT_FAILURE_THRESHOLD) || 50,
+    failureWindowMs: (parseInt(process.env.ALERT_FAILURE_WINDOW_MINUTES) || 60) * MINUTE,
+    // 同一IP在窗口内被封禁的次数
+    repeatBlockThreshold: parseInt(process.env.ALERT_REPEAT_BLOCK_THRESHOLD) || 3,
+    repeatBlockWindowMs: (parseInt(process.env.ALERT_REPEAT_BLOCK_WINDOW_MINUTES) || 24 * 60) * MINUTE,
+    // 同一网段（IPv4 /24，IPv6 /64）在窗口内尝试的不同访问码数量
+    subnetCodeThreshold: parseInt(process.env.ALERT_SUBNET_CODE_THRESHOLD) || 20,
+    subnetCodeWindowMs: (parseInt(process.env.ALERT_SUBNET_CODE_WINDOW_MINUTES) || 60) * MINUTE,
+    // 同一警报（类型 + 对象）的最小间隔
+    cooldownMs: (parseInt(process.env.ALERT_COOLDOWN_MINUTES) || 60) * MINUTE
+};
+
+// 滚动窗口攻击检测：不按整点清零，跨越整点的连续攻击同样能被发现
+// anonymize: 网段和地址写入警报前的转换（如 IP 哈希），警报会写入审计日志并发送到外部
+class AttackDetector {
+    constructor({ thresholds = ALERT_THRESHOLDS, onAlert, anonymize = value => value } = {}) {
+        this.thresholds = thresholds;
+        this.onAlert = onAlert;
+        this.anonymize = anonymize;
+        this.failures = [];               // 失败时间戳
+        this.blocks = new Map();          // IP → 封禁时间戳数组
+        this.subnetCodes = new Map();     // 网段 → Map(访问码 → 最近尝试时间)
+        this.lastAlerts = new Map();      // 警报键 → 上次触发时间
+    }
+
+    // 记录一次访问码验证失败（ip 为原始地址，用于计算网段）
+    recordFailure(ip, code, now = Date.now()) {
+        const { failureThreshold, failureWindowMs, subnetCodeThreshold, subnetCodeWindowMs } = this.thresholds;
+
+        this.failures.push(now);
+        while (this.failures.length > 0 && this.failures[0] <= now - failureWindowMs) {
+            this.failures.shift();
+        }
+
+        if (this.failures.length >= failureThreshold) {
+            this.raise('global_failure_rate', 'global', 'critical', now,
+                `过去 ${Math.round(failureWindowMs / MINUTE)} 分钟内有 ${this.failures.length} 次访问码验证失败`,
+                { failures: this.failures.length, threshold: failureThreshold, windowMinutes: failureWindowMs / MINUTE });
+        }
+
+        if (!code) return;
+
+        const subnet = this.anonymize(subnetKey(ip));
+        const codes = this.subnetCodes.get(subnet) || new Map();
+        codes.set(code, now);
+        for (const [triedCode, triedAt] of codes.entries()) {
+            if (triedAt <= now - subnetCodeWindowMs) codes.delete(triedCode);
+        }
+        this.subnetCodes.set(subnet, codes);
+
+        if (codes.size >= subnetCodeThreshold) {
+            this.raise('subnet_code_scan', subnet, 'warning', now,
+                `网段 ${subnet} 在过去 ${Math.round(subnetCodeWindowMs / MINUTE)} 分钟内尝试了 ${codes.size} 个不同的访问码`,
+                { subnet, distinctCodes: codes.size, threshold: subnetCodeThreshold, lastIP: this.anonymize(ip) });
+        }
+    }
+
+    // 记录一次IP封禁（ip 为安全记录的键）
+    recordBlock(ip, now = Date.now()) {
+        const { repeatBlockThreshold, repeatBlockWindowMs } = this.thresholds;
+
+        const blocks = (this.blocks.get(ip) || []).filter(blockedAt => blockedAt > now - repeatBlockWindowMs);
+        blocks.push(now);
+        this.blocks.set(ip, blocks);
+
+        if (blocks.length >= repeatBlockThreshold) {
+            this.raise('repeated_blocks', ip, 'warning', now,
+                `IP ${ip} 在过去 ${Math.round(repeatBlockWindowMs / MINUTE)} 分钟内被封禁 ${blocks.length} 次`,
+                { ip, blocks: blocks.length, threshold: repeatBlockThreshold });
+        }
+    }
+
+    // 清理过期的窗口数据（由定时任务调用）
+    prune(now = Date.now()) {
+        const { repeatBlockWindowMs, subnetCodeWindowMs, cooldownMs } = this.thresholds;
+
+        for (const [ip, blocks] of this.blocks.entries()) {
+            const recent = blocks.filter(blockedAt => blockedAt > now - repeatBlockWindowMs);
+            if (recent.length === 0) this.blocks.delete(ip);
+            else this.blocks.set(ip, recent);
+        }
+        for (const [subnet, codes] of this.subnetCodes.entries()) {
+            for (const [code, triedAt] of codes.entries()) {
+                if (triedAt <= now - subnetCodeWindowMs) codes.delete(code);
+            }
+            if (codes.size === 0) this.subnetCodes.delete(subnet);
+        }
+        for (const [key, alertedAt] of this.lastAlerts.entries()) {
+            if (alertedAt <= now - cooldownMs) this.lastAlerts.delete(key);
+        }
+    }
+
+    raise(type, subject, severity, now, message, details) {
+        const key = `${type}:${subject}`;
+        const lastAlert = this.lastAlerts.get(key);
+        if (lastAlert && now - lastAlert < this.thresholds.cooldownMs) return;
+
+        this.lastAlerts.set(key, now);
+        if (this.onAlert) {
+            this.onAlert({ type, severity, message, details, timestamp: new Date(now).toISOString() });
+        }
+    }
+}
+
+// 输出到服务日志
+class ConsoleAlertSink {
+    constructor() {
+        this.name = 'console';
+    }
+
+    async send(alert) {
+        logger.warn('安全警报', { alertType: alert.type, alert: alert.message });
+    }
+}
+
+// 通用 HTTP Webhook：POST JSON，失败时按指数退避重试
+class WebhookAlertSink {
+    constructor({ url, retries = 3, timeoutMs = 5000, headers = {} }) {
+        this.name = 'webhook';
+        this.url = url;
+        this.retries = retries;
+        this.timeoutMs = timeoutMs;
+        this.headers = headers;
+    }
+
+    async send(alert) {
+        const body = JSON.stringify({ service: 'darkfactor-backend', ...alert });
+        let lastError;
+
+        for (let attempt = 0; attempt <= this.retries; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+            }
+
+            try {
+                const response = await fetch(this.url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', ...this.headers },
+                    body: body,
+                    signal: AbortSignal.timeout(this.timeoutMs)
+                });
+                if (response.ok) return;
+                lastError = new Error(`HTTP ${response.status}`);
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        throw new Error(`Webhook 发送失败（已重试 ${this.retries} 次）: ${lastError.message}`);
+    }
+}
+
+// SMTP 邮件
+class EmailAlertSink {
+    constructor({ transport, from, to }) {
+        this.name = 'email';
+        this.transporter = nodemailer.createTransport(transport);
+        this.from = from;
+        this.to = to;
+    }
+
+    async send(alert) {
+        await this.transporter.sendMail({
+            from: this.from,
+            to: this.to,
+            subject: `[darkfactor-backend] 安全警报: ${alert.type}`,
+            text: `${alert.message}\n\n级别: ${alert.severity}\n时间: ${alert.timestamp}\n详情: ${JSON.stringify(alert.details, null, 2)}`
+        });
+    }
+}
+
+// 警报分发：发送到所有接收端，单个接收端失败不影响其他接收端
+class AlertDispatcher {
+    constructor(sinks = []) {
+        this.sinks = sinks;
+    }
+
+    async dispatch(alert) {
+        const results = await Promise.allSettled(this.sinks.map(sink => sink.send(alert)));
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                logger.error('警报发送失败', { sink: this.sinks[index].name, error: result.reason });
+            }
+        });
+    }
+}
+
+// 根据 ALERT_SINKS（逗号分隔：console,webhook,email，默认 console）创建接收端
+function createAlertSinks() {
+    const names = (process.env.ALERT_SINKS || 'console').split(',').map(name => name.trim()).filter(Boolean);
+    const sinks = [];
+
+    for (const name of names) {
+        if (name === 'console') {
+            sinks.push(new ConsoleAlertSink());
+        } else if (name === 'webhook') {
+            if (!process.env.ALERT_WEBHOOK_URL) {
+                logger.error('ALERT_SINKS 包含 webhook，但未设置 ALERT_WEBHOOK_URL');
+                continue;
+            }
+            sinks.push(new WebhookAlertSink({
+                url: process.env.ALERT_WEBHOOK_URL,
+                retries: parseInt(process.env.ALERT_WEBHOOK_RETRIES) || 3,
+                headers: process.env.ALERT_WEBHOOK_TOKEN
+                    ? { Authorization: `Bearer ${process.env.ALERT_WEBHOOK_TOKEN}` }
+                    : {}
+            }));
+        } else if (name === 'email') {
+            if (!process.env.SMTP_HOST || !process.env.ALERT_EMAIL_TO) {
+                logger.error('ALERT_SINKS 包含 email，但未设置 SMTP_HOST 或 ALERT_EMAIL_TO');
+                continue;
+            }
+            sinks.push(new EmailAlertSink({
+                transport: {
+                    host: process.env.SMTP_HOST,
+                    port: parseInt(process.env.SMTP_PORT) || 587,
+                    secure: process.env.SMTP_SECURE === 'true',
+                    auth: process.env.SMTP_USER
+                        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                        : undefined
+                },
+                from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+                to: process.env.ALERT_EMAIL_TO
+            }));
+        } else {
+            logger.error('未知的警报接收端', { sink: name });
+        }
+    }
+
+    return sinks;
+}
+
+module.exports = {
+    ALERT_THRESHOLDS,
+    AttackDetector,
+    ConsoleAlertSink,
+    WebhookAlertSink,
+    EmailAlertSink,
+    AlertDispatcher,
+    createAlertSinks
+};
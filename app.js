@@ -0,0 +1,2150 @@
+// app.js - 应用工厂：创建 Express 应用及其状态（时钟、配置和存储均可注入，定时任务显式启停）
+
+const crypto = require('crypto');
+const express = require('express');
+
+const { DIMENSIONS } = require('./dimensions');
+const { connectDB: connectDefaultDB } = require('./db');
+const { PARAMETRIC_NORM, NORM_REFRESH_INTERVAL, NormStore } = require('./norms');
+const {
+    initResultIndexes,
+    createResult,
+    findResult,
+    setResultSharing,
+    findComparableResult,
+    deleteResult,
+    purgeExpiredResults,
+    getResultInventory
+} = require('./results');
+const { compareResults } = require('./compare');
+const { buildReport, renderReportChart, renderReportHTML } = require('./report');
+const { parseDemographics } = require('./demographics');
+const { i18nMiddleware, reply, formatDuration } = require('./i18n');
+const { STATS_REFRESH_INTERVAL, loadStats, StatsCache } = require('./stats');
+const { SCORING_KEY, scoreAnswers } = require('./scoring');
+const { COMPONENTS, ROUTES } = require('./schemas');
+const { sendError, createValidator, createResponseChecker } = require('./validation');
+const { buildOpenAPIDocument } = require('./openapi');
+const {
+    CODE_STATUSES,
+    isValidAccessCodeFormat,
+    withUsageStats,
+    listRedemptions,
+    generateAccessCodes,
+    getDefaultCodeSettings,
+    initializeAccessCodeStore
+} = require('./access_codes');
+const { toCSV } = require('./csv');
+const { RateLimiter, MongoRateLimitStore } = require('./rate_limit');
+const { ADMIN_SCOPES, createAdminAuth } = require('./admin_auth');
+const { AUDIT_EVENTS, AUDIT_EVENT_TYPES, AuditLog, MongoAuditStore } = require('./audit_log');
+const { AttackDetector, AlertDispatcher, createAlertSinks } = require('./alerts');
+const { securityKey, parseCIDR } = require('./ip_utils');
+const { IPRuleSet, MongoIPRuleStore } = require('./ip_rules');
+const { IPHasher, MongoSaltStore } = require('./ip_hashing');
+const { SecurityRecord } = require('./security_records');
+const { FileStateStore, MongoStateStore } = require('./state_snapshot');
+const { METRICS_CONTENT_TYPE, MetricsRegistry } = require('./metrics');
+const { SYSTEM_CLOCK } = require('./clock');
+const { logger: defaultLogger } = require('./logger');
+const { loadConfig } = require('./config');
+const {
+    generateSessionId,
+    getBearerToken,
+    issueSessionToken,
+    verifySessionToken,
+    issueDeviceId,
+    verifyDeviceId,
+    createSessionTokenAuth
+} = require('./session_tokens');
+
+// 定时任务间隔
+const RETENTION_INTERVAL = 30 * 60 * 1000;        // 30分钟运行一次数据保留任务
+const ALERT_PRUNE_INTERVAL = 10 * 60 * 1000;      // 10分钟清理一次攻击检测的窗口数据
+const IP_RULE_RELOAD_INTERVAL = 60 * 1000;        // 每分钟同步其他实例对IP规则的修改
+const DB_RECONNECT_INTERVAL = 30 * 1000;          // 数据库不可用时每30秒重试连接
+const IP_SALT_SYNC_INTERVAL = 10 * 60 * 1000;     // 10分钟同步一次 IP 哈希的盐（删除过期的盐，预先生成下一周期的盐）
+
+// 请求校验中间件：validate('POST /api/rankings') 按 schemas.js 中的定义校验请求体、查询参数和路径参数
+const validate = createValidator(ROUTES, COMPONENTS);
+
+// OpenAPI 文档只依赖 schema 定义，启动时生成一次
+const OPENAPI_DOCUMENT = buildOpenAPIDocument();
+
+// 已定义接口的路径模板，用于在路由之前被拒绝的请求（限流、封禁）也能归到对应接口的指标
+const ROUTE_PATTERNS = Object.keys(ROUTES).map(key => {
+    const [method, path] = key.split(' ');
+    return { method, path, regex: new RegExp(`^${path.replace(/:\w+/g, '[^/]+')}$`) };
+});
+
+// 指标中的 route 标签：路由模板（如 /api/results/:id），未定义的路径统一为 unmatched，避免标签数量无限增长
+function routeLabel(req) {
+    if (req.route) return req.route.path;
+    const match = ROUTE_PATTERNS.find(route => route.method === req.method && route.regex.test(req.path));
+    return match ? match.path : 'unmatched';
+}
+
+// 请求ID：沿用客户端或上游代理传入的 X-Request-Id（格式不符时忽略），否则生成新的 UUID
+function resolveRequestId(req) {
+    const incoming = req.get('X-Request-Id');
+    return incoming && /^[A-Za-z0-9._:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+// 单个 IP 地址（不带前缀长度的 CIDR）
+function isIPAddress(text) {
+    return !text.includes('/') && parseCIDR(text) !== null;
+}
+
+// 只保留10个维度的分数
+function pickScores(source) {
+    const scores = {};
+    for (const dim of DIMENSIONS) {
+        scores[dim] = source[dim];
+    }
+    return scores;
+}
+
+// 对外展示的客户端标识只保留末尾4位
+function maskClientId(clientId) {
+    const [type, ...rest] = clientId.split('_');
+    const id = rest.join('_');
+    return `${type}:…${id.slice(-4)}`;
+}
+
+// 访问码验证失败原因对应的消息代码
+const ACCESS_CODE_FAILURE_CODES = {
+    invalid: 'ACCESS_CODE_INVALID',
+    revoked: 'ACCESS_CODE_REVOKED',
+    exhausted: 'ACCESS_CODE_EXHAUSTED',
+    expired: 'ACCESS_CODE_EXPIRED'
+};
+
+// 访问码列表的查询条件（状态、前缀、分页）；取值已由 schema 校验
+function parseCodeListQuery(query) {
+    return {
+        status: query.status || null,
+        prefix: query.prefix ? query.prefix.toUpperCase() : null,
+        limit: query.limit ? parseInt(query.limit) : 100,
+        skip: query.skip ? parseInt(query.skip) : 0
+    };
+}
+
+// 解析有效期：expiresAt（ISO 时间）或 expiryDays（从 base 起算的天数）
+function parseExpiry({ expiresAt, expiryDays }, base) {
+    if (expiresAt !== undefined) {
+        const date = new Date(expiresAt);
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+    if (expiryDays !== undefined) {
+        const days = Number(expiryDays);
+        if (!Number.isFinite(days) || days <= 0) return null;
+        return new Date(base.getTime() + days * 24 * 60 * 60 * 1000);
+    }
+    return undefined;
+}
+
+// 结果的查看令牌：X-Read-Token 请求头，或 token 查询参数（<img> 等无法设置请求头的场合；请求日志只记录路径，不含查询参数）
+function getReadToken(req) {
+    return req.get('X-Read-Token') || (typeof req.query.token === 'string' ? req.query.token : null);
+}
+
+// 参数化常模的提示：{ warningCode, warning }
+function parametricWarning(req) {
+    const { messageCode, message } = reply(req, 'NORMS_PARAMETRIC', PARAMETRIC_NORM);
+    return { warningCode: messageCode, warning: message };
+}
+
+// HTML 报告和雷达图只包含内联样式和内联 SVG，禁止加载其他资源和执行脚本
+const REPORT_CSP = "default-src 'none'; style-src 'unsafe-inline'";
+
+// 创建应用
+// config: loadConfig() 的结果；clock: { now() }；connectDB: 返回数据库（不可用时为 null）的异步函数
+// stores: 可选的 { accessCodes, rateLimit, audit, ipRules, state, ipHashSalts, norms, stats }，传入时不再按数据库创建（测试时使用内存存储）
+// 常模（NormStore）和统计缓存（StatsCache）属于应用实例，未传入时各自创建
+// alertSinks: 警报接收端，默认按 ALERT_SINKS 创建；logger: 结构化日志，默认使用共享的 logger
+// 返回 { app, init, connectDatabase, startTimers, stopTimers, runRetention, listen, close }：
+// init() 连接数据库、初始化存储和常模并恢复状态快照，connectDatabase() 在数据库不可用时重试连接（定时任务也会重试），
+// startTimers()/stopTimers() 启停定时任务，listen() 开始接收请求，
+// close() 停止接收请求、等待处理中的请求完成后保存状态快照
+function createApp({
+    config = loadConfig(),
+    clock = SYSTEM_CLOCK,
+    connectDB = connectDefaultDB,
+    stores = {},
+    alertSinks = createAlertSinks(),
+    logger = defaultLogger
+} = {}) {
+    const app = express();
+
+    // === 关键修复：信任代理 ===
+    // 因为部署在 Koyeb/Netlify 等平台，必须设置此项才能获取用户真实 IP
+    // 否则所有请求的 IP 都会变成 Koyeb 内部负载均衡器的 IP
+    app.set('trust proxy', 1);
+
+    // 安全存储
+    let db = null; // 数据库，init() 时连接（不可用时为 null，定时重试）
+    let connectingDB = null; // 正在进行的 connectDatabase()，避免并发重复连接
+    let accessCodeStore = stores.accessCodes || null; // 访问码存储，init() 时初始化（MongoDB 或内存）
+    const ipHasher = new IPHasher({ ...config.ipHashing, clock, store: stores.ipHashSalts }); // IP 只以哈希形式保存，init() 时若数据库可用则盐保存在 MongoDB
+    const SECURITY_RECORDS = new Map(); // IP安全记录（键为 securityKey 的哈希，securityKey 为 IPv4 地址或 IPv6 /64 段）
+    let ipRules = stores.ipRules || new IPRuleSet(); // CIDR 白名单与黑名单，init() 时若数据库可用则切换为 MongoDB 存储
+    let auditLog = new AuditLog(stores.audit, { clock }); // 安全审计日志，init() 时若数据库可用则切换为 MongoDB 存储
+    let stateStore = stores.state || null; // 状态快照存储，init() 时初始化（MongoDB 或本地文件）
+    const norms = stores.norms || new NormStore({ clock }); // 常模，数据库可用时定时从数据库刷新
+    const statsCache = stores.stats || new StatsCache({ clock }); // 公开统计的缓存
+    const ATTACK_DETECTION = { // 自启动以来的累计统计
+        totalAttempts: 0,
+        failedAttempts: 0,
+        lastAlert: null
+    };
+    const timers = [];
+    let shuttingDown = false;
+
+    const getDb = () => db;
+    const requireSessionToken = createSessionTokenAuth({ clock });
+
+    // Prometheus 指标（GET /metrics）
+    const metrics = new MetricsRegistry();
+    const httpRequests = metrics.counter({
+        name: 'darkfactor_http_requests_total',
+        help: '按接口和状态码统计的请求数',
+        labelNames: ['method', 'route', 'status']
+    });
+    const httpDuration = metrics.histogram({
+        name: 'darkfactor_http_request_duration_seconds',
+        help: '按接口和状态码统计的请求耗时（秒）',
+        labelNames: ['method', 'route', 'status']
+    });
+    const accessCodeChecks = metrics.counter({
+        name: 'darkfactor_access_code_checks_total',
+        help: '访问码验证次数，result 为 success 或 failure，reason 为成功方式或失败原因',
+        labelNames: ['result', 'reason']
+    });
+    const ipBlockEvents = metrics.counter({
+        name: 'darkfactor_ip_block_events_total',
+        help: 'IP 封禁事件数，reason 为 failed_attempts（连续失败）或 admin_ban（管理员封禁）',
+        labelNames: ['reason']
+    });
+    const rateLimitRejections = metrics.counter({
+        name: 'darkfactor_rate_limit_rejections_total',
+        help: '被限流拒绝的请求数',
+        labelNames: ['policy']
+    });
+    metrics.gauge({
+        name: 'darkfactor_blocked_ips',
+        help: '当前被封禁的 IP（或 IPv6 /64 段）数量，type 为 temporary（连续失败）或 banned（管理员封禁）',
+        labelNames: ['type'],
+        collect: gauge => {
+            const records = Array.from(SECURITY_RECORDS.values()).filter(record => record.isCurrentlyBlocked());
+            gauge.set({ type: 'temporary' }, records.filter(record => !record.banned).length);
+            gauge.set({ type: 'banned' }, records.filter(record => record.banned).length);
+        }
+    });
+    // 访问码库存：按状态的数量和每个有效访问码的剩余次数；不以访问码作为标签（否则抓取指标即可得到有效访问码），
+    // 而是使用带密钥的哈希前缀 code_id：同一访问码的 code_id 保持不变，没有 IP 哈希密钥时无法由 code_id 穷举访问码
+    // 未配置 METRICS_KEY 时 /metrics 不需要认证，此时不输出访问码库存
+    if (config.metricsKey) {
+        metrics.gauge({
+            name: 'darkfactor_access_codes',
+            help: '按状态统计的访问码数量',
+            labelNames: ['status'],
+            collect: async gauge => {
+                if (!accessCodeStore) return;
+                const now = clock.now();
+                for (const status of CODE_STATUSES) {
+                    const { total } = await accessCodeStore.listCodes({ status, limit: 1, skip: 0 }, now);
+                    gauge.set({ status }, total);
+                }
+            }
+        });
+        const codeId = code => crypto.createHmac('sha256', ipHasher.secret).update(`metrics-code:${code}`).digest('hex').slice(0, 12);
+        metrics.gauge({
+            name: 'darkfactor_access_code_remaining_uses',
+            help: '每个有效访问码的剩余使用次数，code_id 为访问码的带密钥哈希前缀',
+            labelNames: ['code_id'],
+            collect: async gauge => {
+                if (!accessCodeStore) return;
+                const now = clock.now();
+                const { codes } = await accessCodeStore.listCodes({ status: 'active', limit: 100000, skip: 0 }, now);
+                // 已失效的访问码不再输出
+                gauge.reset();
+                for (const record of codes) {
+                    gauge.set({ code_id: codeId(record.code) }, withUsageStats(record, now).remainingUses);
+                }
+            }
+        });
+    }
+
+    // 攻击检测和警报：滚动窗口检测，警报分发到配置的接收端并写入审计日志
+    const alertDispatcher = new AlertDispatcher(alertSinks);
+    const attackDetector = new AttackDetector({
+        anonymize: value => ipHasher.hash(value),
+        onAlert: alert => {
+            ATTACK_DETECTION.lastAlert = new Date(alert.timestamp);
+            auditLog.record(AUDIT_EVENTS.ATTACK_ALERT, {
+                ip: alert.details.ip || null,
+                reason: alert.type,
+                details: alert.details
+            });
+            alertDispatcher.dispatch(alert);
+        }
+    });
+
+    // 创建安全记录：自动封禁与封禁到期时打印日志并写入审计日志
+    function createSecurityRecord(key) {
+        return new SecurityRecord(key, {
+            policy: config.security,
+            clock: clock,
+            onBlock: (record, minutes) => {
+                logger.warn('IP 因多次失败尝试被封禁', { ip: record.ip, blockMinutes: minutes, blockCount: record.blockCount });
+                ipBlockEvents.inc({ reason: 'failed_attempts' });
+                attackDetector.recordBlock(record.ip, record.lastBlockedAt.getTime());
+                auditLog.record(AUDIT_EVENTS.IP_BLOCKED, {
+                    ip: record.ip,
+                    reason: 'failed_attempts',
+                    details: {
+                        failedAttempts: record.failedAttempts,
+                        blockCount: record.blockCount,
+                        blockMinutes: minutes,
+                        blockUntil: record.blockUntil,
+                        lastIP: record.lastIP
+                    }
+                });
+            },
+            onExpire: record => {
+                logger.info('IP 封禁已解除', { ip: record.ip });
+                auditLog.record(AUDIT_EVENTS.IP_UNBLOCKED, { ip: record.ip, reason: 'expired' });
+            }
+        });
+    }
+
+    // 查找 IP 的安全记录：依次按当前的盐、上一轮的盐和不轮换的哈希查找，找到后按记录的状态更新键
+    function findSecurityRecord(ip) {
+        const key = securityKey(ip);
+        const [current, previous] = ipHasher.candidates(key);
+        const found = [current, previous, ipHasher.retainedHash(key)].find(hash => SECURITY_RECORDS.has(hash));
+        if (!found) return null;
+
+        const record = SECURITY_RECORDS.get(found);
+        rekeySecurityRecord(record, key);
+        return record;
+    }
+
+    // 按记录的状态选择键：被封禁或有封禁等级的记录使用不轮换的哈希，盐轮换后仍能找到（手动封禁和封禁等级不会因轮换失效）；
+    // 其他记录使用当前周期的哈希，两次轮换后无法再关联
+    // key 为记录对应的 securityKey（需要原始 IP，只能在处理该 IP 的请求或管理操作时调用）
+    function rekeySecurityRecord(record, key) {
+        const retained = record.hasActiveOffense();
+        const target = retained ? ipHasher.retainedHash(key) : ipHasher.hash(key);
+        if (record.ip === target) return;
+
+        SECURITY_RECORDS.delete(record.ip);
+        record.ip = target;
+        record.hashEpoch = retained ? null : ipHasher.epochAt();
+        SECURITY_RECORDS.set(target, record);
+    }
+
+    function findOrCreateSecurityRecord(ip) {
+        let record = findSecurityRecord(ip);
+        if (!record) {
+            record = createSecurityRecord(ipHasher.hash(securityKey(ip)));
+            record.hashEpoch = ipHasher.epochAt();
+            SECURITY_RECORDS.set(record.ip, record);
+        }
+        return record;
+    }
+
+    // 盐已轮换两次的记录无法再与任何 IP 关联，保留没有意义；使用不轮换哈希的记录（hashEpoch 为 null）不受影响
+    function isUnlinkable(record) {
+        return record.hashEpoch !== null && record.hashEpoch < ipHasher.epochAt() - 1;
+    }
+
+    // 常量时间比较指标密钥（先哈希成等长摘要）
+    function isValidMetricsKey(providedKey) {
+        if (!providedKey) return false;
+        const hash = value => crypto.createHash('sha256').update(value).digest();
+        return crypto.timingSafeEqual(hash(providedKey), hash(config.metricsKey));
+    }
+
+    // 确定核销访问码的客户端身份，只使用服务端签发的标识：签名有效的设备ID，其次同一访问码的会话令牌中记录的身份
+    // 两者都没有时签发新的设备ID（编造或篡改的设备ID同样按新设备处理，会消耗一次使用次数）
+    // 返回 { clientId, sid, deviceId }；deviceId 为本次使用的设备ID，按会话令牌识别时为 null
+    function resolveRedemptionClient(req, code) {
+        const provided = (req.body && req.body.deviceId) || req.get('X-Device-Id');
+        const verifiedId = verifyDeviceId(provided);
+
+        const token = getBearerToken(req);
+        const { payload } = token ? verifySessionToken(token, clock.now()) : {};
+        const session = payload && payload.code === code && payload.sid ? payload : null;
+        const sid = session ? session.sid : generateSessionId();
+
+        if (verifiedId) {
+            return { clientId: `device_${verifiedId}`, sid, deviceId: provided };
+        }
+        if (session) {
+            return { clientId: session.cid || `session_${session.sid}`, sid, deviceId: null };
+        }
+
+        const deviceId = issueDeviceId();
+        return { clientId: `device_${verifyDeviceId(deviceId)}`, sid, deviceId };
+    }
+
+    // 返回解读报告：format=html 时为可打印的 HTML 页面，否则为 JSON
+    // source: { scores, rankings, dFactor, normSource, normGroup }
+    function sendReport(req, res, source) {
+        const report = buildReport(source, { lang: req.lang, ...config.report });
+        const warning = source.normSource === 'parametric' ? parametricWarning(req) : {};
+
+        if (req.query.format === 'html') {
+            res.set('Content-Type', 'text/html; charset=utf-8');
+            res.set('Content-Security-Policy', REPORT_CSP);
+            return res.send(renderReportHTML(report, { warning: warning.warning, generatedAt: clock.now() }));
+        }
+
+        res.json({
+            success: true,
+            ...reply(req, 'REPORT_GENERATED'),
+            report: report,
+            ...warning,
+            generatedAt: clock.now().toISOString()
+        });
+    }
+
+    // 清理过期或已无法关联到 IP 的安全记录
+    function cleanupSecurityRecords() {
+        let cleanedCount = 0;
+
+        for (const [ip, record] of SECURITY_RECORDS.entries()) {
+            if (record.isStale(config.security.recordTtlMs) || isUnlinkable(record)) {
+                SECURITY_RECORDS.delete(ip);
+                cleanedCount++;
+            }
+        }
+
+        if (cleanedCount > 0) {
+            logger.info('已清理过期的安全记录', { count: cleanedCount });
+        }
+        return cleanedCount;
+    }
+
+    // 请求ID、IP 哈希、访问日志与请求指标
+    // req.log 为附带 requestId 的子 logger，接口内的日志都通过它输出，便于按请求检索
+    // req.ipHash 为客户端 IP（IPv6 按 /64 段）的哈希，限流计数、安全记录和审计日志只使用它
+    app.use((req, res, next) => {
+        const start = process.hrtime.bigint();
+        req.id = resolveRequestId(req);
+        req.log = logger.child({ requestId: req.id });
+        req.ipHash = ipHasher.hash(securityKey(req.ip));
+        res.set('X-Request-Id', req.id);
+
+        res.on('finish', () => {
+            const route = routeLabel(req);
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            const labels = { method: req.method, route: route, status: res.statusCode };
+            httpRequests.inc(labels);
+            httpDuration.observe(labels, seconds);
+
+            const level = res.statusCode >= 500 ? 'error' : 'info';
+            req.log.log(level, '请求完成', {
+                method: req.method,
+                route: route,
+                status: res.statusCode,
+                latencyMs: Math.round(seconds * 1e6) / 1e3,
+                ip: req.ip
+            });
+        });
+        next();
+    });
+
+    // === 手动 CORS 中间件 (修复路由崩溃问题) ===
+    // 不使用 app.options('*')，而是使用通用中间件
+    app.use((req, res, next) => {
+        res.header('Access-Control-Allow-Origin', '*');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+        res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Access-Code, X-Device-Id, X-Admin-Key, X-Request-Id, X-Deletion-Token');
+        res.header('Access-Control-Expose-Headers', 'RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After, X-Request-Id');
+
+        // 直接响应预检请求
+        if (req.method === 'OPTIONS') {
+            return res.status(200).end();
+        }
+
+        next();
+    });
+
+    app.use(i18nMiddleware); // 按 ?lang= 或 Accept-Language 选择响应消息的语言（在解析请求体之前，解析错误也能本地化）
+    app.use(express.json({ limit: '10kb' })); // 限制请求体大小
+
+    // 开发和测试环境可检查响应是否符合 schema（VALIDATE_RESPONSES=true）
+    if (config.validateResponses) {
+        app.use(createResponseChecker(ROUTES, COMPONENTS));
+    }
+
+    // IP 规则中间件：白名单直接放行（跳过封禁与限流），黑名单和手动封禁的IP拒绝所有请求
+    app.use((req, res, next) => {
+        const rule = ipRules.match(req.ip);
+
+        if (rule === 'allow') {
+            req.ipAllowlisted = true;
+            return next();
+        }
+
+        const record = findSecurityRecord(req.ip);
+        if (rule === 'deny' || (record && record.banned)) {
+            req.log.info('拒绝黑名单IP的请求', { ip: req.ip });
+            return res.status(403).json({
+                success: false,
+                valid: false,
+                ...reply(req, 'ACCESS_DENIED')
+            });
+        }
+
+        next();
+    });
+
+    // 安全检查中间件（连续失败封禁）
+    app.use((req, res, next) => {
+        // 使用 req.ip，配合 app.set('trust proxy', 1) 可以获取真实IP
+        const clientIP = req.ip; 
+        const path = req.path;
+
+        // 只对验证码接口进行安全检查（白名单IP除外）
+        if (path === '/api/check-access-code' && !req.ipAllowlisted) {
+            // 获取或创建安全记录（IPv6 按 /64 段合并）
+            const securityRecord = findOrCreateSecurityRecord(clientIP);
+            securityRecord.lastIP = ipHasher.hash(clientIP);
+
+            // 检查是否被封禁
+            if (securityRecord.isCurrentlyBlocked()) {
+                req.log.info('拒绝被封禁IP的请求', { ip: clientIP });
+                const retryAfterSeconds = Math.max(1, Math.ceil((securityRecord.blockUntil - clock.now()) / 1000));
+                res.set('Retry-After', String(retryAfterSeconds));
+                return sendError(req, res, 429, 'TOO_MANY_ATTEMPTS', {
+                    params: { duration: formatDuration(req.lang, retryAfterSeconds) },
+                    valid: false,
+                    retryAfter: retryAfterSeconds
+                });
+            }
+
+            // 将安全记录附加到请求对象
+            req.securityRecord = securityRecord;
+        }
+
+        next();
+    });
+
+    // 按路由的滑动窗口限流；启动时若数据库可用则切换为共享的 MongoDB 存储
+    const rateLimiter = new RateLimiter({
+        policies: config.rateLimitPolicies,
+        store: stores.rateLimit,
+        clock: clock,
+        keyGenerator: req => req.ipHash,
+        skip: req => req.ipAllowlisted,
+        onLimited: (req, res, { policy, resetSeconds }) => {
+            rateLimitRejections.inc({ policy: policy.name });
+            const extra = { retryAfter: resetSeconds };
+            // 访问码接口的响应保留 valid 字段
+            if (req.path === '/api/check-access-code') extra.valid = false;
+            sendError(req, res, 429, 'RATE_LIMITED', {
+                params: { duration: formatDuration(req.lang, resetSeconds) },
+                ...extra
+            });
+        }
+    });
+    app.use(rateLimiter.middleware());
+
+    // 管理员认证：错误密钥计数与限流共用存储
+    const requireAdmin = createAdminAuth({
+        adminKeys: config.adminKeys,
+        clock: clock,
+        getStore: () => rateLimiter.store,
+        getAuditLog: () => auditLog
+    });
+
+    // === API 接口 ===
+
+    app.get('/', (req, res) => {
+        const activeIPs = Array.from(SECURITY_RECORDS.values()).filter(record => 
+            !record.isCurrentlyBlocked()
+        ).length;
+
+        res.json({ 
+            status: 'running', 
+            ...reply(req, 'SERVICE_RUNNING'),
+            security: {
+                activeIPs: activeIPs,
+                blockedIPs: Array.from(SECURITY_RECORDS.values()).filter(record => 
+                    record.isCurrentlyBlocked()
+                ).length,
+                totalAttempts: ATTACK_DETECTION.totalAttempts,
+                failedAttempts: ATTACK_DETECTION.failedAttempts
+            },
+            timestamp: clock.now().toISOString()
+        });
+    });
+
+    app.get('/api/health', async (req, res) => {
+        const codeStats = await accessCodeStore.getStats(clock.now());
+
+        res.json({
+            status: 'healthy',
+            accessCodes: {
+                storage: accessCodeStore.type,
+                total: codeStats.total,
+                active: codeStats.active
+            },
+            security: {
+                monitoredIPs: SECURITY_RECORDS.size,
+                blockedIPs: Array.from(SECURITY_RECORDS.values()).filter(record => 
+                    record.isCurrentlyBlocked()
+                ).length
+            },
+            norms: norms.status(),
+            serverTime: clock.now().toISOString()
+        });
+    });
+
+    // 在请求的安全记录中记录一次失败尝试；因此被封禁时记录换成不轮换的键
+    function addFailedAttempt(req) {
+        if (!req.securityRecord) return;
+        req.securityRecord.addAttempt(false);
+        rekeySecurityRecord(req.securityRecord, securityKey(req.ip));
+    }
+
+    // 记录一次访问码验证失败：IP 安全记录、全局统计、指标和审计日志
+    function recordAccessCodeFailure(req, reason, code) {
+        addFailedAttempt(req);
+        ATTACK_DETECTION.failedAttempts++;
+        accessCodeChecks.inc({ result: 'failure', reason: reason });
+        attackDetector.recordFailure(req.ip, code, clock.now().getTime());
+        auditLog.record(AUDIT_EVENTS.CODE_FAILURE, { ip: req.ipHash, code: code, reason: reason });
+    }
+
+    // 请求体不符合 schema（缺少访问码、类型错误等）同样计为一次失败尝试
+    const validateAccessCodeRequest = validate('POST /api/check-access-code', {
+        onInvalid: req => {
+            ATTACK_DETECTION.totalAttempts++;
+            recordAccessCodeFailure(req, 'invalid_request', null);
+        },
+        extra: { valid: false }
+    });
+
+    // 安全增强的访问码验证接口
+    // 出错时除统一的错误字段外保留 valid: false
+    app.post('/api/check-access-code', validateAccessCodeRequest, async (req, res) => {
+        try {
+            const { accessCode } = req.body;
+            const securityRecord = req.securityRecord;
+            const clientIP = req.ip; // 使用 req.ip (已配置 trust proxy)
+
+            // 全局统计
+            ATTACK_DETECTION.totalAttempts++;
+
+            // 清理和验证访问码格式
+            const cleanedAccessCode = accessCode.trim().toUpperCase();
+
+            if (cleanedAccessCode.length === 0) {
+                recordAccessCodeFailure(req, 'empty', null);
+                return sendError(req, res, 400, 'ACCESS_CODE_EMPTY', { valid: false });
+            }
+
+            // 格式验证
+            if (!isValidAccessCodeFormat(cleanedAccessCode)) {
+                recordAccessCodeFailure(req, 'bad_format', cleanedAccessCode.slice(0, 40));
+                req.log.warn('尝试使用无效格式的访问码', { ip: clientIP, code: cleanedAccessCode });
+                return sendError(req, res, 400, 'ACCESS_CODE_BAD_FORMAT', { valid: false });
+            }
+
+            const client = resolveRedemptionClient(req, cleanedAccessCode);
+
+            // 核销访问码（有效时原子地增加使用次数；同一客户端窗口期内重复验证不再消耗）
+            const redemption = await accessCodeStore.redeem(cleanedAccessCode, client.clientId, clock.now());
+            const validCode = redemption && redemption.record;
+
+            if (validCode) {
+                // 记录成功尝试
+                if (securityRecord) securityRecord.addAttempt(true);
+                accessCodeChecks.inc({ result: 'success', reason: redemption.reused ? 'reused' : 'redeemed' });
+
+                req.log.info('访问码验证成功', { ip: clientIP, code: cleanedAccessCode, reused: redemption.reused });
+                auditLog.record(AUDIT_EVENTS.CODE_SUCCESS, {
+                    ip: req.ipHash,
+                    code: cleanedAccessCode,
+                    reason: redemption.reused ? 'reused' : 'redeemed',
+                    details: { clientId: client.clientId, remainingUses: Math.max(0, validCode.maxUses - validCode.currentUses) }
+                });
+
+                // 签发绑定访问码的会话令牌，后续排名和结果接口需携带
+                const session = issueSessionToken(cleanedAccessCode, client.sid, clock.now(), client.clientId);
+
+                res.json({
+                    success: true,
+                    valid: true,
+                    ...reply(req, 'ACCESS_CODE_VALID'),
+                    code: cleanedAccessCode,
+                    expiresAt: validCode.expiresAt,
+                    remainingUses: Math.max(0, validCode.maxUses - validCode.currentUses),
+                    reused: redemption.reused,
+                    redemptions: listRedemptions(validCode).map(item => ({
+                        client: maskClientId(item.clientId),
+                        current: item.clientId === client.clientId,
+                        redeemedAt: item.redeemedAt,
+                        lastCheckedAt: item.lastCheckedAt
+                    })),
+                    token: session.token,
+                    tokenExpiresAt: session.expiresAt,
+                    // 前端保存后在下次验证时传回，窗口期内重复验证不再消耗使用次数
+                    ...(client.deviceId ? { deviceId: client.deviceId } : {})
+                });
+            } else {
+                // 检查访问码状态（用于给用户更具体的提示，或者可以为了安全统一返回无效）
+                const existingCode = await accessCodeStore.findByCode(cleanedAccessCode);
+
+                let reason = 'invalid';
+
+                if (existingCode) {
+                    if (existingCode.revokedAt) {
+                        reason = 'revoked';
+                    } else if (existingCode.currentUses >= existingCode.maxUses) {
+                        reason = 'exhausted';
+                    } else if (clock.now() >= existingCode.expiresAt) {
+                        reason = 'expired';
+                    }
+                }
+
+                // 记录失败尝试
+                recordAccessCodeFailure(req, reason, cleanedAccessCode);
+
+                req.log.info('访问码验证失败', { ip: clientIP, code: cleanedAccessCode, reason: reason });
+
+                sendError(req, res, 400, ACCESS_CODE_FAILURE_CODES[reason], { valid: false });
+            }
+
+        } catch (error) {
+            req.log.error('验证访问码时发生错误', { error: error });
+
+            // 记录安全记录（如果存在）
+            addFailedAttempt(req);
+            ATTACK_DETECTION.failedAttempts++;
+            auditLog.record(AUDIT_EVENTS.CODE_FAILURE, { ip: req.ipHash, reason: 'error' });
+            accessCodeChecks.inc({ result: 'failure', reason: 'error' });
+
+            sendError(req, res, 500, 'INTERNAL_ERROR', { valid: false });
+        }
+    });
+
+    // 安全状态查看接口（需要管理员权限）
+    app.get('/api/admin/security-status', requireAdmin(ADMIN_SCOPES.SECURITY_READ), (req, res) => {
+        try {
+            const blockedIPs = Array.from(SECURITY_RECORDS.entries())
+                .filter(([ip, record]) => record.isCurrentlyBlocked())
+                .map(([ip, record]) => ({
+                    ip: ip,
+                    lastIP: record.lastIP,
+                    banned: record.banned,
+                    banReason: record.banReason,
+                    blockedUntil: record.blockUntil,
+                    blockCount: record.blockCount,
+                    failedAttempts: record.failedAttempts,
+                    firstSeen: record.firstSeen
+                }));
+
+            const recentActivity = Array.from(SECURITY_RECORDS.entries())
+                .filter(([ip, record]) => clock.now() - record.lastAttempt < 60 * 60 * 1000) // 最近1小时
+                .map(([ip, record]) => ({
+                    ip: ip,
+                    attempts: record.attempts,
+                    failedAttempts: record.failedAttempts,
+                    lastAttempt: record.lastAttempt,
+                    isBlocked: record.isCurrentlyBlocked()
+                }))
+                .sort((a, b) => new Date(b.lastAttempt) - new Date(a.lastAttempt))
+                .slice(0, 20); // 最近20个
+
+            res.json({
+                success: true,
+                ...reply(req, 'SECURITY_STATUS_RETRIEVED'),
+                security: {
+                    totalRecords: SECURITY_RECORDS.size,
+                    blockedIPs: blockedIPs.length,
+                    totalAttempts: ATTACK_DETECTION.totalAttempts,
+                    failedAttempts: ATTACK_DETECTION.failedAttempts,
+                    lastAlert: ATTACK_DETECTION.lastAlert
+                },
+                blockedIPs: blockedIPs,
+                recentActivity: recentActivity
+            });
+
+        } catch (error) {
+            req.log.error('获取安全状态时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 审计日志查询接口（需要管理员权限）
+    // 支持 ip（IP 地址或 IP 哈希）、code、type（逗号分隔）、from、to（ISO 时间）筛选，limit/skip 分页，format=csv 导出
+    // 按 IP 地址查询时匹配当前和上一轮盐的哈希，更早的记录已无法关联
+    app.get('/api/admin/audit', requireAdmin(ADMIN_SCOPES.SECURITY_READ), validate('GET /api/admin/audit'), async (req, res) => {
+        try {
+            const { ip, code, type, from, to, format } = req.query;
+
+            const types = type ? type.split(',').map(item => item.trim()).filter(Boolean) : null;
+            const invalidTypes = (types || []).filter(item => !AUDIT_EVENT_TYPES.includes(item));
+            if (invalidTypes.length > 0) {
+                return sendError(req, res, 400, 'VALIDATION_FAILED', {
+                    errors: [{
+                        field: 'query.type',
+                        code: 'AUDIT_TYPE_UNKNOWN',
+                        params: { types: invalidTypes.join(', '), allowed: AUDIT_EVENT_TYPES.join(', ') }
+                    }]
+                });
+            }
+
+            let ips = null;
+            if (ip) {
+                ips = isIPAddress(ip) ? [...ipHasher.candidates(securityKey(ip)), ipHasher.retainedHash(securityKey(ip))] : [ip];
+            }
+
+            const filter = {
+                types,
+                ips,
+                code: code ? code.trim().toUpperCase() : null,
+                from: from ? new Date(from) : null,
+                to: to ? new Date(to) : null
+            };
+
+            if (format === 'csv') {
+                const { events } = await auditLog.query(filter, { limit: 100000, skip: 0 });
+                const csv = toCSV(events.map(event => ({
+                    ...event,
+                    details: event.details ? JSON.stringify(event.details) : null
+                })), ['timestamp', 'type', 'ip', 'code', 'reason', 'actor', 'details']);
+
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="security-audit-${clock.now().toISOString().slice(0, 10)}.csv"`);
+                return res.send(csv);
+            }
+
+            const limit = req.query.limit ? parseInt(req.query.limit) : 100;
+            const skip = req.query.skip ? parseInt(req.query.skip) : 0;
+            const { total, events } = await auditLog.query(filter, { limit, skip });
+
+            res.json({
+                success: true,
+                ...reply(req, 'AUDIT_EVENTS_FOUND', { count: total }),
+                total: total,
+                limit: limit,
+                skip: skip,
+                events: events
+            });
+
+        } catch (error) {
+            req.log.error('查询审计日志时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 总体统计接口（管理员用）：实时计算，可按时间范围和人口统计分组筛选
+    app.get('/api/admin/stats', requireAdmin(ADMIN_SCOPES.STATS_READ), validate('GET /api/admin/stats'), async (req, res) => {
+        try {
+            const { from, to } = req.query;
+            const fromDate = from ? new Date(from) : null;
+            const toDate = to ? new Date(to) : null;
+            const { demographics } = parseDemographics(req.query);
+
+            const db = getDb();
+            if (!db) {
+                return res.status(503).json({
+                    success: false,
+                    ...reply(req, 'DATABASE_UNAVAILABLE')
+                });
+            }
+
+            const stats = await loadStats(db, { from: fromDate, to: toDate, demographics });
+
+            res.json({
+                success: true,
+                ...reply(req, 'STATS_COMPUTED'),
+                filter: { from: fromDate, to: toDate, ...demographics },
+                stats: stats,
+                computedAt: clock.now()
+            });
+
+        } catch (error) {
+            req.log.error('计算总体统计时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 数据清单接口（管理员用）：每类个人数据保存的字段、存储位置、数量、最早的记录，以及对应的保留策略
+    app.get('/api/admin/data-inventory', requireAdmin(ADMIN_SCOPES.PRIVACY_READ), async (req, res) => {
+        try {
+            const now = clock.now();
+            const db = getDb();
+            const records = Array.from(SECURITY_RECORDS.values());
+            const [results, audit, codeStats] = await Promise.all([
+                db ? getResultInventory(db) : null,
+                auditLog.stats(),
+                accessCodeStore.getStats(now)
+            ]);
+            const hours = ms => ms / (60 * 60 * 1000);
+            const days = ms => ms / (24 * 60 * 60 * 1000);
+
+            res.json({
+                success: true,
+                ...reply(req, 'DATA_INVENTORY_GENERATED'),
+                generatedAt: now,
+                ipHashing: ipHasher.status(),
+                // fields 为文档中实际保存的字段名；ip、lastIP 和限流计数的 _id（策略:IP哈希:窗口）只包含 IP 的哈希
+                data: {
+                    testResults: {
+                        storage: db ? 'mongodb' : 'unavailable',
+                        fields: ['scores', 'rankings', 'dFactor', 'normSource', 'normGroup', 'demographics', 'totalComparisons', 'accessCode', 'sessionId', 'readTokenHash', 'deletionTokenHash', 'shareTokenHash', 'sharedAt', 'createdAt'],
+                        count: results ? results.count : 0,
+                        shareable: results ? results.shareable : 0,
+                        oldestAt: results ? results.oldestAt : null,
+                        retentionDays: days(config.retention.resultsMs)
+                    },
+                    securityRecords: {
+                        storage: 'memory',
+                        fields: ['ip', 'hashEpoch', 'lastIP', 'attempts', 'failedAttempts', 'lastAttempt', 'firstSeen', 'isBlocked', 'blockUntil', 'blockCount', 'lastBlockedAt', 'banned', 'bannedAt', 'bannedBy', 'banReason'],
+                        count: records.length,
+                        blocked: records.filter(record => record.isCurrentlyBlocked()).length,
+                        banned: records.filter(record => record.banned).length,
+                        retentionHours: hours(config.security.recordTtlMs)
+                    },
+                    auditLog: {
+                        storage: auditLog.store.type,
+                        fields: ['type', 'timestamp', 'ip', 'code', 'reason', 'actor', 'details'],
+                        count: audit.count,
+                        oldestAt: audit.oldestAt,
+                        retentionDays: days(config.retention.auditMs)
+                    },
+                    accessCodes: {
+                        storage: accessCodeStore.type,
+                        fields: ['code', 'currentUses', 'redemptions.clientId', 'expiresAt'],
+                        count: codeStats.total,
+                        active: codeStats.active
+                    },
+                    rateLimits: {
+                        storage: rateLimiter.store.type,
+                        fields: ['_id', 'count', 'expiresAt']
+                    }
+                }
+            });
+
+        } catch (error) {
+            req.log.error('生成数据清单时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 解除IP封禁接口（管理员用）
+    app.post('/api/admin/unblock-ip', requireAdmin(ADMIN_SCOPES.SECURITY_MANAGE), validate('POST /api/admin/unblock-ip'), (req, res) => {
+        try {
+            const { ip } = req.body;
+
+            // 可以传入 IP 地址或安全记录的键（IP 哈希）
+            let record = SECURITY_RECORDS.get(ip) || null;
+            if (!record && isIPAddress(ip)) {
+                record = findSecurityRecord(ip);
+            }
+
+            if (record) {
+                const key = record.ip;
+                const wasBanned = record.banned;
+                record.unblock({ resetEscalation: req.body.resetEscalation === true });
+
+                req.log.info('管理员解除了IP封禁', { admin: req.admin.name, ip: key });
+                auditLog.record(AUDIT_EVENTS.IP_UNBLOCKED, {
+                    ip: key,
+                    reason: wasBanned ? 'admin_unban' : 'admin',
+                    actor: req.admin.name,
+                    details: { resetEscalation: req.body.resetEscalation === true }
+                });
+
+                res.json({
+                    success: true,
+                    ...reply(req, 'IP_UNBLOCKED', { ip })
+                });
+            } else {
+                res.status(404).json({
+                    success: false,
+                    ...reply(req, 'SECURITY_RECORD_NOT_FOUND')
+                });
+            }
+
+        } catch (error) {
+            req.log.error('解除IP封禁时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 手动永久封禁IP接口（管理员用）：IPv6 地址会封禁整个 /64 段，通过 unblock-ip 解除
+    // 封禁记录以不轮换的 IP 哈希保存，盐轮换后仍然有效
+    app.post('/api/admin/ban-ip', requireAdmin(ADMIN_SCOPES.SECURITY_MANAGE), validate('POST /api/admin/ban-ip'), (req, res) => {
+        try {
+            const { ip, reason } = req.body;
+
+            if (!isIPAddress(ip)) {
+                return sendError(req, res, 400, 'VALIDATION_FAILED', {
+                    errors: [{ field: 'body.ip', code: 'IP_INVALID' }]
+                });
+            }
+
+            const record = findOrCreateSecurityRecord(ip);
+            record.ban(reason || null, req.admin.name);
+            rekeySecurityRecord(record, securityKey(ip));
+            ipBlockEvents.inc({ reason: 'admin_ban' });
+
+            req.log.info('管理员永久封禁了IP', { admin: req.admin.name, ip: ip });
+            auditLog.record(AUDIT_EVENTS.IP_BANNED, {
+                ip: record.ip,
+                reason: record.banReason,
+                actor: req.admin.name
+            });
+
+            res.json({
+                success: true,
+                ...reply(req, 'IP_BANNED', { ip })
+            });
+
+        } catch (error) {
+            req.log.error('封禁IP时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // IP 规则列表接口（需要管理员权限）：CIDR 白名单、黑名单及手动封禁
+    app.get('/api/admin/ip-rules', requireAdmin(ADMIN_SCOPES.SECURITY_READ), (req, res) => {
+        try {
+            const rules = ipRules.list();
+            const bans = Array.from(SECURITY_RECORDS.values())
+                .filter(record => record.banned)
+                .map(record => ({
+                    ip: record.ip,
+                    reason: record.banReason,
+                    bannedBy: record.bannedBy,
+                    bannedAt: record.bannedAt
+                }));
+
+            res.json({
+                success: true,
+                ...reply(req, 'IP_RULES_LISTED'),
+                storage: ipRules.store.type,
+                allow: rules.filter(rule => rule.type === 'allow'),
+                deny: rules.filter(rule => rule.type === 'deny'),
+                bans: bans
+            });
+
+        } catch (error) {
+            req.log.error('获取IP规则时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 添加 IP 规则接口（管理员用）：{ type: 'allow' | 'deny', cidr, note }
+    app.post('/api/admin/ip-rules', requireAdmin(ADMIN_SCOPES.SECURITY_MANAGE), validate('POST /api/admin/ip-rules'), async (req, res) => {
+        try {
+            const { type, cidr, note } = req.body;
+            const { rule, error, params } = await ipRules.add({ type, cidr, note, createdBy: req.admin.name });
+
+            if (error === 'CIDR_INVALID') {
+                return sendError(req, res, 400, 'VALIDATION_FAILED', {
+                    errors: [{ field: 'body.cidr', code: error, params }]
+                });
+            }
+            if (error) {
+                return sendError(req, res, 400, error, { params });
+            }
+
+            req.log.info('管理员添加了IP规则', { admin: req.admin.name, ruleType: rule.type, cidr: rule.cidr });
+            auditLog.record(AUDIT_EVENTS.IP_RULE_ADDED, {
+                ip: rule.cidr,
+                reason: rule.type,
+                actor: req.admin.name,
+                details: { id: rule.id, note: rule.note }
+            });
+
+            res.status(201).json({
+                success: true,
+                ...reply(req, 'IP_RULE_ADDED'),
+                rule: rule
+            });
+
+        } catch (error) {
+            req.log.error('添加IP规则时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 删除 IP 规则接口（管理员用）
+    app.delete('/api/admin/ip-rules/:id', requireAdmin(ADMIN_SCOPES.SECURITY_MANAGE), validate('DELETE /api/admin/ip-rules/:id'), async (req, res) => {
+        try {
+            const rule = await ipRules.remove(req.params.id);
+
+            if (!rule) {
+                return res.status(404).json({
+                    success: false,
+                    ...reply(req, 'IP_RULE_NOT_FOUND')
+                });
+            }
+
+            req.log.info('管理员删除了IP规则', { admin: req.admin.name, ruleType: rule.type, cidr: rule.cidr });
+            auditLog.record(AUDIT_EVENTS.IP_RULE_REMOVED, {
+                ip: rule.cidr,
+                reason: rule.type,
+                actor: req.admin.name,
+                details: { id: rule.id }
+            });
+
+            res.json({
+                success: true,
+                ...reply(req, 'IP_RULE_REMOVED'),
+                rule: rule
+            });
+
+        } catch (error) {
+            req.log.error('删除IP规则时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 批量生成访问码接口（管理员用）
+    // 各字段的类型和范围由 schema 校验，这里只检查前缀与长度的组合及到期时间
+    app.post('/api/admin/access-codes/generate', requireAdmin(ADMIN_SCOPES.CODES_MANAGE), validate('POST /api/admin/access-codes/generate'), async (req, res) => {
+        try {
+            const now = clock.now();
+            const defaults = getDefaultCodeSettings(now);
+            const body = req.body || {};
+            const { count = 1, length = 8, maxUses = defaults.maxUses } = body;
+            const prefix = body.prefix ? body.prefix.toUpperCase() : '';
+            const expiresAt = parseExpiry(body, now);
+
+            if (prefix.length + length > 20) {
+                return sendError(req, res, 400, 'VALIDATION_FAILED', {
+                    errors: [{ field: 'body.length', code: 'CODE_LENGTH_INVALID', params: { min: 4, max: 20 } }]
+                });
+            }
+            if (expiresAt === null || (expiresAt && expiresAt <= now)) {
+                return sendError(req, res, 400, 'VALIDATION_FAILED', {
+                    errors: [{ field: body.expiresAt !== undefined ? 'body.expiresAt' : 'body.expiryDays', code: 'CODE_EXPIRY_INVALID' }]
+                });
+            }
+
+            const codes = await generateAccessCodes(accessCodeStore, {
+                count,
+                length,
+                prefix,
+                maxUses,
+                expiresAt: expiresAt || defaults.expiresAt
+            }, now);
+
+            req.log.info('管理员生成了访问码', { admin: req.admin.name, count: codes.length });
+
+            res.status(201).json({
+                success: true,
+                ...reply(req, 'CODES_GENERATED', { count: codes.length }),
+                codes: codes.map(record => withUsageStats(record, now))
+            });
+
+        } catch (error) {
+            req.log.error('生成访问码时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 访问码列表接口（管理员用），支持 status、prefix、limit、skip 筛选
+    app.get('/api/admin/access-codes', requireAdmin(ADMIN_SCOPES.CODES_READ), validate('GET /api/admin/access-codes'), async (req, res) => {
+        try {
+            const query = parseCodeListQuery(req.query);
+
+            const now = clock.now();
+            const { total, codes } = await accessCodeStore.listCodes(query, now);
+
+            res.json({
+                success: true,
+                ...reply(req, 'CODES_FOUND', { count: total }),
+                total: total,
+                limit: query.limit,
+                skip: query.skip,
+                codes: codes.map(record => withUsageStats(record, now))
+            });
+
+        } catch (error) {
+            req.log.error('获取访问码列表时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 导出访问码为 CSV（管理员用），筛选条件同列表接口
+    app.get('/api/admin/access-codes/export', requireAdmin(ADMIN_SCOPES.CODES_READ), validate('GET /api/admin/access-codes/export'), async (req, res) => {
+        try {
+            const query = parseCodeListQuery(req.query);
+
+            const now = clock.now();
+            const { codes } = await accessCodeStore.listCodes({ ...query, limit: 100000 }, now);
+            const csv = toCSV(codes.map(record => withUsageStats(record, now)), [
+                'code', 'status', 'maxUses', 'currentUses', 'remainingUses', 'redemptionCount',
+                'createdAt', 'expiresAt', 'lastUsed', 'revokedAt'
+            ]);
+
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="access-codes-${now.toISOString().slice(0, 10)}.csv"`);
+            res.send(csv);
+
+        } catch (error) {
+            req.log.error('导出访问码时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 停用访问码接口（管理员用）
+    app.post('/api/admin/access-codes/:code/revoke', requireAdmin(ADMIN_SCOPES.CODES_MANAGE), validate('POST /api/admin/access-codes/:code/revoke'), async (req, res) => {
+        try {
+            const code = req.params.code.toUpperCase();
+            const record = await accessCodeStore.revoke(code, clock.now());
+
+            if (!record) {
+                return res.status(404).json({
+                    success: false,
+                    ...reply(req, 'ACCESS_CODE_NOT_FOUND')
+                });
+            }
+
+            req.log.info('管理员停用了访问码', { admin: req.admin.name, code: code });
+
+            res.json({
+                success: true,
+                ...reply(req, 'CODE_REVOKED', { code }),
+                code: withUsageStats(record, clock.now())
+            });
+
+        } catch (error) {
+            req.log.error('停用访问码时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 延长访问码有效期接口（管理员用）：expiresAt 指定新的到期时间，或 expiryDays 在当前到期时间上顺延
+    app.post('/api/admin/access-codes/:code/extend', requireAdmin(ADMIN_SCOPES.CODES_MANAGE), validate('POST /api/admin/access-codes/:code/extend'), async (req, res) => {
+        try {
+            const code = req.params.code.toUpperCase();
+            const existing = await accessCodeStore.findByCode(code);
+
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    ...reply(req, 'ACCESS_CODE_NOT_FOUND')
+                });
+            }
+
+            const now = clock.now();
+            // 已过期的访问码从现在起顺延
+            const base = existing.expiresAt > now ? existing.expiresAt : now;
+            const expiresAt = parseExpiry(req.body || {}, base);
+
+            if (!expiresAt || expiresAt <= now) {
+                return sendError(req, res, 400, 'CODE_EXTEND_INVALID');
+            }
+
+            const record = await accessCodeStore.setExpiry(code, expiresAt);
+
+            req.log.info('管理员延长了访问码有效期', { admin: req.admin.name, code: code, expiresAt: expiresAt });
+
+            res.json({
+                success: true,
+                ...reply(req, 'CODE_EXPIRY_UPDATED', { code }),
+                code: withUsageStats(record, now)
+            });
+
+        } catch (error) {
+            req.log.error('延长访问码有效期时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 重置访问码的核销记录（管理员用）：指定 clientId 时只重置该客户端
+    app.post('/api/admin/access-codes/:code/reset-redemptions', requireAdmin(ADMIN_SCOPES.CODES_MANAGE), validate('POST /api/admin/access-codes/:code/reset-redemptions'), async (req, res) => {
+        try {
+            const code = req.params.code.toUpperCase();
+            const { clientId } = req.body || {};
+
+            const record = await accessCodeStore.resetRedemptions(code, clientId);
+
+            if (!record) {
+                return res.status(404).json({
+                    success: false,
+                    ...reply(req, 'ACCESS_CODE_NOT_FOUND')
+                });
+            }
+
+            req.log.info('管理员重置了访问码的核销记录', { admin: req.admin.name, code: code, clientId: clientId && maskClientId(clientId) });
+
+            res.json({
+                success: true,
+                ...reply(req, 'CODE_REDEMPTIONS_RESET', { code }),
+                code: withUsageStats(record, clock.now())
+            });
+
+        } catch (error) {
+            req.log.error('重置核销记录时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 总体统计接口：各维度分数分布、描述统计和相关矩阵（定时刷新的缓存数据）
+    app.get('/api/stats', (req, res) => {
+        try {
+            const { stats, computedAt } = statsCache.get();
+
+            if (!stats) {
+                return res.status(503).json({
+                    success: false,
+                    ...reply(req, 'STATS_UNAVAILABLE')
+                });
+            }
+
+            res.set('Cache-Control', 'public, max-age=300');
+            res.json({
+                success: true,
+                ...reply(req, 'STATS_RETRIEVED'),
+                stats: stats,
+                computedAt: computedAt
+            });
+
+        } catch (error) {
+            req.log.error('读取总体统计时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 排名计算接口（需要会话令牌）
+    // 请求体为10个维度的分数（7-35 的整数，缺一不可），以及可选的人口统计字段（ageBand、gender、country）
+    app.post('/api/rankings', requireSessionToken, validate('POST /api/rankings'), (req, res) => {
+        try {
+            const processedScores = pickScores(req.body);
+            const { demographics } = parseDemographics(req.body);
+
+            const { rankings, dFactor, normSource, normGroup, sampleSize, normsLoadedAt } = norms.computeRankings(processedScores, demographics);
+
+            const response = {
+                success: true,
+                ...reply(req, 'RANKINGS_CALCULATED'),
+                rankings: rankings,
+                dFactor: dFactor,
+                userScores: processedScores,
+                totalComparisons: sampleSize,
+                normSource: normSource,
+                normGroup: normGroup,
+                normsLoadedAt: normsLoadedAt,
+                calculatedAt: clock.now().toISOString()
+            };
+
+            // 常模数据不可用时明确告知前端排名为估算值
+            if (normSource === 'parametric') {
+                Object.assign(response, parametricWarning(req));
+            }
+
+            res.json(response);
+
+        } catch (error) {
+            req.log.error('计算排名时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 题目级计分接口：根据原始作答在服务端计算维度分数和排名（需要会话令牌）
+    app.post('/api/score', requireSessionToken, validate('POST /api/score'), (req, res) => {
+        try {
+            if (!SCORING_KEY) {
+                return sendError(req, res, 503, 'SCORING_KEY_UNAVAILABLE');
+            }
+
+            const { scores } = scoreAnswers(req.body.answers);
+            const { demographics } = parseDemographics(req.body);
+
+            const { rankings, dFactor, normSource, normGroup, sampleSize, normsLoadedAt } = norms.computeRankings(scores, demographics);
+
+            const response = {
+                success: true,
+                ...reply(req, 'SCORED'),
+                scores: scores,
+                rankings: rankings,
+                dFactor: dFactor,
+                totalComparisons: sampleSize,
+                normSource: normSource,
+                normGroup: normGroup,
+                normsLoadedAt: normsLoadedAt,
+                calculatedAt: clock.now().toISOString()
+            };
+
+            if (normSource === 'parametric') {
+                Object.assign(response, parametricWarning(req));
+            }
+
+            res.json(response);
+
+        } catch (error) {
+            req.log.error('计分时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 解读报告接口：根据作答或分数生成各维度等级、解读和最突出的特质（answers 与 scores 二选一，需要会话令牌）
+    // format=html 时返回可打印的 HTML 页面（含雷达图）
+    app.post('/api/report', requireSessionToken, validate('POST /api/report'), (req, res) => {
+        try {
+            const { answers, scores } = req.body || {};
+
+            if (answers === undefined && scores === undefined) {
+                return sendError(req, res, 400, 'RESULT_PAYLOAD_REQUIRED');
+            }
+            if (answers !== undefined && !SCORING_KEY) {
+                return sendError(req, res, 503, 'SCORING_KEY_UNAVAILABLE');
+            }
+
+            const processedScores = answers !== undefined ? scoreAnswers(answers).scores : pickScores(scores);
+            const { demographics } = parseDemographics(req.body);
+            const { rankings, dFactor, normSource, normGroup } = norms.computeRankings(processedScores, demographics);
+
+            sendReport(req, res, { scores: processedScores, rankings, dFactor, normSource, normGroup });
+
+        } catch (error) {
+            req.log.error('生成报告时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 保存测试结果接口（优先使用 answers 原始作答，由服务端计分；需要会话令牌）
+    // shareable: true 表示允许好友比较，响应中会返回一次性展示的分享令牌
+    // 响应中的 deletionToken 只返回这一次，用于之后删除结果（DELETE /api/results/:id）
+    app.post('/api/results', requireSessionToken, validate('POST /api/results'), async (req, res) => {
+        try {
+            const { answers, scores, shareable } = req.body || {};
+
+            if (answers === undefined && scores === undefined) {
+                return sendError(req, res, 400, 'RESULT_PAYLOAD_REQUIRED');
+            }
+            if (answers !== undefined && !SCORING_KEY) {
+                return sendError(req, res, 503, 'SCORING_KEY_UNAVAILABLE');
+            }
+
+            const processedScores = answers !== undefined ? scoreAnswers(answers).scores : pickScores(scores);
+            const { demographics } = parseDemographics(req.body);
+
+            const db = getDb();
+            if (!db) {
+                return res.status(503).json({
+                    success: false,
+                    ...reply(req, 'DATABASE_UNAVAILABLE')
+                });
+            }
+
+            const { rankings, dFactor, normSource, normGroup, sampleSize } = norms.computeRankings(processedScores, demographics);
+
+            const { result, shareToken, readToken, deletionToken } = await createResult(db, {
+                scores: processedScores,
+                rankings,
+                dFactor,
+                normSource,
+                normGroup,
+                demographics,
+                totalComparisons: sampleSize,
+                accessCode: req.session.code, // 使用会话令牌绑定的访问码
+                sessionId: req.session.sid,
+                shareable: shareable === true
+            });
+
+            req.log.info('已保存测试结果', { resultId: result.id, shareable: Boolean(shareToken) });
+
+            const response = {
+                success: true,
+                ...reply(req, 'RESULT_SAVED'),
+                result: result,
+                readToken: readToken,
+                deletionToken: deletionToken
+            };
+            if (shareToken) response.shareToken = shareToken;
+
+            res.status(201).json(response);
+
+        } catch (error) {
+            req.log.error('保存测试结果时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 按ID读取测试结果接口：凭保存结果时返回的查看令牌（X-Read-Token 请求头或 token 查询参数），不需要会话令牌
+    app.get('/api/results/:id', validate('GET /api/results/:id'), async (req, res) => {
+        try {
+            const readToken = getReadToken(req);
+            if (!readToken) {
+                return sendError(req, res, 401, 'READ_TOKEN_REQUIRED');
+            }
+
+            const db = getDb();
+            if (!db) {
+                return res.status(503).json({
+                    success: false,
+                    ...reply(req, 'DATABASE_UNAVAILABLE')
+                });
+            }
+
+            const result = await findResult(db, req.params.id, readToken);
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    ...reply(req, 'RESULT_NOT_FOUND')
+                });
+            }
+
+            res.json({
+                success: true,
+                ...reply(req, 'RESULT_FOUND'),
+                result: result
+            });
+
+        } catch (error) {
+            req.log.error('读取测试结果时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 已保存测试结果的解读报告（凭查看令牌）；使用保存时计算的百分位，format=html 时返回 HTML 页面
+    app.get('/api/results/:id/report', validate('GET /api/results/:id/report'), async (req, res) => {
+        try {
+            const readToken = getReadToken(req);
+            if (!readToken) {
+                return sendError(req, res, 401, 'READ_TOKEN_REQUIRED');
+            }
+
+            const db = getDb();
+            if (!db) {
+                return res.status(503).json({
+                    success: false,
+                    ...reply(req, 'DATABASE_UNAVAILABLE')
+                });
+            }
+
+            const result = await findResult(db, req.params.id, readToken);
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    ...reply(req, 'RESULT_NOT_FOUND')
+                });
+            }
+
+            sendReport(req, res, result);
+
+        } catch (error) {
+            req.log.error('生成报告时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 已保存测试结果的雷达图（SVG，凭查看令牌；可用 token 查询参数直接放在 <img> 中）：10个维度的百分位，维度名称按请求语言显示
+    app.get('/api/results/:id/chart.svg', validate('GET /api/results/:id/chart.svg'), async (req, res) => {
+        try {
+            const readToken = getReadToken(req);
+            if (!readToken) {
+                return sendError(req, res, 401, 'READ_TOKEN_REQUIRED');
+            }
+
+            const db = getDb();
+            if (!db) {
+                return res.status(503).json({
+                    success: false,
+                    ...reply(req, 'DATABASE_UNAVAILABLE')
+                });
+            }
+
+            const result = await findResult(db, req.params.id, readToken);
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    ...reply(req, 'RESULT_NOT_FOUND')
+                });
+            }
+
+            const report = buildReport(result, { lang: req.lang, ...config.report });
+            res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+            res.set('Content-Security-Policy', REPORT_CSP);
+            res.send(renderReportChart(report));
+
+        } catch (error) {
+            req.log.error('生成雷达图时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 删除测试结果接口：凭保存结果时返回的删除令牌（X-Deletion-Token 请求头），不需要会话令牌
+    app.delete('/api/results/:id', validate('DELETE /api/results/:id'), async (req, res) => {
+        try {
+            const deletionToken = req.get('X-Deletion-Token');
+            if (!deletionToken) {
+                return sendError(req, res, 401, 'DELETION_TOKEN_REQUIRED');
+            }
+
+            const db = getDb();
+            if (!db) {
+                return res.status(503).json({
+                    success: false,
+                    ...reply(req, 'DATABASE_UNAVAILABLE')
+                });
+            }
+
+            const { error } = await deleteResult(db, req.params.id, deletionToken);
+            if (error === 'not_found') {
+                return sendError(req, res, 404, 'RESULT_NOT_FOUND');
+            }
+            if (error === 'invalid_token') {
+                return sendError(req, res, 403, 'DELETION_TOKEN_INVALID');
+            }
+
+            req.log.info('测试结果已被所有者删除', { resultId: req.params.id });
+
+            res.json({
+                success: true,
+                ...reply(req, 'RESULT_DELETED')
+            });
+
+        } catch (error) {
+            req.log.error('删除测试结果时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 开启比较：生成新的分享令牌（旧令牌失效）；只有持有查看令牌（X-Read-Token 请求头）的所有者可以操作
+    app.post('/api/results/:id/share', validate('POST /api/results/:id/share'), async (req, res) => {
+        try {
+            const readToken = getReadToken(req);
+            if (!readToken) {
+                return sendError(req, res, 401, 'READ_TOKEN_REQUIRED');
+            }
+
+            const db = getDb();
+            if (!db) {
+                return res.status(503).json({
+                    success: false,
+                    ...reply(req, 'DATABASE_UNAVAILABLE')
+                });
+            }
+
+            const { result, shareToken, error } = await setResultSharing(db, req.params.id, readToken, true);
+            if (error === 'not_found') {
+                return res.status(404).json({
+                    success: false,
+                    ...reply(req, 'RESULT_NOT_FOUND')
+                });
+            }
+            if (error === 'not_owner') {
+                return res.status(403).json({
+                    success: false,
+                    ...reply(req, 'NOT_RESULT_OWNER')
+                });
+            }
+
+            req.log.info('测试结果已开启比较', { resultId: result.id });
+
+            res.json({
+                success: true,
+                ...reply(req, 'SHARING_ENABLED'),
+                result: result,
+                shareToken: shareToken
+            });
+
+        } catch (error) {
+            req.log.error('开启比较时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 关闭比较：已发出的分享令牌立即失效；同样需要查看令牌
+    app.delete('/api/results/:id/share', validate('DELETE /api/results/:id/share'), async (req, res) => {
+        try {
+            const readToken = getReadToken(req);
+            if (!readToken) {
+                return sendError(req, res, 401, 'READ_TOKEN_REQUIRED');
+            }
+
+            const db = getDb();
+            if (!db) {
+                return res.status(503).json({
+                    success: false,
+                    ...reply(req, 'DATABASE_UNAVAILABLE')
+                });
+            }
+
+            const { result, error } = await setResultSharing(db, req.params.id, readToken, false);
+            if (error === 'not_found') {
+                return res.status(404).json({
+                    success: false,
+                    ...reply(req, 'RESULT_NOT_FOUND')
+                });
+            }
+            if (error === 'not_owner') {
+                return res.status(403).json({
+                    success: false,
+                    ...reply(req, 'NOT_RESULT_OWNER')
+                });
+            }
+
+            req.log.info('测试结果已关闭比较', { resultId: result.id });
+
+            res.json({
+                success: true,
+                ...reply(req, 'SHARING_DISABLED'),
+                result: result
+            });
+
+        } catch (error) {
+            req.log.error('关闭比较时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // 比较两份测试结果（需要会话令牌）
+    // 请求体：{ resultId, readToken, otherResultId, otherReadToken } 或 { resultId, readToken, shareToken }
+    // 按ID只能读取持有查看令牌的自己的结果，他人的结果只能通过分享令牌比较
+    app.post('/api/compare', requireSessionToken, validate('POST /api/compare'), async (req, res) => {
+        try {
+            const { resultId, readToken, otherResultId, otherReadToken, shareToken } = req.body;
+
+            if ((otherResultId === undefined) === (shareToken === undefined)) {
+                return sendError(req, res, 400, 'COMPARE_PARAMS_REQUIRED');
+            }
+
+            const db = getDb();
+            if (!db) {
+                return res.status(503).json({
+                    success: false,
+                    ...reply(req, 'DATABASE_UNAVAILABLE')
+                });
+            }
+
+            const [first, second] = await Promise.all([
+                findComparableResult(db, { id: resultId, readToken }),
+                findComparableResult(db, { id: otherResultId, readToken: otherReadToken, shareToken })
+            ]);
+
+            for (const lookup of [first, second]) {
+                if (lookup.error === 'not_found') {
+                    return res.status(404).json({
+                        success: false,
+                        ...reply(req, 'RESULT_NOT_FOUND')
+                    });
+                }
+            }
+
+            if (first.result.id === second.result.id) {
+                return res.status(400).json({
+                    success: false,
+                    ...reply(req, 'COMPARE_SAME_RESULT')
+                });
+            }
+
+            const comparison = compareResults(first.result, second.result, norms);
+
+            res.json({
+                success: true,
+                ...reply(req, 'RESULTS_COMPARED'),
+                // 不返回对方的结果ID：分享令牌关闭后对方的结果不应再能被读取
+                resultId: first.result.id,
+                comparison: comparison,
+                calculatedAt: clock.now().toISOString()
+            });
+
+        } catch (error) {
+            req.log.error('比较测试结果时发生错误', { error: error });
+            res.status(500).json({
+                success: false,
+                ...reply(req, 'INTERNAL_ERROR')
+            });
+        }
+    });
+
+    // Prometheus 指标：配置了 METRICS_KEY 时需要 Authorization: Bearer <METRICS_KEY>
+    app.get('/metrics', async (req, res) => {
+        try {
+            if (config.metricsKey && !isValidMetricsKey(getBearerToken(req))) {
+                res.set('WWW-Authenticate', 'Bearer');
+                return sendError(req, res, 401, 'METRICS_KEY_INVALID');
+            }
+
+            res.set('Content-Type', METRICS_CONTENT_TYPE);
+            res.send(await metrics.render());
+
+        } catch (error) {
+            req.log.error('输出指标时发生错误', { error: error });
+            sendError(req, res, 500, 'INTERNAL_ERROR');
+        }
+    });
+
+    // OpenAPI 文档：请求与响应的 schema 定义，可用于生成类型化客户端
+    app.get('/api/openapi.json', (req, res) => {
+        res.json(OPENAPI_DOCUMENT);
+    });
+
+    // 未定义的接口
+    app.use((req, res) => {
+        sendError(req, res, 404, 'ROUTE_NOT_FOUND');
+    });
+
+    // 请求体解析错误（JSON 格式错误、超过大小限制）及其他未处理的错误
+    app.use((error, req, res, next) => {
+        if (error.type === 'entity.parse.failed') {
+            return sendError(req, res, 400, 'BODY_INVALID_JSON');
+        }
+        if (error.type === 'entity.too.large') {
+            return sendError(req, res, 413, 'BODY_TOO_LARGE');
+        }
+
+        req.log.error('处理请求时发生错误', { error: error });
+        sendError(req, res, 500, 'INTERNAL_ERROR');
+    });
+
+    // 连接数据库并启用依赖数据库的功能：测试结果、限流/审计日志/IP规则的 MongoDB 存储（传入 stores 时除外），
+    // 然后刷新常模和统计（数据库不可用时常模保持参数化）
+    // init() 时调用；数据库不可用时由定时任务重试，连接恢复后这些功能自动启用。返回数据库（仍不可用时为 null）
+    function connectDatabase() {
+        if (db) return Promise.resolve(db);
+        if (!connectingDB) {
+            connectingDB = attachDatabase().finally(() => {
+                connectingDB = null;
+            });
+        }
+        return connectingDB;
+    }
+
+    async function attachDatabase() {
+        const connected = await connectDB();
+
+        if (connected) {
+            await initResultIndexes(connected);
+
+            // 所有存储初始化成功后再切换，初始化失败时保持原来的存储，下次重试
+            let rateLimitStore = null;
+            if (!stores.rateLimit && config.rateLimitStore !== 'memory') {
+                rateLimitStore = new MongoRateLimitStore(connected);
+                await rateLimitStore.init();
+            }
+
+            let auditStore = null;
+            if (!stores.audit) {
+                auditStore = new MongoAuditStore(connected, { retentionMs: config.retention.auditMs });
+                await auditStore.init();
+            }
+
+            let ruleSet = null;
+            if (!stores.ipRules) {
+                const ruleStore = new MongoIPRuleStore(connected);
+                await ruleStore.init();
+                ruleSet = new IPRuleSet(ruleStore);
+                await ruleSet.reload();
+            }
+
+            if (rateLimitStore) rateLimiter.store = rateLimitStore;
+            if (auditStore) auditLog = new AuditLog(auditStore, { clock });
+            if (ruleSet) ipRules = ruleSet;
+            db = connected;
+
+            logger.info('数据库功能已启用', {
+                rateLimitStore: rateLimiter.store.type,
+                auditStore: auditLog.store.type,
+                ipRuleStore: ipRules.store.type,
+                ipRules: ipRules.list().length
+            });
+        }
+
+        await norms.refresh(db);
+        await statsCache.refresh(db);
+        return db;
+    }
+
+    // 初始化：连接数据库，初始化访问码、常模和统计，恢复状态快照
+    // 数据库连接失败时访问码退回内存存储，排名接口使用参数化常模，限流、审计日志和IP规则使用内存存储直到重新连接
+    // 访问码、状态快照和 IP 哈希盐的存储只在启动时选择：重新连接后仍使用内存存储和本地文件，避免运行中切换丢失已有的数据或改变哈希
+    async function init() {
+        await connectDatabase();
+        if (!accessCodeStore) {
+            accessCodeStore = await initializeAccessCodeStore(db, { accessCodes: config.accessCodes, now: clock.now() });
+        }
+        if (db && !stores.ipHashSalts) {
+            ipHasher.store = new MongoSaltStore(db);
+        }
+        await ipHasher.store.init();
+        logger.info('限流存储', { store: rateLimiter.store.type });
+        logger.info('审计日志存储', { store: auditLog.store.type });
+        logger.info('IP规则存储', { store: ipRules.store.type, rules: ipRules.list().length });
+
+        if (!stateStore) {
+            stateStore = db
+                ? new MongoStateStore(db, { retentionMs: config.security.offenseResetMs })
+                : new FileStateStore(config.stateFile);
+        }
+        await stateStore.init();
+        await restoreState();
+        await ipHasher.sync();
+        logger.info('IP 哈希盐存储', { store: ipHasher.store.type });
+    }
+
+    // 当前状态快照：IP 安全记录、攻击统计，以及内存存储中的访问码、IP 哈希盐和自动生成的 IP 哈希密钥（MongoDB 存储已持久化，不需要保存）
+    function snapshotState() {
+        return {
+            savedAt: clock.now(),
+            counters: { ...ATTACK_DETECTION },
+            securityRecords: Array.from(SECURITY_RECORDS.values()).map(record => record.toSnapshot()),
+            accessCodes: accessCodeStore && accessCodeStore.type === 'memory' ? accessCodeStore.exportRecords() : null,
+            ipHashSalts: ipHasher.store.type === 'memory' ? ipHasher.store.exportSalts() : null,
+            ipHashSecret: ipHasher.store.type === 'memory' ? ipHasher.store.secret : null
+        };
+    }
+
+    async function saveState() {
+        const snapshot = snapshotState();
+        await stateStore.save(snapshot);
+        logger.info('已保存状态快照', {
+            store: stateStore.type,
+            securityRecords: snapshot.securityRecords.length,
+            accessCodes: snapshot.accessCodes ? snapshot.accessCodes.length : undefined
+        });
+    }
+
+    // 恢复上次关闭时保存的状态；已过期可清理的安全记录不再恢复
+    async function restoreState() {
+        let snapshot;
+        try {
+            snapshot = await stateStore.load();
+        } catch (error) {
+            logger.error('读取状态快照失败，从空状态启动', { error: error });
+            return;
+        }
+        if (!snapshot) return;
+
+        if (snapshot.counters) {
+            Object.assign(ATTACK_DETECTION, snapshot.counters);
+        }
+
+        let restored = 0;
+        for (const data of snapshot.securityRecords || []) {
+            const record = createSecurityRecord(data.ip).restore(data);
+            if (record.isStale(config.security.recordTtlMs) || isUnlinkable(record)) continue;
+            SECURITY_RECORDS.set(record.ip, record);
+            restored++;
+        }
+
+        if (snapshot.accessCodes && accessCodeStore.type === 'memory') {
+            accessCodeStore.restoreRecords(snapshot.accessCodes);
+        }
+
+        // 恢复盐（以及未设置 IP_HASH_SECRET 时自动生成的密钥）之后重启前的安全记录仍能与 IP 关联
+        // 过期的盐在 init() 的 sync() 中删除
+        if (snapshot.ipHashSalts && ipHasher.store.type === 'memory') {
+            ipHasher.store.restoreSalts(snapshot.ipHashSalts);
+        }
+        if (snapshot.ipHashSecret && ipHasher.store.type === 'memory') {
+            await ipHasher.store.addSecret(snapshot.ipHashSecret);
+        }
+
+        const blocked = Array.from(SECURITY_RECORDS.values()).filter(record => record.isCurrentlyBlocked()).length;
+        logger.info('已恢复状态快照', {
+            savedAt: snapshot.savedAt,
+            securityRecords: restored,
+            blockedIPs: blocked,
+            accessCodes: snapshot.accessCodes && accessCodeStore.type === 'memory' ? snapshot.accessCodes.length : undefined
+        });
+    }
+
+    // 数据保留任务：删除过期的安全记录，以及超过保留时间的测试结果和审计记录
+    // 返回各类数据删除的数量
+    async function runRetention() {
+        const now = clock.now().getTime();
+        const db = getDb();
+        const purged = {
+            securityRecords: cleanupSecurityRecords(),
+            results: db ? await purgeExpiredResults(db, new Date(now - config.retention.resultsMs)) : 0,
+            auditEvents: await auditLog.purge(new Date(now - config.retention.auditMs))
+        };
+
+        if (purged.results > 0 || purged.auditEvents > 0) {
+            logger.info('数据保留任务已删除过期数据', purged);
+        }
+        return purged;
+    }
+
+    // 启动定时任务：数据保留任务、清理攻击检测窗口、重新连接数据库、刷新常模和统计、同步IP规则和 IP 哈希盐
+    function startTimers() {
+        if (timers.length > 0) return;
+
+        timers.push(setInterval(() => runRetention().catch(error => {
+            logger.error('数据保留任务失败', { error: error });
+        }), RETENTION_INTERVAL));
+        timers.push(setInterval(() => attackDetector.prune(clock.now().getTime()), ALERT_PRUNE_INTERVAL));
+        timers.push(setInterval(() => {
+            if (db) return;
+            connectDatabase().catch(error => {
+                logger.error('重新连接数据库失败', { error: error });
+            });
+        }, DB_RECONNECT_INTERVAL));
+        timers.push(setInterval(() => norms.refresh(db), NORM_REFRESH_INTERVAL));
+        timers.push(setInterval(() => statsCache.refresh(db), STATS_REFRESH_INTERVAL));
+        // IP规则可能在重新连接数据库后才切换为 MongoDB 存储，每次检查当前的存储
+        timers.push(setInterval(() => {
+            if (ipRules.store.type === 'memory') return;
+            ipRules.reload().catch(error => {
+                logger.error('同步IP规则失败', { error: error });
+            });
+        }, IP_RULE_RELOAD_INTERVAL));
+        timers.push(setInterval(() => ipHasher.sync().catch(error => {
+            logger.error('同步 IP 哈希盐失败', { error: error });
+        }), IP_SALT_SYNC_INTERVAL));
+    }
+
+    function stopTimers() {
+        timers.splice(0).forEach(timer => clearInterval(timer));
+    }
+
+    // 开始接收请求；返回 http.Server（port 为 0 时由系统分配端口）
+    let server = null;
+    function listen(port = config.port, host = config.host) {
+        return new Promise((resolve, reject) => {
+            server = app.listen(port, host, error => {
+                if (error) return reject(error);
+                resolve(server);
+            });
+        });
+    }
+
+    // 停止接收新连接，等待处理中的请求完成；超过 timeoutMs 仍未完成时强制断开
+    // 请求完成后保持连接（keep-alive）的连接不再等待超时，定期关闭
+    function drain(timeoutMs) {
+        return new Promise(resolve => {
+            const idleTimer = setInterval(() => server.closeIdleConnections(), 100);
+            const timer = setTimeout(() => {
+                logger.warn('等待超时，强制断开未完成的请求', { timeoutMs: timeoutMs });
+                server.closeAllConnections();
+            }, timeoutMs);
+
+            server.close(() => {
+                clearInterval(idleTimer);
+                clearTimeout(timer);
+                resolve();
+            });
+            server.closeIdleConnections();
+        });
+    }
+
+    // 优雅关闭：停止接收请求并排空处理中的请求，停止定时任务，最后保存状态快照
+    async function close({ timeoutMs = config.shutdownTimeoutMs } = {}) {
+        if (shuttingDown) return;
+        shuttingDown = true;
+
+        if (server) {
+            await drain(timeoutMs);
+            server = null;
+        }
+        stopTimers();
+
+        if (stateStore) {
+            await saveState().catch(error => {
+                logger.error('保存状态快照失败', { error: error });
+            });
+        }
+    }
+
+    return {
+        app,
+        init,
+        connectDatabase,
+        startTimers,
+        stopTimers,
+        cleanupSecurityRecords,
+        runRetention,
+        saveState,
+        listen,
+        close
+    };
+}
+
+module.exports = {
+    createApp
+};
@@ -0,0 +1,176 @@
+// audit_log.js - 安全审计日志（结构化记录，持久化到 MongoDB，支持查询与导出）
+
+const { COLLECTIONS } = require('./db');
+const { SYSTEM_CLOCK } = require('./clock');
+const { logger } = require('./logger');
+
+// 事件类型
+const AUDIT_EVENTS = {
+    CODE_SUCCESS: 'access_code_success',   // 访问码验证成功
+    CODE_FAILURE: 'access_code_failure',   // 访问码验证失败（reason 说明原因）
+    IP_BLOCKED: 'ip_blocked',              // IP 因多次失败被封禁
+    IP_UNBLOCKED: 'ip_unblocked',          // 封禁到期或被管理员解除
+    IP_BANNED: 'ip_banned',                // 管理员手动永久封禁
+    IP_RULE_ADDED: 'ip_rule_added',        // 添加 CIDR 白名单/黑名单规则
+    IP_RULE_REMOVED: 'ip_rule_removed',    // 删除 CIDR 规则
+    ATTACK_ALERT: 'attack_alert',          // 攻击检测警报
+    ADMIN_ACTION: 'admin_action',          // 管理员操作
+    ADMIN_AUTH_FAILURE: 'admin_auth_failure' // 管理员密钥错误或被锁定
+};
+const AUDIT_EVENT_TYPES = Object.values(AUDIT_EVENTS);
+
+// 内存存储最多保留的事件数
+const MEMORY_AUDIT_LIMIT = 10000;
+
+// ips: IP 哈希的候选值（轮换前后的哈希），匹配其中任意一个
+function matchesFilter(event, { types, ips, code, from, to }) {
+    if (types && !types.includes(event.type)) return false;
+    if (ips && !ips.includes(event.ip)) return false;
+    if (code && event.code !== code) return false;
+    if (from && event.timestamp < from) return false;
+    if (to && event.timestamp > to) return false;
+    return true;
+}
+
+// 内存存储：未配置数据库时使用，只保留最近的事件
+class MemoryAuditStore {
+    constructor() {
+        this.type = 'memory';
+        this.events = [];
+    }
+
+    async init() {}
+
+    async insert(event) {
+        this.events.push(event);
+        if (this.events.length > MEMORY_AUDIT_LIMIT) {
+            this.events.splice(0, this.events.length - MEMORY_AUDIT_LIMIT);
+        }
+    }
+
+    async query(filter, { limit, skip }) {
+        const matched = this.events.filter(event => matchesFilter(event, filter)).reverse();
+        return {
+            total: matched.length,
+            events: matched.slice(skip, skip + limit)
+        };
+    }
+
+    async purge(before) {
+        const count = this.events.length;
+        this.events = this.events.filter(event => event.timestamp >= before);
+        return count - this.events.length;
+    }
+
+    async stats() {
+        return {
+            count: this.events.length,
+            oldestAt: this.events.length > 0 ? this.events[0].timestamp : null
+        };
+    }
+}
+
+// MongoDB 存储；retentionMs 为 TTL 索引的保留时间（与数据保留任务使用相同的配置）
+class MongoAuditStore {
+    constructor(db, { retentionMs }) {
+        this.type = 'mongodb';
+        this.collection = db.collection(COLLECTIONS.SECURITY_AUDIT);
+        this.retentionMs = retentionMs;
+    }
+
+    async init() {
+        await Promise.all([
+            this.collection.createIndex({ timestamp: -1 }, { expireAfterSeconds: Math.round(this.retentionMs / 1000) }),
+            this.collection.createIndex({ ip: 1, timestamp: -1 }),
+            this.collection.createIndex({ code: 1, timestamp: -1 }),
+            this.collection.createIndex({ type: 1, timestamp: -1 })
+        ]);
+    }
+
+    async insert(event) {
+        await this.collection.insertOne({ ...event });
+    }
+
+    async query({ types, ips, code, from, to }, { limit, skip }) {
+        const filter = {};
+        if (types) filter.type = { $in: types };
+        if (ips) filter.ip = { $in: ips };
+        if (code) filter.code = code;
+        if (from || to) {
+            filter.timestamp = {};
+            if (from) filter.timestamp.$gte = from;
+            if (to) filter.timestamp.$lte = to;
+        }
+
+        const [total, events] = await Promise.all([
+            this.collection.countDocuments(filter),
+            this.collection.find(filter, { projection: { _id: 0 } })
+                .sort({ timestamp: -1 })
+                .skip(skip)
+                .limit(limit)
+                .toArray()
+        ]);
+
+        return { total, events };
+    }
+
+    async purge(before) {
+        const { deletedCount } = await this.collection.deleteMany({ timestamp: { $lt: before } });
+        return deletedCount;
+    }
+
+    async stats() {
+        const [count, oldest] = await Promise.all([
+            this.collection.estimatedDocumentCount(),
+            this.collection.findOne({}, { sort: { timestamp: 1 }, projection: { timestamp: 1 } })
+        ]);
+        return { count, oldestAt: oldest ? oldest.timestamp : null };
+    }
+}
+
+// 审计日志：写入失败只打印错误，不影响正常请求
+class AuditLog {
+    constructor(store = new MemoryAuditStore(), { clock = SYSTEM_CLOCK } = {}) {
+        this.store = store;
+        this.clock = clock;
+    }
+
+    // fields: { ip, code, reason, actor, details }；ip 为 IP 哈希（见 ip_hashing.js），不保存原始地址
+    record(type, fields = {}) {
+        const event = {
+            type: type,
+            timestamp: this.clock.now(),
+            ip: fields.ip || null,
+            code: fields.code || null,
+            reason: fields.reason || null,
+            actor: fields.actor || null,
+            details: fields.details || null
+        };
+
+        return this.store.insert(event).catch(error => {
+            logger.error('写入审计日志失败', { error: error });
+        });
+    }
+
+    query(filter, page) {
+        return this.store.query(filter, page);
+    }
+
+    // 删除 before 之前的记录，返回删除数量
+    purge(before) {
+        return this.store.purge(before);
+    }
+
+    // { count, oldestAt }
+    stats() {
+        return this.store.stats();
+    }
+}
+
+module.exports = {
+    AUDIT_EVENTS,
+    AUDIT_EVENT_TYPES,
+    MemoryAuditStore,
+    MongoAuditStore,
+    AuditLog
+};
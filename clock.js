@@ -0,0 +1,10 @@
+// clock.js - 时钟（应用通过注入的时钟获取当前时间，测试时可替换为手动推进的时钟）
+
+// 系统时钟：now() 返回当前时间的 Date
+const SYSTEM_CLOCK = {
+    now: () => new Date()
+};
+
+module.exports = {
+    SYSTEM_CLOCK
+};
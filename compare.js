@@ -0,0 +1,83 @@
+// compare.js - 两份测试结果的比较（维度差异、百分位差距与整体相似度）
+
+const { DIMENSIONS } = require('./dimensions');
+
+// 返回差异最大的维度数量
+const TOP_DIFFERENCES = 3;
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// 两组分数的皮尔逊相关（剖面形状是否相似）；任一剖面各维度分数完全相同时为 null
+function profileCorrelation(scoresA, scoresB) {
+    const valuesA = DIMENSIONS.map(dim => scoresA[dim]);
+    const valuesB = DIMENSIONS.map(dim => scoresB[dim]);
+    const meanA = valuesA.reduce((sum, value) => sum + value, 0) / valuesA.length;
+    const meanB = valuesB.reduce((sum, value) => sum + value, 0) / valuesB.length;
+
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (let i = 0; i < valuesA.length; i++) {
+        covariance += (valuesA[i] - meanA) * (valuesB[i] - meanB);
+        varianceA += (valuesA[i] - meanA) ** 2;
+        varianceB += (valuesB[i] - meanB) ** 2;
+    }
+
+    const denominator = Math.sqrt(varianceA * varianceB);
+    return denominator > 0 ? round(covariance / denominator, 3) : null;
+}
+
+// 比较两份结果（a 为自己，b 为对方），norms 为应用的常模（NormStore）
+// 百分位按当前的全体常模重新计算，避免两份结果保存时使用的常模分组或版本不同而无法直接比较
+function compareResults(a, b, norms) {
+    const rankedA = norms.computeRankings(a.scores);
+    const rankedB = norms.computeRankings(b.scores);
+
+    const dimensions = {};
+    let totalGap = 0;
+    for (const dim of DIMENSIONS) {
+        const percentileGap = rankedA.rankings[dim] - rankedB.rankings[dim];
+        dimensions[dim] = {
+            scoreA: a.scores[dim],
+            scoreB: b.scores[dim],
+            difference: a.scores[dim] - b.scores[dim],
+            percentileA: rankedA.rankings[dim],
+            percentileB: rankedB.rankings[dim],
+            percentileGap: percentileGap
+        };
+        totalGap += Math.abs(percentileGap);
+    }
+
+    // 相似度：100 减去各维度百分位差距的平均值（0-100，越高越相似）
+    const similarity = round(100 - totalGap / DIMENSIONS.length, 1);
+
+    const topDifferences = [...DIMENSIONS]
+        .sort((x, y) => Math.abs(dimensions[y].percentileGap) - Math.abs(dimensions[x].percentileGap))
+        .slice(0, TOP_DIFFERENCES)
+        .map(dim => ({ dimension: dim, ...dimensions[dim] }));
+
+    return {
+        dimensions,
+        dFactor: {
+            scoreA: rankedA.dFactor.score,
+            scoreB: rankedB.dFactor.score,
+            percentileA: rankedA.dFactor.percentile,
+            percentileB: rankedB.dFactor.percentile,
+            percentileGap: rankedA.dFactor.percentile - rankedB.dFactor.percentile
+        },
+        similarity,
+        profileCorrelation: profileCorrelation(a.scores, b.scores),
+        topDifferences,
+        normSource: rankedA.normSource,
+        totalComparisons: rankedA.sampleSize
+    };
+}
+
+module.exports = {
+    TOP_DIFFERENCES,
+    profileCorrelation,
+    compareResults
+};
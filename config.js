@@ -0,0 +1,60 @@
+// config.js - 应用配置（从环境变量读取，createApp 使用；测试时可传入自定义的 env）
+
+const path = require('path');
+const { loadAdminKeys } = require('./admin_auth');
+const { loadPolicies } = require('./rate_limit');
+const { loadLoggingConfig } = require('./logger');
+const { loadIPHashConfig } = require('./ip_hashing');
+const { loadReportConfig } = require('./report');
+
+// 读取应用配置（env 默认为 process.env）
+function loadConfig(env = process.env) {
+    // 连续失败封禁规则：失败次数阈值与首次封禁时长（分钟）
+    const blockMinutes = parseInt(env.SECURITY_BLOCK_MINUTES) || 15;
+
+    // 重复封禁时逐级延长（分钟）：第 n 次封禁使用第 n 个值，超出后保持最后一个
+    // SECURITY_BLOCK_ESCALATION_MINUTES 例如 "15,60,240,1440"
+    const escalation = (env.SECURITY_BLOCK_ESCALATION_MINUTES || '')
+        .split(',').map(value => parseInt(value)).filter(value => value > 0);
+
+    return {
+        port: parseInt(env.PORT) || 8000, // Koyeb 默认通常推荐 8000 或 8080
+        host: env.HOST || '0.0.0.0',
+        accessCodes: env.ACCESS_CODES,
+        adminKeys: loadAdminKeys(env),
+        rateLimitPolicies: loadPolicies(env),
+        // RATE_LIMIT_STORE=memory 可强制使用进程内存储
+        rateLimitStore: env.RATE_LIMIT_STORE === 'memory' ? 'memory' : 'auto',
+        // VALIDATE_RESPONSES=true 时检查响应是否符合 schema（开发和测试环境使用）
+        validateResponses: env.VALIDATE_RESPONSES === 'true',
+        // 设置后 GET /metrics 需要 Authorization: Bearer <METRICS_KEY>
+        metricsKey: env.METRICS_KEY || null,
+        // 关闭时等待处理中请求完成的最长时间，默认10秒
+        shutdownTimeoutMs: (parseInt(env.SHUTDOWN_TIMEOUT_SECONDS) || 10) * 1000,
+        // 未配置数据库时，状态快照保存到该文件
+        stateFile: env.STATE_FILE || path.join(__dirname, '.state', 'snapshot.json'),
+        // 日志级别与 IP、访问码的脱敏方式（LOG_LEVEL、LOG_IP_MODE 等，见 logger.js）
+        logging: loadLoggingConfig(env),
+        // IP 只以带密钥的哈希保存，每个周期随机生成盐、过期后删除（IP_HASH_SECRET、IP_HASH_ROTATION_HOURS，见 ip_hashing.js）
+        ipHashing: loadIPHashConfig(env),
+        // 解读报告的等级分界与最突出特质的数量（REPORT_BAND_CUTOFFS、REPORT_HIGHLIGHT_COUNT，见 report.js）
+        report: loadReportConfig(env),
+        // 数据保留策略：数据保留任务定期删除超过保留时间的测试结果和审计记录
+        retention: {
+            resultsMs: (parseInt(env.RESULT_RETENTION_DAYS) || 365) * 24 * 60 * 60 * 1000,
+            auditMs: (parseInt(env.AUDIT_RETENTION_DAYS) || 180) * 24 * 60 * 60 * 1000
+        },
+        security: {
+            maxFailedAttempts: parseInt(env.SECURITY_MAX_FAILED_ATTEMPTS) || 5,
+            blockEscalationMinutes: escalation.length > 0 ? escalation : [blockMinutes, 60, 240, 1440],
+            // 超过该时间没有再次被封禁，封禁等级清零（默认7天）
+            offenseResetMs: (parseInt(env.SECURITY_OFFENSE_RESET_HOURS) || 7 * 24) * 60 * 60 * 1000,
+            // 无活动的安全记录保存24小时（SECURITY_RECORD_RETENTION_HOURS）
+            recordTtlMs: (parseInt(env.SECURITY_RECORD_RETENTION_HOURS) || 24) * 60 * 60 * 1000
+        }
+    };
+}
+
+module.exports = {
+    loadConfig
+};
@@ -0,0 +1,26 @@
+// csv.js - CSV 导出工具
+
+// 转义单元格：包含逗号、引号或换行时用双引号包裹
+function escapeCSVValue(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+// columns: 列名数组，按顺序从每行对象中取值
+function toCSV(rows, columns) {
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeCSVValue(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    escapeCSVValue,
+    toCSV
+};
@@ -0,0 +1,97 @@
+// db.js - MongoDB 连接管理（服务端共用）
+
+const { MongoClient } = require('mongodb');
+const { logger } = require('./logger');
+
+const DB_NAME = process.env.MONGO_DB_NAME || 'darkfactorDB';
+
+// 集合名称
+const COLLECTIONS = {
+    SIMULATED_TESTS: 'simulated_tests', // seed.js 生成的虚拟常模数据
+    TEST_RESULTS: 'test_results',        // 用户提交的真实测试结果
+    ACCESS_CODES: 'access_codes',        // 访问码及其使用记录
+    RATE_LIMITS: 'rate_limits',          // 限流计数（多实例共享）
+    SECURITY_AUDIT: 'security_audit',    // 安全审计日志
+    IP_RULES: 'ip_rules',                // CIDR 白名单与黑名单
+    SECURITY_RECORDS: 'security_records', // 关闭时保存的IP安全记录（封禁状态）
+    APP_STATE: 'app_state',              // 关闭时保存的其他进程状态（攻击统计）
+    IP_HASH_SALTS: 'ip_hash_salts'       // IP 哈希的随机盐（每个轮换周期一个，过期后删除）和未配置时自动生成的密钥
+};
+
+let client = null;
+let db = null;
+let connecting = null;
+let warnedMissingURI = false; // 应用会定时重试连接，缺少配置的警告只输出一次
+
+// 清理 URI - 去除可能存在的引号和空白字符
+function cleanMongoURI(uri) {
+    if (!uri) return '';
+    return uri.trim().replace(/^["']|["']$/g, '');
+}
+
+// 连接数据库；失败时返回 null，由调用方决定如何降级
+async function connectDB() {
+    if (db) return db;
+    if (connecting) return connecting;
+
+    const uri = cleanMongoURI(process.env.MONGO_URI);
+
+    if (!uri) {
+        if (!warnedMissingURI) {
+            logger.warn('未设置 MONGO_URI 环境变量，数据库功能不可用');
+            warnedMissingURI = true;
+        }
+        return null;
+    }
+
+    if (!uri.startsWith('mongodb://') && !uri.startsWith('mongodb+srv://')) {
+        logger.error("MONGO_URI 格式不正确，必须以 'mongodb://' 或 'mongodb+srv://' 开头");
+        return null;
+    }
+
+    connecting = (async () => {
+        const newClient = new MongoClient(uri, {
+            serverSelectionTimeoutMS: 10000, // 10秒超时
+            connectTimeoutMS: 10000,
+        });
+
+        try {
+            await newClient.connect();
+            client = newClient;
+            db = client.db(DB_NAME);
+            logger.info('已连接到 MongoDB 数据库', { database: DB_NAME });
+            return db;
+        } catch (error) {
+            logger.error('连接 MongoDB 失败', { error: error });
+            await newClient.close().catch(() => {});
+            return null;
+        } finally {
+            connecting = null;
+        }
+    })();
+
+    return connecting;
+}
+
+// 获取当前数据库实例（未连接时为 null）
+function getDb() {
+    return db;
+}
+
+async function closeDB() {
+    if (client) {
+        await client.close();
+        logger.info('数据库连接已关闭');
+    }
+    client = null;
+    db = null;
+}
+
+module.exports = {
+    DB_NAME,
+    COLLECTIONS,
+    cleanMongoURI,
+    connectDB,
+    getDb,
+    closeDB
+};
@@ -0,0 +1,111 @@
+// demographics.js - 人口统计字段（年龄段、性别、国家）与常模分组
+
+// 可选的人口统计字段；顺序也是常模分组回退时保留的优先级（越靠前越晚被舍弃）
+const DEMOGRAPHIC_FIELDS = ['ageBand', 'gender', 'country'];
+
+const AGE_BANDS = ['18-24', '25-34', '35-44', '45-54', '55-64', '65+'];
+const GENDERS = ['female', 'male', 'nonbinary', 'other'];
+
+// 国家使用 ISO 3166-1 alpha-2 代码（如 CN、US）
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+
+// 分组样本数低于该值时回退到更宽泛的分组
+const NORM_GROUP_MIN_SAMPLES = parseInt(process.env.NORM_GROUP_MIN_SAMPLES) || 100;
+
+function isValidDemographicValue(field, value) {
+    if (field === 'ageBand') return AGE_BANDS.includes(value);
+    if (field === 'gender') return GENDERS.includes(value);
+    if (field === 'country') return COUNTRY_PATTERN.test(value);
+    return false;
+}
+
+// 从请求体中读取人口统计字段（均可省略）；返回 { demographics } 或 { errors: [{ field, code, params }] }
+function parseDemographics(body) {
+    const demographics = {};
+    const errors = [];
+
+    for (const field of DEMOGRAPHIC_FIELDS) {
+        let value = body ? body[field] : undefined;
+        if (value === undefined || value === null || value === '') continue;
+
+        if (typeof value === 'string') {
+            value = field === 'country' ? value.trim().toUpperCase() : value.trim().toLowerCase();
+        }
+
+        if (!isValidDemographicValue(field, value)) {
+            errors.push(demographicError(field));
+            continue;
+        }
+        demographics[field] = value;
+    }
+
+    return errors.length > 0 ? { errors } : { demographics };
+}
+
+function demographicError(field) {
+    if (field === 'country') return { field, code: 'COUNTRY_INVALID' };
+    const allowed = field === 'ageBand' ? AGE_BANDS : GENDERS;
+    return { field, code: 'DEMOGRAPHIC_VALUE_INVALID', params: { field, allowed: allowed.join(', ') } };
+}
+
+// 只保留有效的人口统计字段（读取数据库文档时使用）
+function pickDemographics(source) {
+    const demographics = {};
+    if (!source) return demographics;
+
+    for (const field of DEMOGRAPHIC_FIELDS) {
+        if (isValidDemographicValue(field, source[field])) {
+            demographics[field] = source[field];
+        }
+    }
+    return demographics;
+}
+
+// 分组键：按 DEMOGRAPHIC_FIELDS 顺序拼接，全体样本的分组键为空字符串
+function normGroupKey(fields) {
+    return DEMOGRAPHIC_FIELDS
+        .filter(field => fields[field] !== undefined)
+        .map(field => `${field}=${fields[field]}`)
+        .join('|');
+}
+
+// 一个样本所属的全部分组（所提供字段的每一种组合，包括全体）
+function normGroupKeysFor(demographics) {
+    const present = DEMOGRAPHIC_FIELDS.filter(field => demographics[field] !== undefined);
+    const keys = [];
+
+    for (let mask = 0; mask < 1 << present.length; mask++) {
+        const fields = {};
+        present.forEach((field, index) => {
+            if (mask & (1 << index)) fields[field] = demographics[field];
+        });
+        keys.push(normGroupKey(fields));
+    }
+    return keys;
+}
+
+// 回退顺序：从用户提供的全部字段开始，每次舍弃优先级最低的字段，最后是全体样本
+function normGroupFallbackChain(demographics) {
+    const chain = [];
+    const fields = { ...demographics };
+
+    chain.push({ ...fields });
+    for (const field of [...DEMOGRAPHIC_FIELDS].reverse()) {
+        if (fields[field] === undefined) continue;
+        delete fields[field];
+        chain.push({ ...fields });
+    }
+    return chain;
+}
+
+module.exports = {
+    DEMOGRAPHIC_FIELDS,
+    AGE_BANDS,
+    GENDERS,
+    NORM_GROUP_MIN_SAMPLES,
+    parseDemographics,
+    pickDemographics,
+    normGroupKey,
+    normGroupKeysFor,
+    normGroupFallbackChain
+};
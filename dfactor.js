@@ -0,0 +1,95 @@
+// dfactor.js - 黑暗人格总因子 (D) 的合成分数与等级划分
+
+const { DIMENSIONS } = require('./dimensions');
+const { logger } = require('./logger');
+
+// 默认各维度等权
+const DEFAULT_D_WEIGHTS = Object.fromEntries(DIMENSIONS.map(dim => [dim, 1]));
+
+// 默认等级划分（按 D 百分位，maxPercentile 为该等级的上限，含）
+// 接口只返回稳定的等级代码，显示名称由客户端或解读报告按语言翻译（BAND_<等级>）
+const DEFAULT_D_BANDS = [
+    { band: 'low', maxPercentile: 25 },
+    { band: 'average', maxPercentile: 75 },
+    { band: 'high', maxPercentile: 100 }
+];
+
+// 解析 JSON 格式的环境变量，格式错误时使用默认值
+function parseJSONEnv(env, name, fallback) {
+    const raw = env[name];
+    if (!raw) return fallback;
+
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        logger.error('环境变量不是有效的 JSON，使用默认配置', { name: name, error: error });
+        return fallback;
+    }
+}
+
+// 权重配置 D_WEIGHTS，例如 {"sadism":2,"moral":0.5}；未列出的维度权重为1（env 默认为 process.env）
+function loadDWeights(env = process.env) {
+    const configured = parseJSONEnv(env, 'D_WEIGHTS', {});
+    const weights = { ...DEFAULT_D_WEIGHTS };
+
+    for (const dim of DIMENSIONS) {
+        const weight = configured[dim];
+        if (weight === undefined) continue;
+
+        if (typeof weight === 'number' && Number.isFinite(weight) && weight >= 0) {
+            weights[dim] = weight;
+        } else {
+            logger.warn('D_WEIGHTS 中的权重无效，使用默认值1', { dimension: dim });
+        }
+    }
+
+    if (DIMENSIONS.every(dim => weights[dim] === 0)) {
+        logger.warn('D_WEIGHTS 的权重全部为0，使用等权');
+        return { ...DEFAULT_D_WEIGHTS };
+    }
+
+    return weights;
+}
+
+// 等级配置 D_BANDS，例如 [{"band":"low","maxPercentile":30}, ...]（env 默认为 process.env）
+function loadDBands(env = process.env) {
+    const configured = parseJSONEnv(env, 'D_BANDS', DEFAULT_D_BANDS);
+
+    const isValid = Array.isArray(configured) && configured.length > 0 &&
+        configured.every(item => item && typeof item.band === 'string' &&
+            typeof item.maxPercentile === 'number') &&
+        configured.some(item => item.maxPercentile >= 100);
+
+    if (!isValid) {
+        logger.warn('D_BANDS 配置无效（需要至少一个 maxPercentile >= 100 的等级），使用默认等级');
+        return DEFAULT_D_BANDS;
+    }
+
+    return [...configured].sort((a, b) => a.maxPercentile - b.maxPercentile);
+}
+
+const D_WEIGHTS = loadDWeights();
+const D_BANDS = loadDBands();
+
+// D 分数：各维度分数的加权平均，与单个维度同为 7-35 分的尺度（weights 默认为 D_WEIGHTS）
+function computeDScore(scores, weights = D_WEIGHTS) {
+    const totalWeight = DIMENSIONS.reduce((sum, dim) => sum + weights[dim], 0);
+    const weighted = DIMENSIONS.reduce((sum, dim) => sum + weights[dim] * scores[dim], 0);
+    return Math.round(weighted / totalWeight * 100) / 100;
+}
+
+// 根据 D 百分位确定等级（bands 默认为 D_BANDS）
+function getDBand(percentile, bands = D_BANDS) {
+    const match = bands.find(item => percentile <= item.maxPercentile) || bands[bands.length - 1];
+    return { band: match.band };
+}
+
+module.exports = {
+    DEFAULT_D_BANDS,
+    D_WEIGHTS,
+    D_BANDS,
+    loadDWeights,
+    loadDBands,
+    computeDScore,
+    getDBand
+};
@@ -0,0 +1,17 @@
+// dimensions.js - 黑暗人格测试的维度定义（服务端与播种脚本共用）
+
+// 维度列表
+const DIMENSIONS = [
+    'egoism', 'greed', 'mach', 'moral', 'narcissism',
+    'power', 'psychopathy', 'sadism', 'selfcentered', 'spitefulness'
+];
+
+// 每个维度的分数范围（7 道题，每题 1-5 分）
+const SCORE_MIN = 7;
+const SCORE_MAX = 35;
+
+module.exports = {
+    DIMENSIONS,
+    SCORE_MIN,
+    SCORE_MAX
+};
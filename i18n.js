@@ -0,0 +1,104 @@
+// i18n.js - 接口消息国际化（稳定的消息代码 + 按 Accept-Language 或 lang 参数选择语言）
+
+const CATALOGS = {
+    zh: require('./locales/zh.json'),
+    en: require('./locales/en.json')
+};
+const SUPPORTED_LANGS = Object.keys(CATALOGS);
+
+// 未指定语言或语言不受支持时使用的默认语言
+const DEFAULT_LANG = SUPPORTED_LANGS.includes(process.env.DEFAULT_LANG) ? process.env.DEFAULT_LANG : 'zh';
+
+// 语言标签转换为支持的语言（zh-CN → zh，en-US → en），不支持时返回 null
+function matchLang(tag) {
+    if (typeof tag !== 'string') return null;
+    const primary = tag.trim().toLowerCase().split('-')[0];
+    return SUPPORTED_LANGS.includes(primary) ? primary : null;
+}
+
+// 解析 Accept-Language（如 "en-US,en;q=0.9,zh;q=0.8"），按权重选择第一个支持的语言
+function parseAcceptLanguage(header) {
+    if (!header) return null;
+
+    const candidates = String(header).split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+            const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+            return { tag, q: Number.isFinite(q) ? q : 0, index };
+        })
+        .filter(candidate => candidate.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    for (const candidate of candidates) {
+        const lang = matchLang(candidate.tag);
+        if (lang) return lang;
+    }
+    return null;
+}
+
+// 请求语言：?lang= 参数优先，其次 Accept-Language，最后默认语言
+function resolveLang(req) {
+    return matchLang(req.query && req.query.lang) ||
+        parseAcceptLanguage(req.get('Accept-Language')) ||
+        DEFAULT_LANG;
+}
+
+// 查找消息模板；当前语言缺少时退回默认语言，都没有时返回代码本身
+function lookup(lang, code) {
+    const catalog = CATALOGS[lang] || CATALOGS[DEFAULT_LANG];
+    if (catalog[code] !== undefined) return catalog[code];
+    if (CATALOGS[DEFAULT_LANG][code] !== undefined) return CATALOGS[DEFAULT_LANG][code];
+    return code;
+}
+
+// 翻译消息代码；模板中的 {name} 替换为 params.name
+// 模板为对象时按 params.count 选择复数形式（{ one, other }）
+function t(lang, code, params = {}) {
+    let template = lookup(lang, code);
+    if (typeof template === 'object') {
+        const form = new Intl.PluralRules(lang).select(params.count);
+        template = template[form] || template.other;
+    }
+
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        params[name] === undefined ? match : String(params[name]));
+}
+
+// 时长的本地化文本：2 小时以内按分钟，更长按小时（均向上取整），1 分钟以内按秒
+function formatDuration(lang, seconds) {
+    if (seconds < 60) return t(lang, 'DURATION_SECONDS', { count: Math.max(1, Math.ceil(seconds)) });
+    if (seconds < 2 * 60 * 60) return t(lang, 'DURATION_MINUTES', { count: Math.ceil(seconds / 60) });
+    return t(lang, 'DURATION_HOURS', { count: Math.ceil(seconds / 3600) });
+}
+
+// 响应中的 { messageCode, message }，直接展开到响应对象中使用
+// （字段名不用 code，避免与访问码接口已有的 code 字段冲突）
+function reply(req, code, params) {
+    return { messageCode: code, message: t(req.lang || DEFAULT_LANG, code, params) };
+}
+
+// 为带有 { code, ...params } 的错误明细列表补充本地化的 message
+function localizeErrors(req, errors) {
+    return errors.map(({ code, params, ...rest }) => ({ ...rest, ...reply(req, code, params) }));
+}
+
+// 中间件：确定请求语言并设置 Content-Language
+function i18nMiddleware(req, res, next) {
+    req.lang = resolveLang(req);
+    res.set('Content-Language', req.lang);
+    res.vary('Accept-Language');
+    next();
+}
+
+module.exports = {
+    SUPPORTED_LANGS,
+    DEFAULT_LANG,
+    parseAcceptLanguage,
+    resolveLang,
+    t,
+    formatDuration,
+    reply,
+    localizeErrors,
+    i18nMiddleware
+};
@@ -0,0 +1,224 @@
+// ip_hashing.js - IP 匿名化：安全记录、限流计数和审计日志只保存 IP 的带密钥哈希，盐按固定周期轮换
+
+const crypto = require('crypto');
+const { COLLECTIONS } = require('./db');
+const { SYSTEM_CLOCK } = require('./clock');
+const { logger } = require('./logger');
+
+// 读取 IP 哈希配置（env 默认为 process.env）
+// IP_HASH_SECRET: 哈希密钥，多实例必须相同；未设置时随机生成并与盐保存在一起（数据库或状态快照）
+// IP_HASH_ROTATION_HOURS: 盐的轮换周期，默认24小时
+function loadIPHashConfig(env = process.env) {
+    return {
+        secret: env.IP_HASH_SECRET || null,
+        rotationMs: (parseInt(env.IP_HASH_ROTATION_HOURS) || 24) * 60 * 60 * 1000
+    };
+}
+
+function generateSalt() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+// 内存存储：未配置数据库时使用，盐和自动生成的密钥随状态快照保存（见 app.js 的 snapshotState）
+class MemorySaltStore {
+    constructor() {
+        this.type = 'memory';
+        this.salts = new Map(); // 周期序号 → 盐
+        this.secret = null;     // 未设置 IP_HASH_SECRET 时自动生成的密钥
+    }
+
+    async init() {}
+
+    // 保存自动生成的密钥；已有密钥时保留已有的，返回实际使用的密钥
+    async addSecret(secret) {
+        if (!this.secret) this.secret = secret;
+        return this.secret;
+    }
+
+    async list() {
+        return this.exportSalts();
+    }
+
+    // 保存周期的盐；该周期已有盐时保留已有的，返回实际使用的盐
+    async add(epoch, salt) {
+        if (!this.salts.has(epoch)) this.salts.set(epoch, salt);
+        return this.salts.get(epoch);
+    }
+
+    async deleteBefore(epoch) {
+        for (const saved of this.salts.keys()) {
+            if (saved < epoch) this.salts.delete(saved);
+        }
+    }
+
+    exportSalts() {
+        return Array.from(this.salts, ([epoch, salt]) => ({ epoch, salt }));
+    }
+
+    restoreSalts(salts) {
+        for (const { epoch, salt } of salts) {
+            this.salts.set(epoch, salt);
+        }
+    }
+}
+
+// 自动生成的密钥在 MongoDB 集合中的文档ID（盐的文档ID为周期序号）
+const SECRET_DOC_ID = 'secret';
+
+// MongoDB 存储：多实例共享同一周期的盐和自动生成的密钥
+class MongoSaltStore {
+    constructor(db) {
+        this.type = 'mongodb';
+        this.collection = db.collection(COLLECTIONS.IP_HASH_SALTS);
+    }
+
+    async init() {}
+
+    async list() {
+        const docs = await this.collection.find({ _id: { $type: 'number' } }).toArray();
+        return docs.map(doc => ({ epoch: doc._id, salt: doc.salt }));
+    }
+
+    // 写入文档（已存在时保留原值），返回实际保存的文档；多个实例同时写入时以先写入的为准
+    async insertOnce(id, fields) {
+        try {
+            await this.collection.updateOne(
+                { _id: id },
+                { $setOnInsert: { ...fields, createdAt: new Date() } },
+                { upsert: true }
+            );
+        } catch (error) {
+            if (error.code !== 11000) throw error; // 并发插入时的重复键
+        }
+        return this.collection.findOne({ _id: id });
+    }
+
+    async add(epoch, salt) {
+        const doc = await this.insertOnce(epoch, { salt: salt });
+        return doc.salt;
+    }
+
+    async addSecret(secret) {
+        const doc = await this.insertOnce(SECRET_DOC_ID, { secret: secret });
+        return doc.secret;
+    }
+
+    // 只删除盐（$lt 只匹配数值类型的文档ID，不影响密钥）
+    async deleteBefore(epoch) {
+        await this.collection.deleteMany({ _id: { $lt: epoch } });
+    }
+}
+
+// 每个轮换周期使用随机生成的盐，哈希的密钥由 IP_HASH_SECRET 和盐共同派生：
+// 泄露盐（例如数据库备份）时没有密钥也无法穷举 IP；盐在上一周期结束后从存储中删除，之后即使持有密钥也无法再关联旧哈希
+// 未设置 IP_HASH_SECRET 时随机生成密钥并与盐保存在一起，重启和多实例仍使用同一密钥（此时泄露存储即泄露密钥）
+// sync() 从存储加载密钥和盐并预先生成下一周期的盐，多实例在轮换时使用相同的盐；启动时和定时调用
+class IPHasher {
+    constructor({ secret, rotationMs = 24 * 60 * 60 * 1000, clock = SYSTEM_CLOCK, store = new MemorySaltStore() } = {}) {
+        if (!secret) {
+            logger.warn('未设置 IP_HASH_SECRET 环境变量，使用随机生成并与盐保存在一起的密钥');
+        }
+        this.secret = secret || crypto.randomBytes(32).toString('hex');
+        this.secretConfigured = Boolean(secret);
+        this.rotationMs = rotationMs;
+        this.clock = clock;
+        this.store = store;
+        this.keys = new Map(); // 周期序号 → 由盐派生的哈希密钥（当前、上一和下一周期）
+        this.retainedKey = null; // retainedHash() 的密钥
+    }
+
+    epochAt(now = this.clock.now()) {
+        return Math.floor(now.getTime() / this.rotationMs);
+    }
+
+    deriveKey(salt) {
+        return crypto.createHmac('sha256', this.secret).update(`ip-salt:${salt}`).digest();
+    }
+
+    // 加载（或保存自动生成的）密钥，删除过期的盐，加载当前和上一周期的盐，并生成当前和下一周期缺少的盐
+    async sync() {
+        if (!this.secretConfigured) {
+            const secret = await this.store.addSecret(this.secret);
+            if (secret !== this.secret) {
+                this.secret = secret;
+                this.retainedKey = null;
+            }
+        }
+
+        const epoch = this.epochAt();
+        await this.store.deleteBefore(epoch - 1);
+
+        const keys = new Map();
+        for (const { epoch: saved, salt } of await this.store.list()) {
+            if (saved >= epoch - 1) keys.set(saved, this.deriveKey(salt));
+        }
+        for (const upcoming of [epoch, epoch + 1]) {
+            if (!keys.has(upcoming)) keys.set(upcoming, this.deriveKey(await this.store.add(upcoming, generateSalt())));
+        }
+        this.keys = keys;
+    }
+
+    keyFor(epoch) {
+        if (!this.keys.has(epoch)) {
+            for (const cached of this.keys.keys()) {
+                if (cached < epoch - 1) this.keys.delete(cached);
+            }
+            // 尚未同步到的周期（例如存储暂时不可用）先使用本地生成的盐并在后台保存；
+            // 其他实例已保存该周期的盐时，下次 sync() 后改用已保存的盐
+            const salt = generateSalt();
+            this.keys.set(epoch, this.deriveKey(salt));
+            this.store.add(epoch, salt).catch(error => {
+                logger.error('保存 IP 哈希盐失败', { error: error });
+            });
+        }
+        return this.keys.get(epoch);
+    }
+
+    // 不随盐轮换的哈希：只用于被封禁或有封禁等级的安全记录，使封禁跨越轮换保留
+    // 密钥只由 IP_HASH_SECRET 派生；记录的封禁状态清除后换回轮换的哈希（见 app.js 的 rekeySecurityRecord）
+    retainedHash(value) {
+        if (!this.retainedKey) {
+            this.retainedKey = crypto.createHmac('sha256', this.secret).update('ip-retained').digest();
+        }
+        return crypto.createHmac('sha256', this.retainedKey).update(String(value)).digest('hex').slice(0, 32);
+    }
+
+    hashWith(epoch, value) {
+        return crypto.createHmac('sha256', this.keyFor(epoch)).update(String(value)).digest('hex').slice(0, 32);
+    }
+
+    // 当前周期的哈希
+    hash(value) {
+        return this.hashWith(this.epochAt(), value);
+    }
+
+    // [当前周期的哈希, 上一周期的哈希]：轮换后的第一个周期内仍能找到轮换前的记录
+    candidates(value) {
+        const epoch = this.epochAt();
+        return [this.hashWith(epoch, value), this.hashWith(epoch - 1, value)];
+    }
+
+    // 是否像是本模块生成的哈希（管理接口可直接传入哈希）
+    isHash(value) {
+        return typeof value === 'string' && /^[0-9a-f]{32}$/.test(value);
+    }
+
+    status() {
+        const epoch = this.epochAt();
+        return {
+            algorithm: 'HMAC-SHA256',
+            secretConfigured: this.secretConfigured,
+            saltStorage: this.store.type,
+            rotationHours: this.rotationMs / (60 * 60 * 1000),
+            currentSaltSince: new Date(epoch * this.rotationMs),
+            nextRotationAt: new Date((epoch + 1) * this.rotationMs)
+        };
+    }
+}
+
+module.exports = {
+    loadIPHashConfig,
+    MemorySaltStore,
+    MongoSaltStore,
+    IPHasher
+};
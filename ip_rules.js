@@ -0,0 +1,152 @@
+// ip_rules.js - 管理员维护的 CIDR 白名单与黑名单（支持 IPv4 与 IPv6）
+
+const crypto = require('crypto');
+const net = require('net');
+const { COLLECTIONS } = require('./db');
+const { normalizeIP, parseCIDR } = require('./ip_utils');
+
+const IP_RULE_TYPES = ['allow', 'deny'];
+
+// 内存存储：未配置数据库时使用，重启后规则丢失
+class MemoryIPRuleStore {
+    constructor() {
+        this.type = 'memory';
+        this.rules = new Map();
+    }
+
+    async init() {}
+
+    async list() {
+        return Array.from(this.rules.values());
+    }
+
+    async insert(rule) {
+        this.rules.set(rule.id, { ...rule });
+    }
+
+    async remove(id) {
+        return this.rules.delete(id);
+    }
+}
+
+// MongoDB 存储：多实例共享规则
+class MongoIPRuleStore {
+    constructor(db) {
+        this.type = 'mongodb';
+        this.collection = db.collection(COLLECTIONS.IP_RULES);
+    }
+
+    async init() {
+        await this.collection.createIndex({ type: 1, cidr: 1 }, { unique: true });
+    }
+
+    async list() {
+        const docs = await this.collection.find({}).sort({ createdAt: 1 }).toArray();
+        return docs.map(({ _id, ...rule }) => ({ id: _id, ...rule }));
+    }
+
+    async insert({ id, ...rule }) {
+        await this.collection.insertOne({ _id: id, ...rule });
+    }
+
+    async remove(id) {
+        const result = await this.collection.deleteOne({ _id: id });
+        return result.deletedCount > 0;
+    }
+}
+
+// 规则集：规则缓存在内存中的 BlockList 里，白名单优先于黑名单
+class IPRuleSet {
+    constructor(store = new MemoryIPRuleStore()) {
+        this.store = store;
+        this.rules = [];
+        this.allowList = new net.BlockList();
+        this.denyList = new net.BlockList();
+    }
+
+    // 从存储重新加载规则（多实例时由定时任务调用，同步其他实例的修改）
+    async reload() {
+        this.rules = await this.store.list();
+        this.rebuild();
+        return this.rules;
+    }
+
+    rebuild() {
+        const allowList = new net.BlockList();
+        const denyList = new net.BlockList();
+
+        for (const rule of this.rules) {
+            const parsed = parseCIDR(rule.cidr);
+            if (!parsed) continue;
+            (rule.type === 'allow' ? allowList : denyList).addSubnet(parsed.address, parsed.prefix, parsed.family);
+        }
+
+        this.allowList = allowList;
+        this.denyList = denyList;
+    }
+
+    list() {
+        return [...this.rules];
+    }
+
+    // 添加规则；返回 { rule } 或 { error, params }（error 为 i18n 消息代码）
+    async add({ type, cidr, note, createdBy }) {
+        if (!IP_RULE_TYPES.includes(type)) {
+            return { error: 'IP_RULE_TYPE_INVALID', params: { allowed: IP_RULE_TYPES.join(', ') } };
+        }
+
+        const parsed = parseCIDR(cidr);
+        if (!parsed) {
+            return { error: 'CIDR_INVALID' };
+        }
+
+        if (this.rules.some(rule => rule.type === type && rule.cidr === parsed.cidr)) {
+            return { error: 'IP_RULE_EXISTS' };
+        }
+
+        const rule = {
+            id: crypto.randomBytes(8).toString('hex'),
+            type: type,
+            cidr: parsed.cidr,
+            note: typeof note === 'string' ? note.slice(0, 200) : null,
+            createdBy: createdBy || null,
+            createdAt: new Date()
+        };
+
+        await this.store.insert(rule);
+        this.rules.push(rule);
+        this.rebuild();
+
+        return { rule };
+    }
+
+    async remove(id) {
+        const rule = this.rules.find(item => item.id === id);
+        if (!rule) return null;
+
+        await this.store.remove(id);
+        this.rules = this.rules.filter(item => item.id !== id);
+        this.rebuild();
+
+        return rule;
+    }
+
+    // 匹配结果：'allow' | 'deny' | null
+    match(ip) {
+        const address = normalizeIP(ip);
+        const version = net.isIP(address);
+        if (version === 0) return null;
+
+        const family = version === 4 ? 'ipv4' : 'ipv6';
+        if (this.allowList.check(address, family)) return 'allow';
+        if (this.denyList.check(address, family)) return 'deny';
+        return null;
+    }
+}
+
+module.exports = {
+    IP_RULE_TYPES,
+    MemoryIPRuleStore,
+    MongoIPRuleStore,
+    IPRuleSet
+};
@@ -0,0 +1,89 @@
+// ip_utils.js - IP 地址规范化与网段分组
+
+const net = require('net');
+
+// 去掉 IPv4 映射的 IPv6 前缀（::ffff:1.2.3.4 → 1.2.3.4）
+function normalizeIP(ip) {
+    if (typeof ip !== 'string') return '';
+    const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    return mapped ? mapped[1] : ip;
+}
+
+// 展开 IPv6 地址为 8 组 16 位数值
+function expandIPv6(ip) {
+    const [head, tail = ''] = ip.split('::');
+    const parseGroups = part => (part ? part.split(':') : []);
+
+    let headGroups = parseGroups(head);
+    let tailGroups = parseGroups(tail);
+
+    // 末尾嵌入的 IPv4（如 ::1.2.3.4）转换为两组
+    const convertIPv4 = groups => {
+        const last = groups[groups.length - 1];
+        if (last && last.includes('.')) {
+            const octets = last.split('.').map(Number);
+            groups.splice(-1, 1, ((octets[0] << 8) | octets[1]).toString(16), ((octets[2] << 8) | octets[3]).toString(16));
+        }
+        return groups;
+    };
+    if (ip.includes('::')) tailGroups = convertIPv4(tailGroups);
+    else headGroups = convertIPv4(headGroups);
+
+    const missing = 8 - headGroups.length - tailGroups.length;
+    return [...headGroups, ...Array(Math.max(0, missing)).fill('0'), ...tailGroups]
+        .map(group => parseInt(group, 16));
+}
+
+// 网段标识：IPv4 取 /24，IPv6 取 /64
+function subnetKey(ip) {
+    const address = normalizeIP(ip);
+
+    if (net.isIPv4(address)) {
+        return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+    }
+    if (net.isIPv6(address)) {
+        const groups = expandIPv6(address).slice(0, 4).map(group => group.toString(16));
+        return `${groups.join(':')}::/64`;
+    }
+    return address;
+}
+
+// 安全记录与限流使用的客户端标识：IPv4 为单个地址，IPv6 按 /64 分组
+// （一个 IPv6 用户通常可以使用整个 /64 段内的任意地址）
+function securityKey(ip) {
+    const address = normalizeIP(ip);
+    return net.isIPv6(address) ? subnetKey(address) : address;
+}
+
+// 解析 CIDR（如 10.0.0.0/8、2001:db8::/32）；不带前缀长度时视为单个地址
+// 返回 { address, prefix, family, cidr } 或 null
+function parseCIDR(text) {
+    if (typeof text !== 'string') return null;
+
+    const [rawAddress, rawPrefix, ...rest] = text.trim().split('/');
+    if (rest.length > 0) return null;
+
+    const address = normalizeIP(rawAddress);
+    const version = net.isIP(address);
+    if (version === 0) return null;
+
+    const maxPrefix = version === 4 ? 32 : 128;
+    if (rawPrefix !== undefined && !/^\d{1,3}$/.test(rawPrefix)) return null;
+    const prefix = rawPrefix === undefined ? maxPrefix : Number(rawPrefix);
+    if (prefix > maxPrefix) return null;
+
+    return {
+        address: address,
+        prefix: prefix,
+        family: version === 4 ? 'ipv4' : 'ipv6',
+        cidr: `${address}/${prefix}`
+    };
+}
+
+module.exports = {
+    normalizeIP,
+    expandIPv6,
+    subnetKey,
+    securityKey,
+    parseCIDR
+};
@@ -0,0 +1,168 @@
+// logger.js - 结构化日志：每条日志输出一行 JSON（级别、时间、消息和附加字段），IP 和访问码按配置脱敏
+
+const crypto = require('crypto');
+const net = require('net');
+const { SYSTEM_CLOCK } = require('./clock');
+
+// 日志级别，低于配置级别的日志不输出；silent 关闭所有日志
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// IP 的脱敏方式：mask 隐藏末段，hash 输出加盐哈希（同一 IP 的日志仍可关联），full 原样输出
+const IP_MODES = ['mask', 'hash', 'full'];
+
+// 按字段名脱敏：这些字段的值视为 IP 或访问码
+const IP_FIELDS = new Set(['ip', 'lastIP']);
+const CODE_FIELDS = new Set(['code']);
+
+// 读取日志配置（env 默认为 process.env）
+// LOG_LEVEL: debug|info|warn|error|silent；LOG_IP_MODE: mask|hash|full
+// LOG_IP_HASH_SALT: hash 模式的盐，未设置时每次启动随机生成（重启后同一 IP 的哈希会变化）
+// LOG_CODE_VISIBLE_CHARS: 访问码保留的前缀长度，默认3，0 表示完全隐藏
+function loadLoggingConfig(env = process.env) {
+    const level = (env.LOG_LEVEL || '').toLowerCase();
+    const ipMode = (env.LOG_IP_MODE || '').toLowerCase();
+    const visibleChars = parseInt(env.LOG_CODE_VISIBLE_CHARS);
+
+    return {
+        level: LOG_LEVELS[level] !== undefined ? level : 'info',
+        ipMode: IP_MODES.includes(ipMode) ? ipMode : 'mask',
+        ipHashSalt: env.LOG_IP_HASH_SALT || crypto.randomBytes(16).toString('hex'),
+        codeVisibleChars: visibleChars >= 0 ? visibleChars : 3
+    };
+}
+
+// 是否为 IP 地址或 IPv6 /64 段；其他值（如已经哈希过的 IP）不再脱敏
+function isIPLike(value) {
+    return typeof value === 'string' && net.isIP(value.replace(/\/\d+$/, '')) !== 0;
+}
+
+// 隐藏 IP 的末段：IPv4 保留前三段，IPv6 保留前三组（/48）
+function maskIP(ip) {
+    if (typeof ip !== 'string' || ip === '') return ip;
+    const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    const address = mapped ? mapped[1] : ip;
+
+    if (/^\d+\.\d+\.\d+\.\d+$/.test(address)) {
+        return address.replace(/\.\d+$/, '.x');
+    }
+    // securityKey 得到的 IPv6 /64 段（如 2001:db8:1:2::/64）同样只保留前三组
+    const groups = address.replace(/\/\d+$/, '').split(':').filter(group => group !== '');
+    return `${groups.slice(0, 3).join(':')}:x::`;
+}
+
+// 加盐哈希 IP，输出 16 位十六进制
+function hashIP(ip, salt) {
+    if (typeof ip !== 'string' || ip === '') return ip;
+    return crypto.createHmac('sha256', salt).update(ip).digest('hex').slice(0, 16);
+}
+
+// 截断访问码：只保留前 visibleChars 位
+function truncateCode(code, visibleChars = 3) {
+    if (typeof code !== 'string' || code === '') return code;
+    return `${code.slice(0, Math.min(visibleChars, code.length - 1))}***`;
+}
+
+// Error 对象序列化为普通字段（JSON.stringify 默认会丢掉 message 和 stack）
+function serializeError(error) {
+    return { name: error.name, message: error.message, stack: error.stack };
+}
+
+class Logger {
+    // level: 日志级别；redaction: loadLoggingConfig() 中的 ipMode、ipHashSalt、codeVisibleChars
+    // write: 输出一行日志，默认写到标准输出；bindings: 每条日志都附带的字段（如 requestId）
+    constructor({
+        level = 'info',
+        ipMode = 'mask',
+        ipHashSalt = crypto.randomBytes(16).toString('hex'),
+        codeVisibleChars = 3,
+        clock = SYSTEM_CLOCK,
+        write = line => process.stdout.write(line + '\n'),
+        bindings = {}
+    } = {}) {
+        this.configure({ level, ipMode, ipHashSalt, codeVisibleChars });
+        this.clock = clock;
+        this.write = write;
+        this.bindings = bindings;
+    }
+
+    // 修改配置（入口文件读取配置后调整共享的 logger）；子 logger 创建后不再跟随父 logger 的修改
+    configure(options) {
+        for (const key of ['level', 'ipMode', 'ipHashSalt', 'codeVisibleChars']) {
+            if (options[key] !== undefined) this[key] = options[key];
+        }
+        return this;
+    }
+
+    // 创建附带固定字段的子 logger
+    child(bindings) {
+        return new Logger({
+            level: this.level,
+            ipMode: this.ipMode,
+            ipHashSalt: this.ipHashSalt,
+            codeVisibleChars: this.codeVisibleChars,
+            clock: this.clock,
+            write: this.write,
+            bindings: { ...this.bindings, ...bindings }
+        });
+    }
+
+    isLevelEnabled(level) {
+        return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+    }
+
+    redactIP(ip) {
+        if (this.ipMode === 'full' || !isIPLike(ip)) return ip;
+        if (this.ipMode === 'hash') return hashIP(ip, this.ipHashSalt);
+        return maskIP(ip);
+    }
+
+    redact(key, value) {
+        if (value instanceof Error) return serializeError(value);
+        if (IP_FIELDS.has(key)) return this.redactIP(value);
+        if (CODE_FIELDS.has(key)) return truncateCode(value, this.codeVisibleChars);
+        return value;
+    }
+
+    log(level, msg, fields = {}) {
+        if (!this.isLevelEnabled(level)) return;
+
+        const entry = { level, time: this.clock.now().toISOString(), msg };
+        for (const [key, value] of Object.entries({ ...this.bindings, ...fields })) {
+            if (value !== undefined) entry[key] = this.redact(key, value);
+        }
+        this.write(JSON.stringify(entry));
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+}
+
+function createLogger(options) {
+    return new Logger(options);
+}
+
+// 共享的 logger：各模块直接使用，入口文件按 loadConfig() 的 logging 配置调整
+const logger = createLogger(loadLoggingConfig());
+
+module.exports = {
+    LOG_LEVELS,
+    loadLoggingConfig,
+    maskIP,
+    hashIP,
+    truncateCode,
+    createLogger,
+    logger
+};
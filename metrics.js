@@ -0,0 +1,163 @@
+// metrics.js - Prometheus 指标（计数器、仪表、直方图）及文本格式输出
+
+// 请求耗时直方图的默认分桶（秒）
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// 指标基类：按标签组合保存数值；labelNames 固定标签顺序，未传的标签取空字符串
+class Metric {
+    constructor(type, { name, help, labelNames = [] }) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map();
+    }
+
+    labelsFor(labels) {
+        return Object.fromEntries(this.labelNames.map(label => [label, labels[label] === undefined ? '' : labels[label]]));
+    }
+
+    keyFor(labels) {
+        return JSON.stringify(this.labelNames.map(label => labels[label]));
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+
+    reset() {
+        this.values.clear();
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = this.keyFor(labels);
+        const entry = this.values.get(key) || { labels: this.labelsFor(labels), value: 0 };
+        entry.value += value;
+        this.values.set(key, entry);
+    }
+
+    lines() {
+        return Array.from(this.values.values())
+            .map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+}
+
+// 仪表：可直接 set，也可以提供 collect(gauge) 在每次输出前重新计算（可为异步）
+class Gauge extends Metric {
+    constructor({ collect, ...options }) {
+        super('gauge', options);
+        this.collect = collect;
+    }
+
+    set(labels = {}, value) {
+        this.values.set(this.keyFor(labels), { labels: this.labelsFor(labels), value });
+    }
+
+    lines() {
+        return Array.from(this.values.values())
+            .map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+}
+
+class Histogram extends Metric {
+    constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+        super('histogram', options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        const key = this.keyFor(labels);
+        let entry = this.values.get(key);
+        if (!entry) {
+            entry = { labels: this.labelsFor(labels), counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, entry);
+        }
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    lines() {
+        const lines = [];
+        for (const { labels, counts, sum, count } of this.values.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+// 指标注册表：render() 输出 Prometheus 文本格式（0.0.4）
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        if (this.metrics.some(existing => existing.name === metric.name)) {
+            throw new Error(`指标已注册: ${metric.name}`);
+        }
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    async render() {
+        const output = [];
+        for (const metric of this.metrics) {
+            if (metric.collect) {
+                metric.reset();
+                await metric.collect(metric);
+            }
+            output.push(...metric.header(), ...metric.lines());
+        }
+        return output.join('\n') + '\n';
+    }
+}
+
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+    METRICS_CONTENT_TYPE,
+    MetricsRegistry
+};
@@ -0,0 +1,263 @@
+// norms.js - 常模分布与排名（百分位）计算
+
+const { DIMENSIONS } = require('./dimensions');
+const { COLLECTIONS } = require('./db');
+const { logger } = require('./logger');
+const { SYSTEM_CLOCK } = require('./clock');
+const { computeDScore, getDBand } = require('./dfactor');
+const {
+    DEMOGRAPHIC_FIELDS,
+    NORM_GROUP_MIN_SAMPLES,
+    pickDemographics,
+    normGroupKey,
+    normGroupKeysFor,
+    normGroupFallbackChain
+} = require('./demographics');
+
+// 数据库不可用时使用的参数化常模 (平均分20，标准差5)
+const PARAMETRIC_NORM = { mean: 20, stdDev: 5 };
+
+// 常模刷新间隔，默认10分钟
+const NORM_REFRESH_INTERVAL = (parseInt(process.env.NORM_REFRESH_MINUTES) || 10) * 60 * 1000;
+
+// 常模数据来源：simulated（播种的虚拟数据）| results（用户真实结果）| both（两者合并）
+const NORM_SOURCE_COLLECTIONS = {
+    simulated: [COLLECTIONS.SIMULATED_TESTS],
+    results: [COLLECTIONS.TEST_RESULTS],
+    both: [COLLECTIONS.SIMULATED_TESTS, COLLECTIONS.TEST_RESULTS]
+};
+const NORM_SOURCE = NORM_SOURCE_COLLECTIONS[process.env.NORM_SOURCE] ? process.env.NORM_SOURCE : 'both';
+
+// 从样本构建每个维度的经验分布（升序数组）
+function buildDistributions(samples) {
+    const distributions = {};
+    for (const dim of DIMENSIONS) {
+        distributions[dim] = samples.map(sample => sample[dim]).sort((a, b) => a - b);
+    }
+    return distributions;
+}
+
+// 按人口统计分组构建常模；样本数不足 NORM_GROUP_MIN_SAMPLES 的分组不保留（全体样本除外）
+function buildNormGroups(samples) {
+    const members = new Map();
+    for (const sample of samples) {
+        for (const key of normGroupKeysFor(sample.demographics)) {
+            if (!members.has(key)) members.set(key, []);
+            members.get(key).push(sample.scores);
+        }
+    }
+
+    const groups = new Map();
+    for (const [key, groupSamples] of members.entries()) {
+        if (key !== '' && groupSamples.length < NORM_GROUP_MIN_SAMPLES) continue;
+        groups.set(key, {
+            sampleSize: groupSamples.length,
+            distributions: buildDistributions(groupSamples),
+            dDistribution: groupSamples.map(sample => computeDScore(sample)).sort((a, b) => a - b)
+        });
+    }
+    return groups;
+}
+
+// 二分查找：第一个 >= value 的位置
+function lowerBound(sorted, value) {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (sorted[mid] < value) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
+
+// 二分查找：第一个 > value 的位置
+function upperBound(sorted, value) {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (sorted[mid] <= value) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
+
+// 经验百分位：低于该分数的人数 + 同分人数的一半（中位秩），避免同分时排名偏高或偏低
+function empiricalPercentile(sorted, value) {
+    const below = lowerBound(sorted, value);
+    const equal = upperBound(sorted, value) - below;
+    return 100 * (below + 0.5 * equal) / sorted.length;
+}
+
+// 参数化百分位（正态分布近似）
+function parametricPercentile(value) {
+    const zScore = (value - PARAMETRIC_NORM.mean) / PARAMETRIC_NORM.stdDev;
+    return 100 * (0.5 * (1 + Math.tanh(zScore / Math.sqrt(2))));
+}
+
+// 只接受每个维度都是有效数字的样本
+function isValidSample(doc) {
+    return DIMENSIONS.every(dim => typeof doc[dim] === 'number' && Number.isFinite(doc[dim]));
+}
+
+// 读取一个集合中的样本，返回 [{ scores, demographics }]
+// test_results 的分数和人口统计字段分别存放在 scores、demographics 字段下，simulated_tests 中为顶层字段
+// filter 可选：{ from, to, demographics }，按 createdAt 时间范围和人口统计字段筛选
+async function loadSamples(db, collectionName, filter = {}) {
+    const isResults = collectionName === COLLECTIONS.TEST_RESULTS;
+    const projection = { _id: 0 };
+    DIMENSIONS.forEach(dim => { projection[(isResults ? 'scores.' : '') + dim] = 1; });
+    DEMOGRAPHIC_FIELDS.forEach(field => { projection[(isResults ? 'demographics.' : '') + field] = 1; });
+
+    const query = {};
+    if (filter.from || filter.to) {
+        query.createdAt = {};
+        if (filter.from) query.createdAt.$gte = filter.from;
+        if (filter.to) query.createdAt.$lte = filter.to;
+    }
+    for (const [field, value] of Object.entries(filter.demographics || {})) {
+        query[(isResults ? 'demographics.' : '') + field] = value;
+    }
+
+    const docs = await db.collection(collectionName)
+        .find(query, { projection })
+        .toArray();
+
+    return docs
+        .map(doc => ({
+            scores: isResults ? doc.scores || {} : doc,
+            demographics: pickDemographics(isResults ? doc.demographics : doc)
+        }))
+        .filter(sample => isValidSample(sample.scores));
+}
+
+function clampPercentile(percentile) {
+    return Math.min(100, Math.max(0, Math.round(percentile)));
+}
+
+// 常模：从数据库加载的经验分布（按人口统计分组），未加载成功时使用参数化常模
+// 每个应用实例各自持有（createApp 创建，或通过 stores.norms 传入）
+// source: 常模数据来源（见 NORM_SOURCE_COLLECTIONS），默认读取 NORM_SOURCE 环境变量
+class NormStore {
+    constructor({ source = NORM_SOURCE, clock = SYSTEM_CLOCK } = {}) {
+        this.collections = NORM_SOURCE_COLLECTIONS[source] || NORM_SOURCE_COLLECTIONS.both;
+        this.clock = clock;
+        this.state = {
+            source: 'parametric', // 'empirical' | 'parametric'
+            sampleSize: 0,
+            groups: null,         // 分组键 → { sampleSize, distributions, dDistribution }，全体样本的键为 ''
+            loadedAt: null,
+            lastError: null
+        };
+    }
+
+    // 从数据库重新加载常模数据
+    async refresh(db) {
+        if (!db) {
+            this.state.lastError = '数据库未连接';
+            return this.state;
+        }
+
+        try {
+            const samples = [];
+            for (const name of this.collections) {
+                samples.push(...await loadSamples(db, name));
+            }
+
+            if (samples.length === 0) {
+                this.state.lastError = '常模集合中没有有效数据';
+                logger.warn(`没有有效的常模数据，继续使用${this.state.source === 'empirical' ? '上次加载的' : '参数化'}常模`, { collections: this.collections });
+                return this.state;
+            }
+
+            const groups = buildNormGroups(samples);
+            this.state = {
+                source: 'empirical',
+                sampleSize: samples.length,
+                groups: groups,
+                loadedAt: this.clock.now(),
+                lastError: null
+            };
+
+            logger.info('已加载常模数据', { collections: this.collections, samples: samples.length, demographicGroups: groups.size - 1 });
+        } catch (error) {
+            // 刷新失败时保留上次成功加载的分布；从未加载成功则仍是参数化常模
+            this.state.lastError = error.message;
+            logger.error('刷新常模数据失败', { error: error });
+        }
+
+        return this.state;
+    }
+
+    // 按回退顺序找到第一个样本数足够的常模分组
+    resolveNormGroup(demographics) {
+        for (const fields of normGroupFallbackChain(demographics)) {
+            const group = this.state.groups.get(normGroupKey(fields));
+            if (group) return { fields, group };
+        }
+        return { fields: {}, group: this.state.groups.get('') };
+    }
+
+    // 计算每个维度的排名百分位，以及 D 总因子的分数、百分位和等级
+    // demographics 为可选的人口统计字段，用于选择同龄/同性别/同国家的常模分组
+    computeRankings(scores, demographics = {}) {
+        const useEmpirical = this.state.source === 'empirical' && this.state.groups;
+        const { fields, group } = useEmpirical ? this.resolveNormGroup(demographics) : { fields: {}, group: null };
+        const rankings = {};
+
+        for (const dim of DIMENSIONS) {
+            const percentile = useEmpirical
+                ? empiricalPercentile(group.distributions[dim], scores[dim])
+                : parametricPercentile(scores[dim]);
+
+            rankings[dim] = clampPercentile(percentile);
+        }
+
+        // D 总因子；参数化常模下沿用单维度的正态近似
+        const dScore = computeDScore(scores);
+        const dPercentile = clampPercentile(useEmpirical
+            ? empiricalPercentile(group.dDistribution, dScore)
+            : parametricPercentile(dScore));
+
+        return {
+            rankings,
+            dFactor: {
+                score: dScore,
+                percentile: dPercentile,
+                ...getDBand(dPercentile)
+            },
+            normSource: useEmpirical ? 'empirical' : 'parametric',
+            // 实际使用的常模分组；fallback 表示样本不足、已回退到更宽泛的分组
+            normGroup: {
+                key: normGroupKey(fields) || 'all',
+                fields: fields,
+                sampleSize: useEmpirical ? group.sampleSize : 0,
+                fallback: Object.keys(fields).length < Object.keys(demographics).length
+            },
+            sampleSize: useEmpirical ? group.sampleSize : 0,
+            normsLoadedAt: useEmpirical ? this.state.loadedAt : null
+        };
+    }
+
+    status() {
+        return {
+            source: this.state.source,
+            collections: this.collections,
+            sampleSize: this.state.sampleSize,
+            groups: this.state.groups ? this.state.groups.size - 1 : 0,
+            groupMinSamples: NORM_GROUP_MIN_SAMPLES,
+            loadedAt: this.state.loadedAt,
+            lastError: this.state.lastError
+        };
+    }
+}
+
+module.exports = {
+    PARAMETRIC_NORM,
+    NORM_REFRESH_INTERVAL,
+    empiricalPercentile,
+    parametricPercentile,
+    loadSamples,
+    NormStore
+};
@@ -0,0 +1,154 @@
+// openapi.js - 根据 schemas.js 生成 OpenAPI 3.1 文档（供前端生成类型化客户端）
+
+const { COMPONENTS, ROUTES } = require('./schemas');
+const { SUPPORTED_LANGS } = require('./i18n');
+const { version } = require('./package.json');
+
+// 只在内部使用、不属于 JSON Schema 的字段
+const INTERNAL_KEYS = ['contentType'];
+
+function stripInternal(schema) {
+    const copy = { ...schema };
+    INTERNAL_KEYS.forEach(key => delete copy[key]);
+    return copy;
+}
+
+// Express 路径参数 :id 转为 OpenAPI 的 {id}
+function toOpenAPIPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+// 对象 schema 的每个属性转为一个 parameter
+function toParameters(schema, location) {
+    if (!schema) return [];
+    const required = schema.required || [];
+
+    return Object.entries(schema.properties || {}).map(([name, property]) => {
+        const { description, ...rest } = property;
+        const parameter = {
+            name: name,
+            in: location,
+            required: location === 'path' || required.includes(name),
+            schema: rest
+        };
+        if (description) parameter.description = description;
+        return parameter;
+    });
+}
+
+function toResponses(responses) {
+    return Object.fromEntries(Object.entries(responses).map(([status, schema]) => [status, {
+        description: status < 400 ? 'OK' : 'Error',
+        content: { [schema.contentType || 'application/json']: { schema: stripInternal(schema) } }
+    }]));
+}
+
+// operationId：方法 + 路径各段的驼峰拼接，如 POST /api/results/:id/share → postApiResultsIdShare
+function operationIdFor(method, path) {
+    const words = path.split(/[^A-Za-z0-9]+/).filter(Boolean);
+    const suffix = words.length > 0 ? words.map(word => word[0].toUpperCase() + word.slice(1)).join('') : 'Root';
+    return method.toLowerCase() + suffix;
+}
+
+function buildOperation(key, spec) {
+    const [method, path] = key.split(' ');
+    const operation = {
+        operationId: operationIdFor(method, path),
+        summary: spec.summary,
+        tags: spec.tags,
+        parameters: [
+            ...toParameters(spec.params, 'path'),
+            ...toParameters(spec.query, 'query'),
+            { $ref: '#/components/parameters/lang' }
+        ],
+        responses: toResponses(spec.responses)
+    };
+
+    if (spec.body) {
+        operation.requestBody = {
+            required: (spec.body.required || []).length > 0,
+            content: { 'application/json': { schema: spec.body } }
+        };
+    }
+
+    if (spec.auth === 'session') {
+        operation.security = [{ sessionToken: [] }];
+    } else if (spec.auth === 'admin') {
+        operation.security = [{ adminKey: [] }];
+        operation.description = `需要管理员权限 ${spec.scope}`;
+    } else if (spec.auth === 'deletionToken') {
+        operation.security = [{ deletionToken: [] }];
+    } else if (spec.auth === 'readToken') {
+        operation.security = [{ readToken: [] }];
+    } else if (spec.auth === 'metrics') {
+        // 未配置 METRICS_KEY 时不需要认证
+        operation.security = [{}, { metricsKey: [] }];
+    }
+
+    return { path: toOpenAPIPath(path), method: method.toLowerCase(), operation };
+}
+
+// 生成完整文档（不写 servers，客户端使用文档所在的地址）
+function buildOpenAPIDocument() {
+    const paths = {};
+    for (const [key, spec] of Object.entries(ROUTES)) {
+        const { path, method, operation } = buildOperation(key, spec);
+        paths[path] = paths[path] || {};
+        paths[path][method] = operation;
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Dark Factor Test API',
+            version: version
+        },
+        paths: paths,
+        components: {
+            schemas: COMPONENTS,
+            parameters: {
+                lang: {
+                    name: 'lang',
+                    in: 'query',
+                    required: false,
+                    description: '响应消息的语言，优先于 Accept-Language',
+                    schema: { type: 'string', enum: SUPPORTED_LANGS }
+                }
+            },
+            securitySchemes: {
+                sessionToken: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    bearerFormat: 'JWT',
+                    description: 'POST /api/check-access-code 返回的会话令牌'
+                },
+                adminKey: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-Admin-Key'
+                },
+                deletionToken: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-Deletion-Token',
+                    description: 'POST /api/results 返回的删除令牌'
+                },
+                readToken: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-Read-Token',
+                    description: 'POST /api/results 返回的查看令牌（也可以用 token 查询参数传递）'
+                },
+                metricsKey: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'METRICS_KEY 环境变量中配置的密钥'
+                }
+            }
+        }
+    };
+}
+
+module.exports = {
+    buildOpenAPIDocument
+};
@@ -0,0 +1,100 @@
+// radar_chart.js - 服务端渲染的 SVG 雷达图（各维度百分位剖面）
+
+// 图的尺寸：左右留出较宽的边距放置维度名称
+const WIDTH = 640;
+const HEIGHT = 480;
+const RADIUS = 160;
+const LABEL_OFFSET = 14;
+
+// 默认的参考环（百分位）
+const DEFAULT_RINGS = [25, 50, 75, 100];
+
+// 转义 XML/HTML 文本和属性值
+function escapeXML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// 坐标保留一位小数，缩短输出
+function formatNumber(value) {
+    return String(Math.round(value * 10) / 10);
+}
+
+// 第 index 个轴上 value（0-100）对应的坐标；第一个轴朝正上方，按顺时针排列
+function pointAt(index, count, value) {
+    const angle = -Math.PI / 2 + 2 * Math.PI * index / count;
+    const distance = RADIUS * value / 100;
+    return {
+        x: WIDTH / 2 + distance * Math.cos(angle),
+        y: HEIGHT / 2 + distance * Math.sin(angle)
+    };
+}
+
+function toPoints(points) {
+    return points.map(point => `${formatNumber(point.x)},${formatNumber(point.y)}`).join(' ');
+}
+
+// 渲染雷达图
+// axes: [{ label, value }]，value 为 0-100 的百分位；title: 图的标题（<title>，供读屏软件使用）
+// rings: 参考环对应的百分位
+function renderRadarChart(axes, { title = '', rings = DEFAULT_RINGS } = {}) {
+    const count = axes.length;
+    const center = { x: WIDTH / 2, y: HEIGHT / 2 };
+    const clamp = value => Math.min(100, Math.max(0, Number(value) || 0));
+    const lines = [];
+
+    lines.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${escapeXML(title)}">`);
+    lines.push(`<title>${escapeXML(title)}</title>`);
+    lines.push('<rect width="100%" height="100%" fill="#ffffff"/>');
+
+    // 参考环与刻度
+    lines.push('<g fill="none" stroke="#d0d4da" stroke-width="1">');
+    for (const ring of rings) {
+        lines.push(`<polygon points="${toPoints(axes.map((axis, index) => pointAt(index, count, ring)))}"/>`);
+    }
+    for (let index = 0; index < count; index++) {
+        const end = pointAt(index, count, 100);
+        lines.push(`<line x1="${center.x}" y1="${center.y}" x2="${formatNumber(end.x)}" y2="${formatNumber(end.y)}"/>`);
+    }
+    lines.push('</g>');
+
+    lines.push('<g font-family="sans-serif" font-size="10" fill="#8a9099">');
+    for (const ring of rings) {
+        lines.push(`<text x="${center.x + 3}" y="${formatNumber(center.y - RADIUS * ring / 100 - 2)}">${ring}</text>`);
+    }
+    lines.push('</g>');
+
+    // 百分位多边形与数据点
+    const points = axes.map((axis, index) => pointAt(index, count, clamp(axis.value)));
+    lines.push(`<polygon points="${toPoints(points)}" fill="#c0392b" fill-opacity="0.25" stroke="#c0392b" stroke-width="2" stroke-linejoin="round"/>`);
+    lines.push('<g fill="#c0392b">');
+    points.forEach((point, index) => {
+        const label = `${axes[index].label}: ${formatNumber(clamp(axes[index].value))}`;
+        lines.push(`<circle cx="${formatNumber(point.x)}" cy="${formatNumber(point.y)}" r="3.5"><title>${escapeXML(label)}</title></circle>`);
+    });
+    lines.push('</g>');
+
+    // 维度名称：位于轴的外侧，按所在的一侧对齐
+    lines.push('<g font-family="sans-serif" font-size="13" fill="#2c3e50">');
+    axes.forEach((axis, index) => {
+        const position = pointAt(index, count, 100 + LABEL_OFFSET * 100 / RADIUS);
+        const offsetX = position.x - center.x;
+        const anchor = Math.abs(offsetX) < 1 ? 'middle' : (offsetX > 0 ? 'start' : 'end');
+        const baseline = position.y < center.y - RADIUS / 2 ? 0 : (position.y > center.y + RADIUS / 2 ? 10 : 4);
+        lines.push(`<text x="${formatNumber(position.x)}" y="${formatNumber(position.y + baseline)}" text-anchor="${anchor}">${escapeXML(axis.label)}</text>`);
+    });
+    lines.push('</g>');
+
+    lines.push('</svg>');
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    DEFAULT_RINGS,
+    escapeXML,
+    renderRadarChart
+};
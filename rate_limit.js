@@ -0,0 +1,204 @@
+// rate_limit.js - 滑动窗口限流（按路由配置策略，支持内存与 MongoDB 共享存储）
+
+const { COLLECTIONS } = require('./db');
+const { reply, formatDuration } = require('./i18n');
+const { SYSTEM_CLOCK } = require('./clock');
+const { logger } = require('./logger');
+
+// 默认限流策略：按顺序匹配，第一个匹配的策略生效
+// path 为精确匹配，prefix 为前缀匹配；methods 省略时匹配所有方法
+const DEFAULT_POLICIES = [
+    { name: 'check-access-code', path: '/api/check-access-code', methods: ['POST'], limit: 5, windowMs: 10 * 1000 },
+    { name: 'rankings', path: '/api/rankings', methods: ['POST'], limit: 30, windowMs: 60 * 1000 },
+    { name: 'score', path: '/api/score', methods: ['POST'], limit: 30, windowMs: 60 * 1000 },
+    { name: 'report', path: '/api/report', methods: ['POST'], limit: 30, windowMs: 60 * 1000 },
+    { name: 'results', prefix: '/api/results', limit: 60, windowMs: 60 * 1000 },
+    { name: 'compare', path: '/api/compare', methods: ['POST'], limit: 30, windowMs: 60 * 1000 },
+    { name: 'stats', path: '/api/stats', methods: ['GET'], limit: 30, windowMs: 60 * 1000 },
+    { name: 'admin', prefix: '/api/admin/', limit: 60, windowMs: 60 * 1000 }
+];
+
+// 读取 RATE_LIMIT_POLICIES（JSON 数组），格式同 DEFAULT_POLICIES；同名策略覆盖默认值，新名称追加在默认策略之前
+function loadPolicies(env = process.env) {
+    const raw = env.RATE_LIMIT_POLICIES;
+    if (!raw) return DEFAULT_POLICIES;
+
+    let configured;
+    try {
+        configured = JSON.parse(raw);
+    } catch (error) {
+        logger.error('RATE_LIMIT_POLICIES 不是有效的 JSON，使用默认限流策略', { error: error });
+        return DEFAULT_POLICIES;
+    }
+
+    if (!Array.isArray(configured)) {
+        logger.error('RATE_LIMIT_POLICIES 必须是数组，使用默认限流策略');
+        return DEFAULT_POLICIES;
+    }
+
+    const valid = configured.filter(policy => {
+        const ok = policy && typeof policy.name === 'string' &&
+            (typeof policy.path === 'string' || typeof policy.prefix === 'string') &&
+            Number.isInteger(policy.limit) && policy.limit > 0 &&
+            Number.isInteger(policy.windowMs) && policy.windowMs > 0;
+        if (!ok) logger.warn('忽略无效的限流策略', { policy: policy });
+        return ok;
+    });
+
+    const overrides = new Map(valid.map(policy => [policy.name, policy]));
+    const merged = DEFAULT_POLICIES.map(policy => overrides.get(policy.name) || policy);
+    const added = valid.filter(policy => !DEFAULT_POLICIES.some(item => item.name === policy.name));
+
+    return [...added, ...merged];
+}
+
+// 内存存储：单实例使用，重启后清空
+class MemoryRateLimitStore {
+    constructor() {
+        this.type = 'memory';
+        this.buckets = new Map(); // key → { count, expiresAt }
+        this.lastSweep = 0;
+    }
+
+    async increment(key, expiresAt, now) {
+        this.sweep(now);
+
+        const bucket = this.buckets.get(key);
+        if (bucket && bucket.expiresAt > now) {
+            bucket.count++;
+            return bucket.count;
+        }
+
+        this.buckets.set(key, { count: 1, expiresAt });
+        return 1;
+    }
+
+    async get(key, now) {
+        const bucket = this.buckets.get(key);
+        return bucket && bucket.expiresAt > now ? bucket.count : 0;
+    }
+
+    // 每分钟最多清理一次过期的计数桶
+    sweep(now) {
+        if (now - this.lastSweep < 60 * 1000) return;
+        this.lastSweep = now;
+
+        for (const [key, bucket] of this.buckets.entries()) {
+            if (bucket.expiresAt <= now) this.buckets.delete(key);
+        }
+    }
+}
+
+// MongoDB 存储：多实例共享计数，过期的计数桶由 TTL 索引自动删除
+class MongoRateLimitStore {
+    constructor(db) {
+        this.type = 'mongodb';
+        this.collection = db.collection(COLLECTIONS.RATE_LIMITS);
+    }
+
+    async init() {
+        await this.collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    }
+
+    async increment(key, expiresAt) {
+        const doc = await this.collection.findOneAndUpdate(
+            { _id: key },
+            { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(expiresAt) } },
+            { upsert: true, returnDocument: 'after' }
+        );
+        return doc.count;
+    }
+
+    async get(key) {
+        const doc = await this.collection.findOne({ _id: key });
+        return doc ? doc.count : 0;
+    }
+}
+
+// 滑动窗口计数：当前固定窗口的计数 + 上一窗口计数按剩余重叠比例加权
+// keyGenerator 决定按什么标识计数（默认 req.ip），skip 返回 true 的请求不限流
+class RateLimiter {
+    constructor({ policies = loadPolicies(), store = new MemoryRateLimitStore(), clock = SYSTEM_CLOCK, keyGenerator = req => req.ip, skip, onLimited } = {}) {
+        this.policies = policies;
+        this.store = store;
+        this.clock = clock;
+        this.keyGenerator = keyGenerator;
+        this.skip = skip;
+        this.onLimited = onLimited;
+    }
+
+    findPolicy(req) {
+        return this.policies.find(policy =>
+            (!policy.methods || policy.methods.includes(req.method)) &&
+            (policy.path ? req.path === policy.path : req.path.startsWith(policy.prefix))
+        ) || null;
+    }
+
+    // 记录一次请求并返回当前窗口内的状态
+    async hit(policy, clientKey, now = Date.now()) {
+        const windowStart = Math.floor(now / policy.windowMs) * policy.windowMs;
+        const baseKey = `${policy.name}:${clientKey}`;
+        // 计数桶需要保留到下一个窗口结束，供加权使用
+        const expiresAt = windowStart + 2 * policy.windowMs;
+
+        const [current, previous] = await Promise.all([
+            this.store.increment(`${baseKey}:${windowStart}`, expiresAt, now),
+            this.store.get(`${baseKey}:${windowStart - policy.windowMs}`, now)
+        ]);
+
+        const elapsedRatio = (now - windowStart) / policy.windowMs;
+        const count = Math.floor(previous * (1 - elapsedRatio)) + current;
+        const resetSeconds = Math.max(1, Math.ceil((windowStart + policy.windowMs - now) / 1000));
+
+        return {
+            limit: policy.limit,
+            remaining: Math.max(0, policy.limit - count),
+            resetSeconds: resetSeconds,
+            limited: count > policy.limit
+        };
+    }
+
+    middleware() {
+        return async (req, res, next) => {
+            const policy = this.findPolicy(req);
+            if (!policy || (this.skip && this.skip(req))) return next();
+
+            let result;
+            try {
+                result = await this.hit(policy, this.keyGenerator(req), this.clock.now().getTime());
+            } catch (error) {
+                // 存储故障时放行，避免限流组件导致整个服务不可用
+                req.log.error('限流存储出错，本次请求不限流', { error: error });
+                return next();
+            }
+
+            res.set('RateLimit-Policy', `${policy.limit};w=${Math.ceil(policy.windowMs / 1000)}`);
+            res.set('RateLimit-Limit', String(result.limit));
+            res.set('RateLimit-Remaining', String(result.remaining));
+            res.set('RateLimit-Reset', String(result.resetSeconds));
+
+            if (result.limited) {
+                res.set('Retry-After', String(result.resetSeconds));
+                req.log.warn('触发限流策略', { ip: req.ip, policy: policy.name });
+
+                if (this.onLimited) {
+                    return this.onLimited(req, res, { policy, ...result });
+                }
+                return res.status(429).json({
+                    success: false,
+                    ...reply(req, 'RATE_LIMITED', { duration: formatDuration(req.lang, result.resetSeconds) })
+                });
+            }
+
+            next();
+        };
+    }
+}
+
+module.exports = {
+    DEFAULT_POLICIES,
+    loadPolicies,
+    MemoryRateLimitStore,
+    MongoRateLimitStore,
+    RateLimiter
+};
@@ -0,0 +1,213 @@
+// report.js - 解读报告：各维度的等级与本地化解读、最突出的特质、雷达图和可打印的 HTML 页面
+
+const { DIMENSIONS } = require('./dimensions');
+const { t } = require('./i18n');
+const { logger } = require('./logger');
+const { escapeXML, renderRadarChart } = require('./radar_chart');
+
+// 维度等级，从低到高；每个等级的解读文本为 REPORT_BAND_<等级>
+const REPORT_BANDS = ['low', 'average', 'high', 'very_high'];
+
+// 默认分界（百分位，含）：<=25 偏低，<=75 中等，<=90 偏高，其余为很高
+const DEFAULT_BAND_CUTOFFS = [25, 75, 90];
+
+// 计入最突出特质的等级
+const HIGHLIGHT_BANDS = ['high', 'very_high'];
+
+// 读取报告配置（env 默认为 process.env）
+// REPORT_BAND_CUTOFFS: 三个递增的百分位分界，例如 "30,70,95"；REPORT_HIGHLIGHT_COUNT: 最突出特质的数量，默认3
+function loadReportConfig(env = process.env) {
+    let bandCutoffs = DEFAULT_BAND_CUTOFFS;
+
+    if (env.REPORT_BAND_CUTOFFS) {
+        const configured = env.REPORT_BAND_CUTOFFS.split(',').map(value => parseFloat(value));
+        const isValid = configured.length === REPORT_BANDS.length - 1 &&
+            configured.every((value, index) => value > 0 && value < 100 && (index === 0 || value > configured[index - 1]));
+
+        if (isValid) {
+            bandCutoffs = configured;
+        } else {
+            logger.warn('REPORT_BAND_CUTOFFS 配置无效（需要三个 0-100 之间递增的百分位），使用默认分界');
+        }
+    }
+
+    const highlightCount = parseInt(env.REPORT_HIGHLIGHT_COUNT);
+    return {
+        bandCutoffs: bandCutoffs,
+        highlightCount: highlightCount >= 0 ? highlightCount : 3
+    };
+}
+
+// 根据百分位确定等级
+function getBand(percentile, bandCutoffs = DEFAULT_BAND_CUTOFFS) {
+    const index = bandCutoffs.findIndex(cutoff => percentile <= cutoff);
+    return REPORT_BANDS[index === -1 ? REPORT_BANDS.length - 1 : index];
+}
+
+function bandLabel(lang, band) {
+    return t(lang, `BAND_${band.toUpperCase()}`);
+}
+
+function dimensionName(lang, dim) {
+    return t(lang, `DIMENSION_${dim.toUpperCase()}`);
+}
+
+// 生成报告
+// source: { scores, rankings, dFactor, normSource, normGroup }（排名接口的计算结果或保存的测试结果）
+// options: { lang, bandCutoffs, highlightCount }，bandCutoffs 与 highlightCount 来自 loadReportConfig()
+function buildReport({ scores, rankings, dFactor, normSource, normGroup }, { lang, bandCutoffs = DEFAULT_BAND_CUTOFFS, highlightCount = 3 }) {
+    const dimensions = DIMENSIONS.map(dim => {
+        const percentile = rankings[dim];
+        const band = getBand(percentile, bandCutoffs);
+        const name = dimensionName(lang, dim);
+        return {
+            dimension: dim,
+            name: name,
+            score: scores[dim],
+            percentile: percentile,
+            band: band,
+            bandLabel: bandLabel(lang, band),
+            interpretation: t(lang, `REPORT_BAND_${band.toUpperCase()}`, {
+                name: name,
+                percentile: Math.round(percentile),
+                trait: t(lang, `TRAIT_${dim.toUpperCase()}`)
+            })
+        };
+    });
+
+    // 最突出的特质：百分位最高的偏高维度，百分位相同时按分数
+    const highlights = dimensions
+        .filter(item => HIGHLIGHT_BANDS.includes(item.band))
+        .sort((a, b) => b.percentile - a.percentile || b.score - a.score)
+        .slice(0, highlightCount)
+        .map(({ dimension, name, percentile, band, bandLabel: label }) => ({ dimension, name, percentile, band, bandLabel: label }));
+
+    const summary = highlights.length > 0
+        ? t(lang, 'REPORT_SUMMARY_HIGHLIGHTS', { traits: new Intl.ListFormat(lang).format(highlights.map(item => item.name)) })
+        : t(lang, 'REPORT_SUMMARY_NONE');
+
+    // D 的等级由 D_BANDS 决定，代码与维度等级相同时使用本地化的等级名称，否则使用等级代码
+    const overall = dFactor ? {
+        score: dFactor.score,
+        percentile: dFactor.percentile,
+        band: dFactor.band,
+        bandLabel: REPORT_BANDS.includes(dFactor.band) ? bandLabel(lang, dFactor.band) : dFactor.band,
+        interpretation: t(lang, 'REPORT_D_FACTOR', { percentile: Math.round(dFactor.percentile) })
+    } : null;
+
+    return {
+        lang: lang,
+        bandCutoffs: bandCutoffs,
+        summary: summary,
+        highlights: highlights,
+        dimensions: dimensions,
+        dFactor: overall,
+        normSource: normSource,
+        normGroup: normGroup || null,
+        disclaimer: t(lang, 'REPORT_DISCLAIMER')
+    };
+}
+
+// 报告中各维度百分位的雷达图；参考环为等级分界
+function renderReportChart(report) {
+    return renderRadarChart(
+        report.dimensions.map(item => ({ label: item.name, value: item.percentile })),
+        { title: t(report.lang, 'REPORT_CHART_TITLE'), rings: [...report.bandCutoffs, 100] }
+    );
+}
+
+// 可打印的独立 HTML 页面（内联样式和雷达图，不引用外部资源）
+// warning: 常模为参数化估算时的提示；generatedAt: 页面上显示的生成时间
+function renderReportHTML(report, { warning = null, generatedAt = new Date() } = {}) {
+    const { lang } = report;
+    const text = (code, params) => escapeXML(t(lang, code, params));
+    const formatPercentile = value => escapeXML(Math.round(value));
+
+    const rows = report.dimensions.map(item => `
+            <tr class="band-${escapeXML(item.band)}">
+                <td>${escapeXML(item.name)}</td>
+                <td>${escapeXML(item.score)}</td>
+                <td>${formatPercentile(item.percentile)}</td>
+                <td>${escapeXML(item.bandLabel)}</td>
+            </tr>`).join('');
+
+    const interpretations = report.dimensions.map(item => `
+        <div class="dimension">
+            <h3>${escapeXML(item.name)} <span class="band band-${escapeXML(item.band)}">${escapeXML(item.bandLabel)}</span></h3>
+            <p>${escapeXML(item.interpretation)}</p>
+        </div>`).join('');
+
+    const highlights = report.highlights.length > 0 ? `
+        <ul class="highlights">${report.highlights.map(item => `
+            <li><strong>${escapeXML(item.name)}</strong> · ${escapeXML(item.bandLabel)} · ${text('REPORT_COLUMN_PERCENTILE')} ${formatPercentile(item.percentile)}</li>`).join('')}
+        </ul>` : '';
+
+    const overall = report.dFactor ? `
+    <section>
+        <h2>${text('REPORT_D_FACTOR_HEADING')}</h2>
+        <p><span class="band band-${escapeXML(report.dFactor.band)}">${escapeXML(report.dFactor.bandLabel)}</span> ${escapeXML(report.dFactor.interpretation)}</p>
+    </section>` : '';
+
+    return `<!DOCTYPE html>
+<html lang="${escapeXML(lang)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${text('REPORT_TITLE')}</title>
+<style>
+    body { font-family: sans-serif; color: #2c3e50; max-width: 760px; margin: 2em auto; padding: 0 1em; line-height: 1.5; }
+    h1 { margin-bottom: 0.2em; }
+    .meta, .note { color: #6b7280; font-size: 0.9em; }
+    .chart { text-align: center; }
+    .chart svg { max-width: 100%; height: auto; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #e5e7eb; padding: 0.4em 0.6em; text-align: left; }
+    .band { display: inline-block; padding: 0 0.5em; border-radius: 0.6em; font-size: 0.8em; font-weight: normal; background: #eef1f5; }
+    .band-high { background: #fde8d7; }
+    .band-very_high { background: #f8d0cb; }
+    .dimension h3 { margin-bottom: 0.2em; font-size: 1em; }
+    .dimension p { margin-top: 0; }
+    @media print {
+        body { margin: 0; max-width: none; }
+        section, .dimension, .chart { break-inside: avoid; }
+    }
+</style>
+</head>
+<body>
+    <h1>${text('REPORT_TITLE')}</h1>
+    <p class="meta">${text('REPORT_GENERATED_AT', { time: generatedAt.toISOString().slice(0, 16).replace('T', ' ') + ' UTC' })}</p>
+    ${warning ? `<p class="note">${escapeXML(warning)}</p>` : ''}
+    <section>
+        <h2>${text('REPORT_HIGHLIGHTS_HEADING')}</h2>
+        <p>${escapeXML(report.summary)}</p>${highlights}
+    </section>
+    <section class="chart">
+        ${renderReportChart(report)}
+    </section>
+    <section>
+        <table>
+            <thead>
+                <tr><th>${text('REPORT_COLUMN_DIMENSION')}</th><th>${text('REPORT_COLUMN_SCORE')}</th><th>${text('REPORT_COLUMN_PERCENTILE')}</th><th>${text('REPORT_COLUMN_BAND')}</th></tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+        </table>
+    </section>${overall}
+    <section>
+        <h2>${text('REPORT_DIMENSIONS_HEADING')}</h2>${interpretations}
+    </section>
+    <p class="note">${escapeXML(report.disclaimer)}</p>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    REPORT_BANDS,
+    DEFAULT_BAND_CUTOFFS,
+    loadReportConfig,
+    getBand,
+    buildReport,
+    renderReportChart,
+    renderReportHTML
+};
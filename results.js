@@ -0,0 +1,199 @@
+// results.js - 测试结果的持久化与读取
+
+const crypto = require('crypto');
+const { COLLECTIONS } = require('./db');
+
+// 结果ID：128位随机数，base64url 编码，不可猜测
+function generateResultId() {
+    return crypto.randomBytes(16).toString('base64url');
+}
+
+function isValidResultId(id) {
+    return typeof id === 'string' && /^[A-Za-z0-9_-]{22}$/.test(id);
+}
+
+// 分享令牌：结果所有者开启比较后生成，交给好友用于比较；数据库只保存哈希
+function generateShareToken() {
+    return crypto.randomBytes(18).toString('base64url');
+}
+
+function isValidShareToken(token) {
+    return typeof token === 'string' && /^[A-Za-z0-9_-]{24}$/.test(token);
+}
+
+function hashShareToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// 查看令牌：保存结果时生成并只返回这一次，代表结果的所有者，用于之后读取、比较和设置分享；数据库只保存哈希
+// 会话令牌几小时后过期、重新验证访问码会得到新的会话，因此所有者不能按会话识别
+function generateReadToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+function isValidReadToken(token) {
+    return typeof token === 'string' && /^[A-Za-z0-9_-]{32}$/.test(token);
+}
+
+function hashReadToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// 删除令牌：保存结果时生成并只返回这一次，持有者可以删除该结果；数据库只保存哈希
+function generateDeletionToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+function isValidDeletionToken(token) {
+    return typeof token === 'string' && /^[A-Za-z0-9_-]{32}$/.test(token);
+}
+
+function hashDeletionToken(token) {
+    return crypto.createHash('sha256').update(token).digest();
+}
+
+// 分享令牌查询索引，以及数据保留任务按保存时间删除用的索引
+async function initResultIndexes(db) {
+    await Promise.all([
+        db.collection(COLLECTIONS.TEST_RESULTS).createIndex({ shareTokenHash: 1 }, { unique: true, sparse: true }),
+        db.collection(COLLECTIONS.TEST_RESULTS).createIndex({ createdAt: 1 })
+    ]);
+}
+
+// 将数据库文档转换为对外返回的结构；accessCode 只保存在数据库中，不对外返回（结果可能通过分享令牌被他人读取）
+function toPublicResult(doc) {
+    return {
+        id: doc._id,
+        scores: doc.scores,
+        rankings: doc.rankings,
+        // 旧版本保存的结果带有固定为中文的 label，只返回等级代码
+        dFactor: doc.dFactor ? { score: doc.dFactor.score, percentile: doc.dFactor.percentile, band: doc.dFactor.band } : null,
+        normSource: doc.normSource,
+        normGroup: doc.normGroup || null,
+        demographics: doc.demographics || {},
+        totalComparisons: doc.totalComparisons,
+        shareable: Boolean(doc.shareTokenHash),
+        createdAt: doc.createdAt
+    };
+}
+
+// shareable 为 true 时同时生成分享令牌，返回 { result, shareToken, readToken, deletionToken }；否则 shareToken 为 null
+// readToken 用于之后读取结果、比较和开启或关闭比较，deletionToken 用于之后删除结果；sessionId 只作记录
+async function createResult(db, { scores, rankings, dFactor, normSource, normGroup, demographics, totalComparisons, accessCode, sessionId, shareable }) {
+    const shareToken = shareable ? generateShareToken() : null;
+    const readToken = generateReadToken();
+    const deletionToken = generateDeletionToken();
+    const doc = {
+        _id: generateResultId(),
+        scores,
+        rankings,
+        dFactor,
+        normSource,
+        normGroup,
+        demographics: demographics || {},
+        totalComparisons,
+        accessCode: accessCode || null,
+        sessionId: sessionId || null,
+        readTokenHash: hashReadToken(readToken),
+        deletionTokenHash: hashDeletionToken(deletionToken).toString('hex'),
+        createdAt: new Date()
+    };
+    if (shareToken) {
+        doc.shareTokenHash = hashShareToken(shareToken);
+        doc.sharedAt = doc.createdAt;
+    }
+
+    await db.collection(COLLECTIONS.TEST_RESULTS).insertOne(doc);
+    return { result: toPublicResult(doc), shareToken, readToken, deletionToken };
+}
+
+// 按ID读取结果：需要保存结果时返回的查看令牌，令牌不符时与不存在的结果一样返回 null（不暴露结果是否存在）
+// 其他人只能通过分享令牌比较（findComparableResult）；早于查看令牌功能保存的结果没有令牌，无法再按ID读取
+async function findResult(db, id, readToken) {
+    if (!isValidResultId(id) || !isValidReadToken(readToken)) return null;
+
+    const doc = await db.collection(COLLECTIONS.TEST_RESULTS).findOne({ _id: id, readTokenHash: hashReadToken(readToken) });
+    return doc ? toPublicResult(doc) : null;
+}
+
+// 开启比较（生成新的分享令牌，旧令牌失效）或关闭比较；只有持有查看令牌的所有者可以操作
+// 返回 { result, shareToken } 或 { error: 'not_found' | 'not_owner' }
+async function setResultSharing(db, id, readToken, enabled) {
+    if (!isValidResultId(id)) return { error: 'not_found' };
+
+    const collection = db.collection(COLLECTIONS.TEST_RESULTS);
+    const doc = await collection.findOne({ _id: id });
+    if (!doc) return { error: 'not_found' };
+    if (!doc.readTokenHash || !isValidReadToken(readToken) || doc.readTokenHash !== hashReadToken(readToken)) return { error: 'not_owner' };
+
+    const shareToken = enabled ? generateShareToken() : null;
+    const update = enabled
+        ? { $set: { shareTokenHash: hashShareToken(shareToken), sharedAt: new Date() } }
+        : { $unset: { shareTokenHash: '', sharedAt: '' } };
+
+    const updated = await collection.findOneAndUpdate({ _id: id }, update, { returnDocument: 'after' });
+    return { result: toPublicResult(updated), shareToken };
+}
+
+// 读取用于比较的结果：按分享令牌查找，或按ID和查看令牌查找自己的结果
+// 返回 { result } 或 { error: 'not_found' }
+async function findComparableResult(db, { id, readToken, shareToken }) {
+    if (shareToken !== undefined) {
+        if (!isValidShareToken(shareToken)) return { error: 'not_found' };
+        const doc = await db.collection(COLLECTIONS.TEST_RESULTS).findOne({ shareTokenHash: hashShareToken(shareToken) });
+        return doc ? { result: toPublicResult(doc) } : { error: 'not_found' };
+    }
+
+    const result = await findResult(db, id, readToken);
+    return result ? { result } : { error: 'not_found' };
+}
+
+// 凭删除令牌删除结果（常量时间比较令牌哈希）
+// 返回 { deleted: true } 或 { error: 'not_found' | 'invalid_token' }
+async function deleteResult(db, id, deletionToken) {
+    if (!isValidResultId(id)) return { error: 'not_found' };
+
+    const collection = db.collection(COLLECTIONS.TEST_RESULTS);
+    const doc = await collection.findOne({ _id: id }, { projection: { deletionTokenHash: 1 } });
+    if (!doc) return { error: 'not_found' };
+
+    // 早于删除令牌功能保存的结果没有令牌，只能由管理员按保留策略清理
+    if (!doc.deletionTokenHash || !isValidDeletionToken(deletionToken)) return { error: 'invalid_token' };
+    const expected = Buffer.from(doc.deletionTokenHash, 'hex');
+    if (!crypto.timingSafeEqual(hashDeletionToken(deletionToken), expected)) return { error: 'invalid_token' };
+
+    await collection.deleteOne({ _id: id });
+    return { deleted: true };
+}
+
+// 删除 before 之前保存的结果（数据保留任务调用），返回删除数量
+async function purgeExpiredResults(db, before) {
+    const { deletedCount } = await db.collection(COLLECTIONS.TEST_RESULTS).deleteMany({ createdAt: { $lt: before } });
+    return deletedCount;
+}
+
+// 结果数据概况：{ count, shareable, oldestAt }
+async function getResultInventory(db) {
+    const collection = db.collection(COLLECTIONS.TEST_RESULTS);
+    const [count, shareable, oldest] = await Promise.all([
+        collection.countDocuments({}),
+        collection.countDocuments({ shareTokenHash: { $exists: true } }),
+        collection.findOne({}, { sort: { createdAt: 1 }, projection: { createdAt: 1 } })
+    ]);
+    return { count, shareable, oldestAt: oldest ? oldest.createdAt : null };
+}
+
+module.exports = {
+    generateResultId,
+    isValidResultId,
+    isValidShareToken,
+    isValidReadToken,
+    initResultIndexes,
+    createResult,
+    findResult,
+    setResultSharing,
+    findComparableResult,
+    deleteResult,
+    purgeExpiredResults,
+    getResultInventory
+};
@@ -0,0 +1,869 @@
+// schemas.js - 各接口的请求与响应 schema（请求校验与 OpenAPI 文档共用）
+
+const { DIMENSIONS, SCORE_MIN, SCORE_MAX } = require('./dimensions');
+const { AGE_BANDS, GENDERS } = require('./demographics');
+const { LIKERT_MIN, LIKERT_MAX, SCORING_KEY } = require('./scoring');
+const { CODE_STATUSES } = require('./access_codes');
+const { ADMIN_SCOPES } = require('./admin_auth');
+const { IP_RULE_TYPES } = require('./ip_rules');
+const { REPORT_BANDS } = require('./report');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+// 10个维度各一个属性的对象
+function perDimension(schema) {
+    return {
+        type: 'object',
+        properties: Object.fromEntries(DIMENSIONS.map(dim => [dim, schema])),
+        required: DIMENSIONS
+    };
+}
+
+// 人口统计字段（请求体和查询参数共用）
+const DEMOGRAPHIC_PROPERTIES = {
+    ageBand: { type: 'string', enum: AGE_BANDS, description: '年龄段' },
+    gender: { type: 'string', enum: GENDERS, description: '性别' },
+    country: { type: 'string', pattern: '^[A-Za-z]{2}$', description: 'ISO 3166-1 alpha-2 国家代码' }
+};
+
+const DATE_TIME = { type: 'string', format: 'date-time' };
+
+// 分页查询参数
+const PAGINATION = {
+    limit: { type: 'integer', minimum: 1, maximum: 1000, description: '默认100' },
+    skip: { type: 'integer', minimum: 0, description: '默认0' }
+};
+
+const ACCESS_CODE_PARAM = { type: 'string', pattern: '^[A-Za-z0-9]{1,20}$' };
+
+// 可复用的 schema，通过 { $ref: '#/components/schemas/名称' } 引用
+const COMPONENTS = {
+    FieldError: {
+        type: 'object',
+        properties: {
+            field: { type: 'string', description: '出错的字段，如 body.egoism、query.limit' },
+            messageCode: { type: 'string' },
+            message: { type: 'string' }
+        },
+        required: ['field', 'messageCode', 'message']
+    },
+    ErrorResponse: {
+        type: 'object',
+        description: '统一的错误响应；请求校验失败时 messageCode 为 VALIDATION_FAILED，errors 列出每个字段的错误',
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            messageCode: { type: 'string' },
+            message: { type: 'string' },
+            errors: { type: 'array', items: ref('FieldError') },
+            retryAfter: { type: 'integer', description: '429 时距离可以重试的秒数' }
+        },
+        required: ['success', 'messageCode', 'message']
+    },
+    Message: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean', enum: [true] },
+            messageCode: { type: 'string' },
+            message: { type: 'string' }
+        },
+        required: ['success', 'messageCode', 'message']
+    },
+    Scores: {
+        ...perDimension({ type: 'integer', minimum: SCORE_MIN, maximum: SCORE_MAX }),
+        additionalProperties: false
+    },
+    // 未配置计分键时不限制题目ID，接口返回 503 SCORING_KEY_UNAVAILABLE
+    Answers: SCORING_KEY ? {
+        type: 'object',
+        description: `题目ID（见 SCORING_KEY_FILE 中的计分键）→ ${LIKERT_MIN}-${LIKERT_MAX} 的作答`,
+        properties: Object.fromEntries(SCORING_KEY.map(item =>
+            [item.id, { type: 'integer', minimum: LIKERT_MIN, maximum: LIKERT_MAX }])),
+        required: SCORING_KEY.map(item => item.id),
+        additionalProperties: false
+    } : {
+        type: 'object',
+        description: '未配置计分键（SCORING_KEY_FILE），题目级计分不可用'
+    },
+    Rankings: perDimension({ type: 'number', minimum: 0, maximum: 100 }),
+    DFactor: {
+        type: 'object',
+        properties: {
+            score: { type: 'number' },
+            percentile: { type: 'number' },
+            band: { type: 'string', description: '等级代码（默认 low、average、high，由 D_BANDS 配置）' }
+        },
+        required: ['score', 'percentile', 'band']
+    },
+    Demographics: {
+        type: 'object',
+        properties: DEMOGRAPHIC_PROPERTIES,
+        additionalProperties: false
+    },
+    NormGroup: {
+        type: 'object',
+        properties: {
+            key: { type: 'string', description: '全体样本为 all' },
+            fields: ref('Demographics'),
+            sampleSize: { type: 'integer' },
+            fallback: { type: 'boolean' }
+        },
+        required: ['key', 'fields', 'sampleSize', 'fallback']
+    },
+    Result: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            scores: ref('Scores'),
+            rankings: ref('Rankings'),
+            dFactor: { type: ['object', 'null'] },
+            normSource: { type: 'string', enum: ['empirical', 'parametric'] },
+            normGroup: { type: ['object', 'null'] },
+            demographics: ref('Demographics'),
+            totalComparisons: { type: 'integer' },
+            shareable: { type: 'boolean' },
+            createdAt: DATE_TIME
+        },
+        required: ['id', 'scores', 'rankings', 'normSource', 'shareable', 'createdAt']
+    },
+    AccessCode: {
+        type: 'object',
+        properties: {
+            code: { type: 'string' },
+            status: { type: 'string', enum: CODE_STATUSES },
+            maxUses: { type: 'integer' },
+            currentUses: { type: 'integer' },
+            remainingUses: { type: 'integer' },
+            redemptionCount: { type: 'integer' },
+            createdAt: DATE_TIME,
+            expiresAt: DATE_TIME,
+            lastUsed: { type: ['string', 'null'] },
+            revokedAt: { type: ['string', 'null'] }
+        },
+        required: ['code', 'status', 'maxUses', 'currentUses', 'expiresAt']
+    },
+    AccessCodeResponse: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean', enum: [true] },
+            messageCode: { type: 'string' },
+            message: { type: 'string' },
+            code: ref('AccessCode')
+        },
+        required: ['success', 'code']
+    },
+    IPRule: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            type: { type: 'string', enum: IP_RULE_TYPES },
+            cidr: { type: 'string' },
+            note: { type: ['string', 'null'] },
+            createdBy: { type: ['string', 'null'] },
+            createdAt: DATE_TIME
+        },
+        required: ['id', 'type', 'cidr']
+    },
+    Stats: {
+        type: 'object',
+        properties: {
+            sampleSize: { type: 'integer' },
+            dimensions: perDimension({ type: 'object' }),
+            correlations: {
+                type: 'object',
+                properties: {
+                    dimensions: { type: 'array', items: { type: 'string' } },
+                    matrix: { type: ['array', 'null'] }
+                }
+            }
+        },
+        required: ['sampleSize', 'dimensions', 'correlations']
+    },
+    RankingResponse: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean', enum: [true] },
+            messageCode: { type: 'string' },
+            message: { type: 'string' },
+            rankings: ref('Rankings'),
+            dFactor: ref('DFactor'),
+            totalComparisons: { type: 'integer' },
+            normSource: { type: 'string', enum: ['empirical', 'parametric'] },
+            normGroup: ref('NormGroup'),
+            normsLoadedAt: { type: ['string', 'null'] },
+            calculatedAt: DATE_TIME,
+            warningCode: { type: 'string', description: '使用参数化常模（估算值）时返回' },
+            warning: { type: 'string' }
+        },
+        required: ['success', 'rankings', 'dFactor', 'normSource', 'normGroup', 'calculatedAt']
+    },
+    ReportDimension: {
+        type: 'object',
+        properties: {
+            dimension: { type: 'string', enum: DIMENSIONS },
+            name: { type: 'string', description: '本地化的维度名称' },
+            score: { type: 'integer' },
+            percentile: { type: 'number' },
+            band: { type: 'string', enum: REPORT_BANDS },
+            bandLabel: { type: 'string' },
+            interpretation: { type: 'string', description: '本地化的等级解读' }
+        },
+        required: ['dimension', 'name', 'score', 'percentile', 'band', 'bandLabel', 'interpretation']
+    },
+    Report: {
+        type: 'object',
+        properties: {
+            lang: { type: 'string' },
+            bandCutoffs: { type: 'array', items: { type: 'number' }, description: '等级分界（百分位，含），依次为偏低、中等、偏高的上限' },
+            summary: { type: 'string' },
+            highlights: {
+                type: 'array',
+                description: '最突出的特质：百分位最高的偏高或很高的维度',
+                items: {
+                    type: 'object',
+                    properties: {
+                        dimension: { type: 'string', enum: DIMENSIONS },
+                        name: { type: 'string' },
+                        percentile: { type: 'number' },
+                        band: { type: 'string', enum: REPORT_BANDS },
+                        bandLabel: { type: 'string' }
+                    },
+                    required: ['dimension', 'name', 'percentile', 'band', 'bandLabel']
+                }
+            },
+            dimensions: { type: 'array', items: ref('ReportDimension') },
+            dFactor: { type: ['object', 'null'] },
+            normSource: { type: 'string', enum: ['empirical', 'parametric'] },
+            normGroup: { type: ['object', 'null'] },
+            disclaimer: { type: 'string' }
+        },
+        required: ['lang', 'bandCutoffs', 'summary', 'highlights', 'dimensions', 'dFactor', 'normSource', 'disclaimer']
+    },
+    ReportResponse: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean', enum: [true] },
+            messageCode: { type: 'string' },
+            message: { type: 'string' },
+            report: ref('Report'),
+            generatedAt: DATE_TIME,
+            warningCode: { type: 'string', description: '使用参数化常模（估算值）时返回' },
+            warning: { type: 'string' }
+        },
+        required: ['success', 'report', 'generatedAt']
+    }
+};
+
+const ERROR = ref('ErrorResponse');
+
+// 结果ID路径参数
+const RESULT_ID_PARAMS = {
+    type: 'object',
+    properties: { id: { type: 'string', pattern: '^[A-Za-z0-9_-]{22}$' } },
+    required: ['id']
+};
+
+// 报告格式：json（默认）或可打印的 HTML 页面
+const REPORT_FORMAT_QUERY = {
+    type: 'object',
+    properties: { format: { type: 'string', enum: ['json', 'html'] } }
+};
+
+// 查看令牌：保存结果时返回，读取、比较和设置分享时使用
+const READ_TOKEN = { type: 'string', pattern: '^[A-Za-z0-9_-]{32}$' };
+
+// 查看令牌也可以放在查询参数中（<img> 等无法设置请求头的场合）
+const READ_TOKEN_QUERY = {
+    type: 'object',
+    properties: { token: { ...READ_TOKEN, description: '查看令牌，与 X-Read-Token 请求头二选一' } }
+};
+
+const SHARING_RESPONSE = {
+    type: 'object',
+    properties: {
+        success: { type: 'boolean' },
+        messageCode: { type: 'string' },
+        message: { type: 'string' },
+        result: ref('Result'),
+        shareToken: { type: 'string' }
+    },
+    required: ['success', 'result']
+};
+
+// 接口定义，键为 "方法 路径"（与 Express 路由路径一致）
+// auth: 'session' 需要会话令牌，'admin' 需要管理员密钥（scope 为所需权限），'deletionToken' 需要结果的删除令牌
+const ROUTES = {
+    'GET /': {
+        summary: '服务状态',
+        tags: ['system'],
+        responses: { 200: { type: 'object' } }
+    },
+    'GET /api/health': {
+        summary: '健康检查',
+        tags: ['system'],
+        responses: { 200: { type: 'object' } }
+    },
+    'GET /api/openapi.json': {
+        summary: '本接口的 OpenAPI 文档',
+        tags: ['system'],
+        responses: { 200: { type: 'object' } }
+    },
+    'GET /metrics': {
+        summary: 'Prometheus 指标（配置 METRICS_KEY 时需要密钥，并额外输出访问码库存）',
+        tags: ['system'],
+        auth: 'metrics',
+        responses: { 200: { type: 'string', contentType: 'text/plain' }, 401: ERROR }
+    },
+
+    'POST /api/check-access-code': {
+        summary: '验证访问码并签发会话令牌',
+        tags: ['access'],
+        body: {
+            type: 'object',
+            properties: {
+                accessCode: { type: 'string', minLength: 1, maxLength: 64 },
+                deviceId: { type: 'string', pattern: '^[A-Za-z0-9_.-]{8,128}$', description: '上次验证响应中服务端签发的 deviceId，也可通过 X-Device-Id 请求头传入；签名无效时按新设备处理' }
+            },
+            required: ['accessCode'],
+            additionalProperties: false
+        },
+        responses: {
+            200: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean', enum: [true] },
+                    valid: { type: 'boolean', enum: [true] },
+                    messageCode: { type: 'string' },
+                    message: { type: 'string' },
+                    code: { type: 'string' },
+                    expiresAt: DATE_TIME,
+                    remainingUses: { type: 'integer' },
+                    reused: { type: 'boolean' },
+                    redemptions: { type: 'array', items: { type: 'object' } },
+                    token: { type: 'string' },
+                    tokenExpiresAt: DATE_TIME,
+                    deviceId: { type: 'string', description: '服务端签发的设备ID（按会话令牌识别时不返回）' }
+                },
+                required: ['success', 'valid', 'code', 'token', 'tokenExpiresAt']
+            },
+            400: ERROR,
+            429: ERROR
+        }
+    },
+
+    'GET /api/admin/security-status': {
+        summary: '安全状态',
+        tags: ['admin'],
+        auth: 'admin',
+        scope: ADMIN_SCOPES.SECURITY_READ,
+        responses: { 200: { type: 'object' } }
+    },
+    'GET /api/admin/audit': {
+        summary: '查询审计日志（format=csv 时导出 CSV）',
+        tags: ['admin'],
+        auth: 'admin',
+        scope: ADMIN_SCOPES.SECURITY_READ,
+        query: {
+            type: 'object',
+            properties: {
+                ip: { type: 'string', description: 'IP 地址或 IP 哈希' },
+                code: { type: 'string' },
+                type: { type: 'string', description: '事件类型，逗号分隔' },
+                from: DATE_TIME,
+                to: DATE_TIME,
+                format: { type: 'string', enum: ['json', 'csv'] },
+                ...PAGINATION
+            }
+        },
+        responses: {
+            200: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    messageCode: { type: 'string' },
+                    message: { type: 'string' },
+                    total: { type: 'integer' },
+                    limit: { type: 'integer' },
+                    skip: { type: 'integer' },
+                    events: { type: 'array', items: { type: 'object' } }
+                },
+                required: ['success', 'total', 'events']
+            },
+            400: ERROR
+        }
+    },
+    'GET /api/admin/stats': {
+        summary: '按时间范围和人口统计分组实时计算总体统计',
+        tags: ['admin'],
+        auth: 'admin',
+        scope: ADMIN_SCOPES.STATS_READ,
+        query: {
+            type: 'object',
+            properties: { from: DATE_TIME, to: DATE_TIME, ...DEMOGRAPHIC_PROPERTIES }
+        },
+        responses: {
+            200: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    messageCode: { type: 'string' },
+                    message: { type: 'string' },
+                    filter: { type: 'object' },
+                    stats: ref('Stats'),
+                    computedAt: DATE_TIME
+                },
+                required: ['success', 'stats']
+            },
+            400: ERROR,
+            503: ERROR
+        }
+    },
+    'GET /api/admin/data-inventory': {
+        summary: '保存的个人数据清单与保留策略',
+        tags: ['admin'],
+        auth: 'admin',
+        scope: ADMIN_SCOPES.PRIVACY_READ,
+        responses: {
+            200: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    messageCode: { type: 'string' },
+                    message: { type: 'string' },
+                    generatedAt: DATE_TIME,
+                    ipHashing: {
+                        type: 'object',
+                        properties: {
+                            algorithm: { type: 'string' },
+                            secretConfigured: { type: 'boolean' },
+                            saltStorage: { type: 'string', enum: ['memory', 'mongodb'], description: '随机盐的存储；过期的盐会被删除' },
+                            rotationHours: { type: 'number' },
+                            currentSaltSince: DATE_TIME,
+                            nextRotationAt: DATE_TIME
+                        },
+                        required: ['algorithm', 'secretConfigured', 'saltStorage', 'rotationHours', 'nextRotationAt']
+                    },
+                    data: {
+                        type: 'object',
+                        description: '按数据类别：storage、fields（实际保存的字段名）、count，以及保留时间',
+                        properties: {
+                            testResults: { type: 'object' },
+                            securityRecords: { type: 'object' },
+                            auditLog: { type: 'object' },
+                            accessCodes: { type: 'object' },
+                            rateLimits: { type: 'object' }
+                        },
+                        required: ['testResults', 'securityRecords', 'auditLog', 'accessCodes', 'rateLimits']
+                    }
+                },
+                required: ['success', 'ipHashing', 'data']
+            }
+        }
+    },
+    'POST /api/admin/unblock-ip': {
+        summary: '解除IP封禁',
+        tags: ['admin'],
+        auth: 'admin',
+        scope: ADMIN_SCOPES.SECURITY_MANAGE,
+        body: {
+            type: 'object',
+            properties: {
+                ip: { type: 'string', minLength: 1, description: 'IP 地址或安全记录的键（IP 哈希）' },
+                resetEscalation: { type: 'boolean' }
+            },
+            required: ['ip'],
+            additionalProperties: false
+        },
+        responses: { 200: ref('Message'), 400: ERROR, 404: ERROR }
+    },
+    'POST /api/admin/ban-ip': {
+        summary: '永久封禁IP（IPv6 封禁整个 /64 段）',
+        tags: ['admin'],
+        auth: 'admin',
+        scope: ADMIN_SCOPES.SECURITY_MANAGE,
+        body: {
+            type: 'object',
+            properties: {
+                ip: { type: 'string', minLength: 1 },
+                reason: { type: 'string', maxLength: 200 }
+            },
+            required: ['ip'],
+            additionalProperties: false
+        },
+        responses: { 200: ref('Message'), 400: ERROR }
+    },
+    'GET /api/admin/ip-rules': {
+        summary: 'IP 规则与手动封禁列表',
+        tags: ['admin'],
+        auth: 'admin',
+        scope: ADMIN_SCOPES.SECURITY_READ,
+        responses: {
+            200: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    messageCode: { type: 'string' },
+                    message: { type: 'string' },
+                    storage: { type: 'string' },
+                    allow: { type: 'array', items: ref('IPRule') },
+                    deny: { type: 'array', items: ref('IPRule') },
+                    bans: { type: 'array', items: { type: 'object' } }
+                },
+                required: ['success', 'allow', 'deny', 'bans']
+            }
+        }
+    },
+    'POST /api/admin/ip-rules': {
+        summary: '添加 CIDR 白名单或黑名单规则',
+        tags: ['admin'],
+        auth: 'admin',
+        scope: ADMIN_SCOPES.SECURITY_MANAGE,
+        body: {
+            type: 'object',
+            properties: {
+                type: { type: 'string', enum: IP_RULE_TYPES },
+                cidr: { type: 'string', minLength: 1 },
+                note: { type: 'string', maxLength: 200 }
+            },
+            required: ['type', 'cidr'],
+            additionalProperties: false
+        },
+        responses: {
+            201: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    messageCode: { type: 'string' },
+                    message: { type: 'string' },
+                    rule: ref('IPRule')
+                },
+                required: ['success', 'rule']
+            },
+            400: ERROR
+        }
+    },
+    'DELETE /api/admin/ip-rules/:id': {
+        summary: '删除 IP 规则',
+        tags: ['admin'],
+        auth: 'admin',
+        scope: ADMIN_SCOPES.SECURITY_MANAGE,
+        params: {
+            type: 'object',
+            properties: { id: { type: 'string', pattern: '^[a-f0-9]{16}$' } },
+            required: ['id']
+        },
+        responses: { 200: { type: 'object' }, 400: ERROR, 404: ERROR }
+    },
+
+    'POST /api/admin/access-codes/generate': {
+        summary: '批量生成访问码',
+        tags: ['admin'],
+        auth: 'admin',
+        scope: ADMIN_SCOPES.CODES_MANAGE,
+        body: {
+            type: 'object',
+            properties: {
+                count: { type: 'integer', minimum: 1, maximum: 500, description: '默认1' },
+                length: { type: 'integer', minimum: 4, maximum: 20, description: '随机部分长度，默认8；加上前缀不超过20' },
+                prefix: { type: 'string', pattern: '^[A-Za-z0-9]{0,16}$' },
+                maxUses: { type: 'integer', minimum: 1 },
+                expiresAt: DATE_TIME,
+                expiryDays: { type: 'number', minimum: 0, description: '与 expiresAt 二选一' }
+            },
+            additionalProperties: false
+        },
+        responses: {
+            201: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    messageCode: { type: 'string' },
+                    message: { type: 'string' },
+                    codes: { type: 'array', items: ref('AccessCode') }
+                },
+                required: ['success', 'codes']
+            },
+            400: ERROR
+        }
+    },
+    'GET /api/admin/access-codes': {
+        summary: '访问码列表',
+        tags: ['admin'],
+        auth: 'admin',
+        scope: ADMIN_SCOPES.CODES_READ,
+        query: {
+            type: 'object',
+            properties: {
+                status: { type: 'string', enum: CODE_STATUSES },
+                prefix: { type: 'string', pattern: '^[A-Za-z0-9]{1,20}$' },
+                ...PAGINATION
+            }
+        },
+        responses: {
+            200: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    messageCode: { type: 'string' },
+                    message: { type: 'string' },
+                    total: { type: 'integer' },
+                    limit: { type: 'integer' },
+                    skip: { type: 'integer' },
+                    codes: { type: 'array', items: ref('AccessCode') }
+                },
+                required: ['success', 'total', 'codes']
+            },
+            400: ERROR
+        }
+    },
+    'GET /api/admin/access-codes/export': {
+        summary: '导出访问码（CSV）',
+        tags: ['admin'],
+        auth: 'admin',
+        scope: ADMIN_SCOPES.CODES_READ,
+        query: {
+            type: 'object',
+            properties: {
+                status: { type: 'string', enum: CODE_STATUSES },
+                prefix: { type: 'string', pattern: '^[A-Za-z0-9]{1,20}$' }
+            }
+        },
+        responses: { 200: { type: 'string', contentType: 'text/csv' }, 400: ERROR }
+    },
+    'POST /api/admin/access-codes/:code/revoke': {
+        summary: '停用访问码',
+        tags: ['admin'],
+        auth: 'admin',
+        scope: ADMIN_SCOPES.CODES_MANAGE,
+        params: { type: 'object', properties: { code: ACCESS_CODE_PARAM }, required: ['code'] },
+        responses: { 200: ref('AccessCodeResponse'), 400: ERROR, 404: ERROR }
+    },
+    'POST /api/admin/access-codes/:code/extend': {
+        summary: '延长访问码有效期',
+        tags: ['admin'],
+        auth: 'admin',
+        scope: ADMIN_SCOPES.CODES_MANAGE,
+        params: { type: 'object', properties: { code: ACCESS_CODE_PARAM }, required: ['code'] },
+        body: {
+            type: 'object',
+            properties: {
+                expiresAt: DATE_TIME,
+                expiryDays: { type: 'number', minimum: 0, description: '在当前到期时间上顺延的天数' }
+            },
+            additionalProperties: false
+        },
+        responses: { 200: ref('AccessCodeResponse'), 400: ERROR, 404: ERROR }
+    },
+    'POST /api/admin/access-codes/:code/reset-redemptions': {
+        summary: '重置访问码的核销记录',
+        tags: ['admin'],
+        auth: 'admin',
+        scope: ADMIN_SCOPES.CODES_MANAGE,
+        params: { type: 'object', properties: { code: ACCESS_CODE_PARAM }, required: ['code'] },
+        body: {
+            type: 'object',
+            properties: {
+                clientId: { type: 'string', pattern: '^(device|session)_[A-Za-z0-9_-]+$', description: '省略时重置全部客户端' }
+            },
+            additionalProperties: false
+        },
+        responses: { 200: ref('AccessCodeResponse'), 400: ERROR, 404: ERROR }
+    },
+
+    'GET /api/stats': {
+        summary: '总体统计（定时刷新的缓存）',
+        tags: ['stats'],
+        responses: {
+            200: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    messageCode: { type: 'string' },
+                    message: { type: 'string' },
+                    stats: ref('Stats'),
+                    computedAt: DATE_TIME
+                },
+                required: ['success', 'stats', 'computedAt']
+            },
+            503: ERROR
+        }
+    },
+    'POST /api/rankings': {
+        summary: '根据10个维度分数计算百分位排名',
+        tags: ['test'],
+        auth: 'session',
+        body: {
+            type: 'object',
+            properties: { ...COMPONENTS.Scores.properties, ...DEMOGRAPHIC_PROPERTIES },
+            required: DIMENSIONS,
+            additionalProperties: false
+        },
+        responses: {
+            200: {
+                type: 'object',
+                properties: { ...COMPONENTS.RankingResponse.properties, userScores: ref('Scores') },
+                required: [...COMPONENTS.RankingResponse.required, 'userScores']
+            },
+            400: ERROR,
+            401: ERROR
+        }
+    },
+    'POST /api/score': {
+        summary: '根据原始作答计分并计算排名',
+        tags: ['test'],
+        auth: 'session',
+        body: {
+            type: 'object',
+            properties: { answers: ref('Answers'), ...DEMOGRAPHIC_PROPERTIES },
+            required: ['answers'],
+            additionalProperties: false
+        },
+        responses: {
+            200: {
+                type: 'object',
+                properties: { ...COMPONENTS.RankingResponse.properties, scores: ref('Scores') },
+                required: [...COMPONENTS.RankingResponse.required, 'scores']
+            },
+            400: ERROR,
+            401: ERROR,
+            503: ERROR
+        }
+    },
+    'POST /api/report': {
+        summary: '生成解读报告（answers 与 scores 二选一，优先使用 answers；format=html 时返回可打印的 HTML 页面）',
+        tags: ['test'],
+        auth: 'session',
+        query: REPORT_FORMAT_QUERY,
+        body: {
+            type: 'object',
+            properties: { answers: ref('Answers'), scores: ref('Scores'), ...DEMOGRAPHIC_PROPERTIES },
+            additionalProperties: false
+        },
+        responses: { 200: ref('ReportResponse'), 400: ERROR, 401: ERROR, 503: ERROR }
+    },
+    'POST /api/results': {
+        summary: '保存测试结果（answers 与 scores 二选一，优先使用 answers）',
+        tags: ['results'],
+        auth: 'session',
+        body: {
+            type: 'object',
+            properties: {
+                answers: ref('Answers'),
+                scores: ref('Scores'),
+                shareable: { type: 'boolean', description: '为 true 时返回一次性展示的分享令牌' },
+                ...DEMOGRAPHIC_PROPERTIES
+            },
+            additionalProperties: false
+        },
+        responses: {
+            201: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    messageCode: { type: 'string' },
+                    message: { type: 'string' },
+                    result: ref('Result'),
+                    shareToken: { type: 'string' },
+                    readToken: { type: 'string', description: '只返回这一次，用于之后读取该结果、比较和设置分享' },
+                    deletionToken: { type: 'string', description: '只返回这一次，用于删除该结果' }
+                },
+                required: ['success', 'result', 'readToken', 'deletionToken']
+            },
+            400: ERROR,
+            401: ERROR,
+            503: ERROR
+        }
+    },
+    'GET /api/results/:id': {
+        summary: '凭查看令牌读取测试结果',
+        tags: ['results'],
+        auth: 'readToken',
+        params: RESULT_ID_PARAMS,
+        query: READ_TOKEN_QUERY,
+        responses: {
+            200: {
+                type: 'object',
+                properties: { success: { type: 'boolean' }, messageCode: { type: 'string' }, message: { type: 'string' }, result: ref('Result') },
+                required: ['success', 'result']
+            },
+            400: ERROR,
+            401: ERROR,
+            404: ERROR
+        }
+    },
+    'GET /api/results/:id/report': {
+        summary: '凭查看令牌读取已保存测试结果的解读报告（format=html 时返回可打印的 HTML 页面）',
+        tags: ['results'],
+        auth: 'readToken',
+        params: RESULT_ID_PARAMS,
+        query: { type: 'object', properties: { ...REPORT_FORMAT_QUERY.properties, ...READ_TOKEN_QUERY.properties } },
+        responses: { 200: ref('ReportResponse'), 400: ERROR, 401: ERROR, 404: ERROR, 503: ERROR }
+    },
+    'GET /api/results/:id/chart.svg': {
+        summary: '凭查看令牌读取已保存测试结果的百分位雷达图（可用 token 查询参数直接放在 <img> 中）',
+        tags: ['results'],
+        auth: 'readToken',
+        params: RESULT_ID_PARAMS,
+        query: READ_TOKEN_QUERY,
+        responses: { 200: { type: 'string', contentType: 'image/svg+xml' }, 400: ERROR, 401: ERROR, 404: ERROR, 503: ERROR }
+    },
+    'DELETE /api/results/:id': {
+        summary: '凭删除令牌删除测试结果',
+        tags: ['results'],
+        auth: 'deletionToken',
+        params: RESULT_ID_PARAMS,
+        responses: { 200: ref('Message'), 400: ERROR, 401: ERROR, 403: ERROR, 404: ERROR, 503: ERROR }
+    },
+    'POST /api/results/:id/share': {
+        summary: '开启比较并生成新的分享令牌（需要查看令牌）',
+        tags: ['results'],
+        auth: 'readToken',
+        params: RESULT_ID_PARAMS,
+        responses: { 200: SHARING_RESPONSE, 400: ERROR, 401: ERROR, 403: ERROR, 404: ERROR }
+    },
+    'DELETE /api/results/:id/share': {
+        summary: '关闭比较（需要查看令牌）',
+        tags: ['results'],
+        auth: 'readToken',
+        params: RESULT_ID_PARAMS,
+        responses: { 200: SHARING_RESPONSE, 400: ERROR, 401: ERROR, 403: ERROR, 404: ERROR }
+    },
+    'POST /api/compare': {
+        summary: '比较两份测试结果（otherResultId 与 shareToken 二选一；按ID只能比较持有查看令牌的自己的结果）',
+        tags: ['results'],
+        auth: 'session',
+        body: {
+            type: 'object',
+            properties: {
+                resultId: RESULT_ID_PARAMS.properties.id,
+                readToken: READ_TOKEN,
+                otherResultId: RESULT_ID_PARAMS.properties.id,
+                otherReadToken: READ_TOKEN,
+                shareToken: { type: 'string', pattern: '^[A-Za-z0-9_-]{24}$' }
+            },
+            required: ['resultId', 'readToken'],
+            additionalProperties: false
+        },
+        responses: {
+            200: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    messageCode: { type: 'string' },
+                    message: { type: 'string' },
+                    resultId: { type: 'string' },
+                    comparison: { type: 'object' },
+                    calculatedAt: DATE_TIME
+                },
+                required: ['success', 'resultId', 'comparison']
+            },
+            400: ERROR,
+            401: ERROR,
+            404: ERROR
+        }
+    }
+};
+
+module.exports = {
+    COMPONENTS,
+    ROUTES
+};
@@ -0,0 +1,120 @@
+// scoring.js - 题目计分键（服务端根据原始作答计算维度分数）
+
+const fs = require('fs');
+const { DIMENSIONS } = require('./dimensions');
+const { logger } = require('./logger');
+
+// 李克特量表范围：1 = 非常不同意 ... 5 = 非常同意
+const LIKERT_MIN = 1;
+const LIKERT_MAX = 5;
+
+// 每个维度的题目数（7题 × 1-5分 = 7-35分）
+const ITEMS_PER_DIMENSION = 7;
+
+// 解析计分键定义：按维度列出前端问卷实际使用的题目ID，以及其中反向计分的题目ID
+// 例如 { "egoism": { "items": ["D03", "D14", ...], "reversed": ["D14"] }, ... }
+// 每个维度恰好 ITEMS_PER_DIMENSION 题，题目ID全局唯一；格式错误时抛出错误
+// 返回计分键：[{ id, dimension, reversed }]，按 DIMENSIONS 和定义中的题目顺序
+function parseScoringKey(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error('计分键必须是以维度为键的对象');
+    }
+
+    const unknown = Object.keys(definition).filter(dim => !DIMENSIONS.includes(dim));
+    if (unknown.length > 0) {
+        throw new Error(`计分键包含未知的维度: ${unknown.join(', ')}`);
+    }
+
+    const key = [];
+    const seen = new Set();
+
+    for (const dim of DIMENSIONS) {
+        const { items, reversed = [] } = definition[dim] || {};
+
+        if (!Array.isArray(items) || items.length !== ITEMS_PER_DIMENSION ||
+            !items.every(id => typeof id === 'string' && id.length > 0)) {
+            throw new Error(`维度 ${dim} 需要 ${ITEMS_PER_DIMENSION} 个题目ID`);
+        }
+        if (!Array.isArray(reversed) || !reversed.every(id => items.includes(id))) {
+            throw new Error(`维度 ${dim} 的反向计分题必须是该维度的题目`);
+        }
+
+        for (const id of items) {
+            if (seen.has(id)) throw new Error(`题目ID重复: ${id}`);
+            seen.add(id);
+            key.push({ id, dimension: dim, reversed: reversed.includes(id) });
+        }
+    }
+
+    return key;
+}
+
+// 读取计分键（env 默认为 process.env）
+// SCORING_KEY_FILE: 计分键 JSON 文件的路径，必须与前端问卷的题目和反向计分题一致
+// 未配置或格式错误时返回 null：题目级计分不可用，只能提交维度分数
+function loadScoringKey(env = process.env) {
+    if (!env.SCORING_KEY_FILE) {
+        logger.warn('未设置 SCORING_KEY_FILE 环境变量，题目级计分不可用');
+        return null;
+    }
+
+    try {
+        return parseScoringKey(JSON.parse(fs.readFileSync(env.SCORING_KEY_FILE, 'utf8')));
+    } catch (error) {
+        logger.error('计分键无效，题目级计分不可用', { file: env.SCORING_KEY_FILE, error: error });
+        return null;
+    }
+}
+
+const SCORING_KEY = loadScoringKey();
+
+// 根据原始作答计算各维度总分（key 默认为 SCORING_KEY_FILE 中的计分键）
+// 返回 { scores } 或 { errors: [{ item, code, params }] }（code 为 i18n 消息代码）
+function scoreAnswers(answers, key = SCORING_KEY) {
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+        return { errors: [{ item: null, code: 'ANSWERS_NOT_OBJECT' }] };
+    }
+
+    const itemsById = new Map(key.map(item => [item.id, item]));
+    const errors = [];
+
+    for (const itemId of Object.keys(answers)) {
+        if (!itemsById.has(itemId)) {
+            errors.push({ item: itemId, code: 'ITEM_UNKNOWN' });
+        }
+    }
+
+    for (const item of key) {
+        const value = answers[item.id];
+
+        if (value === undefined || value === null) {
+            errors.push({ item: item.id, code: 'ITEM_MISSING' });
+        } else if (!Number.isInteger(value) || value < LIKERT_MIN || value > LIKERT_MAX) {
+            errors.push({ item: item.id, code: 'ITEM_OUT_OF_RANGE', params: { min: LIKERT_MIN, max: LIKERT_MAX } });
+        }
+    }
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    const scores = {};
+    DIMENSIONS.forEach(dim => { scores[dim] = 0; });
+
+    for (const item of key) {
+        const value = answers[item.id];
+        scores[item.dimension] += item.reversed ? (LIKERT_MIN + LIKERT_MAX) - value : value;
+    }
+
+    return { scores };
+}
+
+module.exports = {
+    LIKERT_MIN,
+    LIKERT_MAX,
+    ITEMS_PER_DIMENSION,
+    SCORING_KEY,
+    parseScoringKey,
+    loadScoringKey,
+    scoreAnswers
+};
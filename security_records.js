@@ -0,0 +1,143 @@
+// security_records.js - IP 安全记录（连续失败封禁、逐级延长封禁、管理员手动封禁）
+
+const { SYSTEM_CLOCK } = require('./clock');
+
+// 快照中保存的字段（见 state_snapshot.js）
+const SNAPSHOT_FIELDS = [
+    'ip', 'hashEpoch', 'lastIP', 'attempts', 'failedAttempts', 'lastAttempt', 'firstSeen',
+    'isBlocked', 'blockUntil', 'blockCount', 'lastBlockedAt',
+    'banned', 'bannedAt', 'bannedBy', 'banReason'
+];
+
+// 安全记录类（ip 为 securityKey 的哈希，IPv6 记录代表整个 /64 段；hashEpoch 为计算该哈希的盐轮换周期，
+// 为 null 时 ip 是不随盐轮换的哈希，见 app.js 的 rekeySecurityRecord）
+// policy: { maxFailedAttempts, blockEscalationMinutes, offenseResetMs }（见 config.js）
+// onBlock(record, minutes) 在自动封禁时调用，onExpire(record) 在封禁到期解除时调用
+class SecurityRecord {
+    constructor(ip, { policy, clock = SYSTEM_CLOCK, onBlock, onExpire } = {}) {
+        this.policy = policy;
+        this.clock = clock;
+        this.onBlock = onBlock;
+        this.onExpire = onExpire;
+
+        const now = clock.now();
+        this.ip = ip;
+        this.hashEpoch = null;
+        this.lastIP = null;       // 最近一次请求的完整地址（同样为哈希）
+        this.attempts = 0;
+        this.failedAttempts = 0;
+        this.lastAttempt = now;
+        this.firstSeen = now;
+        this.isBlocked = false;
+        this.blockUntil = null;
+        this.blockCount = 0;      // 封禁等级（近期被封禁的次数）
+        this.lastBlockedAt = null;
+        this.banned = false;      // 管理员手动永久封禁
+        this.bannedAt = null;
+        this.bannedBy = null;
+        this.banReason = null;
+    }
+
+    addAttempt(success) {
+        this.attempts++;
+        this.lastAttempt = this.clock.now();
+
+        if (!success) {
+            this.failedAttempts++;
+
+            // 如果连续失败超过阈值，暂时封禁
+            if (this.failedAttempts >= this.policy.maxFailedAttempts) {
+                this.block();
+            }
+        } else {
+            // 成功验证后重置失败计数
+            this.failedAttempts = 0;
+        }
+    }
+
+    // 封禁时长随封禁等级递增
+    block() {
+        const now = this.clock.now();
+        const escalation = this.policy.blockEscalationMinutes;
+        if (this.lastBlockedAt && now - this.lastBlockedAt > this.policy.offenseResetMs) {
+            this.blockCount = 0;
+        }
+
+        this.blockCount++;
+        const minutes = escalation[Math.min(this.blockCount, escalation.length) - 1];
+
+        this.isBlocked = true;
+        this.lastBlockedAt = now;
+        this.blockUntil = new Date(now.getTime() + minutes * 60 * 1000);
+        if (this.onBlock) this.onBlock(this, minutes);
+    }
+
+    ban(reason, actor) {
+        this.banned = true;
+        this.bannedAt = this.clock.now();
+        this.bannedBy = actor || null;
+        this.banReason = reason || null;
+    }
+
+    // 解除临时封禁与手动封禁；resetEscalation 时同时清零封禁等级
+    unblock({ resetEscalation = false } = {}) {
+        this.isBlocked = false;
+        this.blockUntil = null;
+        this.failedAttempts = 0;
+        this.banned = false;
+        this.bannedAt = null;
+        this.bannedBy = null;
+        this.banReason = null;
+        if (resetEscalation) {
+            this.blockCount = 0;
+            this.lastBlockedAt = null;
+        }
+    }
+
+    isCurrentlyBlocked() {
+        if (this.banned) return true;
+        if (!this.isBlocked) return false;
+
+        if (this.blockUntil && this.clock.now() > this.blockUntil) {
+            // 封禁时间已过，解除封禁
+            this.isBlocked = false;
+            this.blockUntil = null;
+            this.failedAttempts = 0; // 重置失败计数
+            if (this.onExpire) this.onExpire(this);
+            return false;
+        }
+
+        return true;
+    }
+
+    // 是否有需要跨越 IP 哈希盐轮换保留的状态：被封禁（包括手动封禁），或近期被封禁过（封禁等级尚未清零）
+    hasActiveOffense() {
+        const recentlyBlocked = this.lastBlockedAt && this.clock.now() - this.lastBlockedAt <= this.policy.offenseResetMs;
+        return this.banned || this.isBlocked || Boolean(recentlyBlocked);
+    }
+
+    // 是否可以清理：长时间无活动、未被封禁，且近期没有被封禁过
+    // （近期被封禁过的记录保留到封禁等级清零，以便对再犯者延长封禁）
+    isStale(ttlMs) {
+        const now = this.clock.now();
+        const idle = now - this.lastAttempt;
+        const recentlyBlocked = this.lastBlockedAt && now - this.lastBlockedAt <= this.policy.offenseResetMs;
+        return idle > ttlMs && !recentlyBlocked && !this.isCurrentlyBlocked();
+    }
+
+    toSnapshot() {
+        return Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, this[field]]));
+    }
+
+    // 从快照恢复状态；快照中缺少的字段保持初始值
+    restore(snapshot) {
+        for (const field of SNAPSHOT_FIELDS) {
+            if (snapshot[field] !== undefined) this[field] = snapshot[field];
+        }
+        return this;
+    }
+}
+
+module.exports = {
+    SecurityRecord
+};
@@ -0,0 +1,144 @@
+// session_tokens.js - 访问码验证成功后签发的会话令牌（HS256 签名的 JWT）
+
+const crypto = require('crypto');
+const { reply } = require('./i18n');
+const { SYSTEM_CLOCK } = require('./clock');
+const { logger } = require('./logger');
+
+// 令牌有效期，默认2小时
+const SESSION_TOKEN_TTL = (parseInt(process.env.SESSION_TOKEN_TTL_MINUTES) || 120) * 60 * 1000;
+
+// 签名密钥（会话令牌和设备ID）；未配置时使用进程内随机密钥（重启或多实例时令牌和设备ID会失效）
+const SESSION_TOKEN_SECRET = process.env.SESSION_TOKEN_SECRET || (() => {
+    logger.warn('未设置 SESSION_TOKEN_SECRET 环境变量，使用临时随机密钥，重启后已签发的令牌和设备ID将失效');
+    return crypto.randomBytes(32).toString('hex');
+})();
+
+const TOKEN_HEADER = { alg: 'HS256', typ: 'JWT' };
+
+function encodeSegment(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function sign(data) {
+    return crypto.createHmac('sha256', SESSION_TOKEN_SECRET).update(data).digest('base64url');
+}
+
+function generateSessionId() {
+    return crypto.randomBytes(12).toString('hex');
+}
+
+// 设备ID：服务端签发的随机ID加签名（<24位十六进制>.<签名>），前端持久保存并在验证访问码时传回
+// 只有签名有效的设备ID才作为核销身份，客户端自行编造的设备ID无法冒用其他设备的核销记录
+function issueDeviceId() {
+    const id = crypto.randomBytes(12).toString('hex');
+    return `${id}.${sign(`device:${id}`)}`;
+}
+
+// 验证设备ID；有效时返回其中的随机ID，否则返回 null
+function verifyDeviceId(deviceId) {
+    const match = typeof deviceId === 'string' && deviceId.match(/^([0-9a-f]{24})\.([A-Za-z0-9_-]{43})$/);
+    if (!match) return null;
+
+    const expected = Buffer.from(sign(`device:${match[1]}`));
+    return crypto.timingSafeEqual(expected, Buffer.from(match[2])) ? match[1] : null;
+}
+
+// 签发绑定访问码的令牌；sid 标识同一会话，重新验证时沿用
+// clientId 为核销访问码时的客户端身份，持有令牌重新验证时按同一客户端处理
+function issueSessionToken(code, sid = generateSessionId(), now = new Date(), clientId = null) {
+    const payload = {
+        code: code,
+        sid: sid,
+        cid: clientId,
+        iat: Math.floor(now.getTime() / 1000),
+        exp: Math.floor((now.getTime() + SESSION_TOKEN_TTL) / 1000),
+        jti: crypto.randomBytes(8).toString('hex')
+    };
+
+    const data = `${encodeSegment(TOKEN_HEADER)}.${encodeSegment(payload)}`;
+    return {
+        token: `${data}.${sign(data)}`,
+        expiresAt: new Date(payload.exp * 1000)
+    };
+}
+
+// 验证令牌；返回 { payload } 或 { error: 'malformed' | 'invalid_signature' | 'expired' }
+function verifySessionToken(token, now = new Date()) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+        return { error: 'malformed' };
+    }
+
+    const [headerPart, payloadPart, signaturePart] = parts;
+    const expected = Buffer.from(sign(`${headerPart}.${payloadPart}`));
+    const actual = Buffer.from(signaturePart);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { error: 'invalid_signature' };
+    }
+
+    let header;
+    let payload;
+    try {
+        header = JSON.parse(Buffer.from(headerPart, 'base64url').toString());
+        payload = JSON.parse(Buffer.from(payloadPart, 'base64url').toString());
+    } catch (error) {
+        return { error: 'malformed' };
+    }
+
+    if (header.alg !== TOKEN_HEADER.alg || typeof payload.code !== 'string' || typeof payload.exp !== 'number') {
+        return { error: 'malformed' };
+    }
+
+    if (now.getTime() >= payload.exp * 1000) {
+        return { error: 'expired' };
+    }
+
+    return { payload };
+}
+
+// 令牌错误对应的 i18n 消息代码
+const TOKEN_ERROR_CODES = {
+    missing: 'SESSION_TOKEN_MISSING',
+    malformed: 'SESSION_TOKEN_MALFORMED',
+    invalid_signature: 'SESSION_TOKEN_INVALID',
+    expired: 'SESSION_TOKEN_EXPIRED'
+};
+
+// 读取 Authorization: Bearer <token> 中的令牌
+function getBearerToken(req) {
+    const authorization = req.get('Authorization') || '';
+    const match = authorization.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+// 创建中间件：要求 Authorization: Bearer <token>，验证通过后将令牌内容挂到 req.session
+function createSessionTokenAuth({ clock = SYSTEM_CLOCK } = {}) {
+    return function requireSessionToken(req, res, next) {
+        const token = getBearerToken(req);
+        const { payload, error } = token ? verifySessionToken(token, clock.now()) : { error: 'missing' };
+
+        if (error) {
+            res.set('WWW-Authenticate', `Bearer error="${error === 'missing' ? 'invalid_request' : 'invalid_token'}"`);
+            return res.status(401).json({
+                success: false,
+                ...reply(req, TOKEN_ERROR_CODES[error])
+            });
+        }
+
+        req.session = payload;
+        next();
+    };
+}
+
+module.exports = {
+    SESSION_TOKEN_TTL,
+    generateSessionId,
+    getBearerToken,
+    issueSessionToken,
+    verifySessionToken,
+    issueDeviceId,
+    verifyDeviceId,
+    createSessionTokenAuth
+};
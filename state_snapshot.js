@@ -0,0 +1,121 @@
+// state_snapshot.js - 进程状态快照（IP 安全记录、攻击统计、内存访问码），关闭时保存、启动时恢复
+
+const fs = require('fs');
+const path = require('path');
+const { COLLECTIONS } = require('./db');
+
+// 快照格式：{ savedAt, counters, securityRecords: [...], accessCodes: [...] | null }
+// accessCodes 只在访问码使用内存存储时保存（MongoDB 存储本身已持久化）
+
+// JSON 中的 ISO 时间字符串还原为 Date
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+function reviveDates(key, value) {
+    return typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value;
+}
+
+// 内存存储：只在同一进程内有效（测试时模拟重启使用）
+class MemoryStateStore {
+    constructor() {
+        this.type = 'memory';
+        this.snapshot = null;
+    }
+
+    async init() {}
+
+    async load() {
+        return this.snapshot ? JSON.parse(JSON.stringify(this.snapshot), reviveDates) : null;
+    }
+
+    async save(snapshot) {
+        this.snapshot = JSON.parse(JSON.stringify(snapshot));
+    }
+}
+
+// 本地文件存储：未配置数据库时使用；先写临时文件再重命名，避免关闭中断时留下不完整的快照
+class FileStateStore {
+    constructor(filePath) {
+        this.type = 'file';
+        this.filePath = filePath;
+    }
+
+    async init() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    }
+
+    async load() {
+        let raw;
+        try {
+            raw = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        return JSON.parse(raw, reviveDates);
+    }
+
+    async save(snapshot) {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(snapshot));
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+}
+
+// MongoDB 存储：每条安全记录一个文档，统计数据一个文档
+// 每次保存以快照为准替换整个记录集合：内存中已清理的记录同时从集合中删除，不会在重启后恢复
+// retentionMs 后未再保存的记录由 TTL 索引删除
+class MongoStateStore {
+    constructor(db, { retentionMs }) {
+        this.type = 'mongodb';
+        this.retentionMs = retentionMs;
+        this.state = db.collection(COLLECTIONS.APP_STATE);
+        this.records = db.collection(COLLECTIONS.SECURITY_RECORDS);
+    }
+
+    async init() {
+        await this.records.createIndex({ savedAt: 1 }, { expireAfterSeconds: Math.ceil(this.retentionMs / 1000) });
+    }
+
+    async load() {
+        const [counters, records] = await Promise.all([
+            this.state.findOne({ _id: 'attack_detection' }, { projection: { _id: 0 } }),
+            this.records.find({}, { projection: { _id: 0, savedAt: 0 } }).toArray()
+        ]);
+        if (!counters && records.length === 0) return null;
+
+        return {
+            savedAt: counters ? counters.savedAt : null,
+            counters: counters ? counters.counters : null,
+            securityRecords: records,
+            accessCodes: null,
+            ipHashSalts: null,
+            ipHashSecret: null
+        };
+    }
+
+    async save({ savedAt, counters, securityRecords }) {
+        await this.state.replaceOne(
+            { _id: 'attack_detection' },
+            { savedAt, counters },
+            { upsert: true }
+        );
+
+        if (securityRecords.length > 0) {
+            await this.records.bulkWrite(securityRecords.map(record => ({
+                replaceOne: {
+                    filter: { _id: record.ip },
+                    replacement: { ...record, savedAt },
+                    upsert: true
+                }
+            })), { ordered: false });
+        }
+
+        await this.records.deleteMany({ _id: { $nin: securityRecords.map(record => record.ip) } });
+    }
+}
+
+module.exports = {
+    MemoryStateStore,
+    FileStateStore,
+    MongoStateStore
+};
@@ -0,0 +1,152 @@
+// stats.js - 总体统计（各维度分布、描述统计与相关矩阵）
+
+const { DIMENSIONS, SCORE_MIN, SCORE_MAX } = require('./dimensions');
+const { COLLECTIONS } = require('./db');
+const { logger } = require('./logger');
+const { loadSamples } = require('./norms');
+const { SYSTEM_CLOCK } = require('./clock');
+
+// 公开统计的缓存刷新间隔，默认30分钟
+const STATS_REFRESH_INTERVAL = (parseInt(process.env.STATS_REFRESH_MINUTES) || 30) * 60 * 1000;
+
+// 统计数据来源：用户提交的结果和播种的虚拟数据
+const STATS_COLLECTIONS = [COLLECTIONS.SIMULATED_TESTS, COLLECTIONS.TEST_RESULTS];
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// 分位数（线性插值）；sorted 为升序数组
+function quantile(sorted, p) {
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// 单个维度的描述统计与直方图（SCORE_MIN–SCORE_MAX 每个分数一格）
+function describeDimension(values) {
+    const histogram = new Array(SCORE_MAX - SCORE_MIN + 1).fill(0);
+    for (const value of values) {
+        const bin = Math.round(value) - SCORE_MIN;
+        if (bin >= 0 && bin < histogram.length) histogram[bin]++;
+    }
+
+    if (values.length === 0) {
+        return { mean: null, sd: null, quartiles: null, histogram: { min: SCORE_MIN, max: SCORE_MAX, counts: histogram } };
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    // 样本标准差（n - 1）
+    const variance = values.length > 1
+        ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1)
+        : 0;
+
+    return {
+        mean: round(mean),
+        sd: round(Math.sqrt(variance)),
+        quartiles: {
+            q1: round(quantile(sorted, 0.25)),
+            median: round(quantile(sorted, 0.5)),
+            q3: round(quantile(sorted, 0.75))
+        },
+        histogram: { min: SCORE_MIN, max: SCORE_MAX, counts: histogram }
+    };
+}
+
+// 维度间的皮尔逊相关矩阵（按 DIMENSIONS 顺序）；方差为 0 的维度相关系数为 null
+function correlationMatrix(samples) {
+    const count = samples.length;
+    const means = DIMENSIONS.map(dim => samples.reduce((sum, sample) => sum + sample[dim], 0) / count);
+    const deviations = samples.map(sample => DIMENSIONS.map((dim, i) => sample[dim] - means[i]));
+
+    const matrix = DIMENSIONS.map(() => new Array(DIMENSIONS.length).fill(null));
+    for (let i = 0; i < DIMENSIONS.length; i++) {
+        for (let j = i; j < DIMENSIONS.length; j++) {
+            let covariance = 0;
+            let varianceI = 0;
+            let varianceJ = 0;
+            for (const row of deviations) {
+                covariance += row[i] * row[j];
+                varianceI += row[i] * row[i];
+                varianceJ += row[j] * row[j];
+            }
+            const denominator = Math.sqrt(varianceI * varianceJ);
+            const value = denominator > 0 ? round(covariance / denominator, 3) : null;
+            matrix[i][j] = value;
+            matrix[j][i] = value;
+        }
+    }
+    return matrix;
+}
+
+// samples: 只包含各维度分数的对象数组
+function computeStats(samples) {
+    const dimensions = {};
+    for (const dim of DIMENSIONS) {
+        dimensions[dim] = describeDimension(samples.map(sample => sample[dim]));
+    }
+
+    return {
+        sampleSize: samples.length,
+        dimensions: dimensions,
+        correlations: {
+            dimensions: DIMENSIONS,
+            matrix: samples.length > 1 ? correlationMatrix(samples) : null
+        }
+    };
+}
+
+// 从数据库读取样本并计算统计；filter 同 loadSamples（时间范围、人口统计分组）
+async function loadStats(db, filter = {}) {
+    const samples = [];
+    for (const name of STATS_COLLECTIONS) {
+        const loaded = await loadSamples(db, name, filter);
+        samples.push(...loaded.map(sample => sample.scores));
+    }
+    return computeStats(samples);
+}
+
+// 缓存的公开统计；每个应用实例各自持有（createApp 创建，或通过 stores.stats 传入）
+class StatsCache {
+    constructor({ clock = SYSTEM_CLOCK } = {}) {
+        this.clock = clock;
+        this.cache = {
+            stats: null,
+            computedAt: null,
+            lastError: null
+        };
+    }
+
+    // 重新计算统计；失败时保留上次的结果
+    async refresh(db) {
+        if (!db) {
+            this.cache.lastError = '数据库未连接';
+            return this.cache;
+        }
+
+        try {
+            const stats = await loadStats(db);
+            this.cache = { stats, computedAt: this.clock.now(), lastError: null };
+            logger.info('已更新总体统计', { samples: stats.sampleSize });
+        } catch (error) {
+            this.cache.lastError = error.message;
+            logger.error('更新总体统计失败', { error: error });
+        }
+
+        return this.cache;
+    }
+
+    get() {
+        return this.cache;
+    }
+}
+
+module.exports = {
+    STATS_REFRESH_INTERVAL,
+    computeStats,
+    loadStats,
+    StatsCache
+};
@@ -0,0 +1,250 @@
+// synthetic_norms.js - 虚拟常模数据生成（可复现的伪随机数 + 相关的正态分数）
+
+const { DIMENSIONS, SCORE_MIN, SCORE_MAX } = require('./dimensions');
+const { DEMOGRAPHIC_FIELDS, pickDemographics } = require('./demographics');
+
+// 默认参数：各维度平均分、标准差，以及在共同 D 因子上的载荷
+// 黑暗人格各维度之间普遍正相关，相关系数取 载荷i × 载荷j（单因子模型，保证矩阵正定）
+const DEFAULT_NORM_PROFILE = {
+    means: {
+        egoism: 17, greed: 19, mach: 18, moral: 16, narcissism: 19,
+        power: 18, psychopathy: 15, sadism: 13, selfcentered: 17, spitefulness: 14
+    },
+    sds: {
+        egoism: 5, greed: 5.5, mach: 5, moral: 4.5, narcissism: 5,
+        power: 5, psychopathy: 4.5, sadism: 4.5, selfcentered: 4.5, spitefulness: 4.5
+    },
+    loadings: {
+        egoism: 0.75, greed: 0.6, mach: 0.75, moral: 0.75, narcissism: 0.55,
+        power: 0.65, psychopathy: 0.7, sadism: 0.7, selfcentered: 0.7, spitefulness: 0.7
+    },
+    // 人口统计字段：weights 为各取值的抽样权重，shifts 为该组所有维度的平均偏移（以标准差为单位）
+    demographics: {
+        ageBand: {
+            weights: { '18-24': 0.25, '25-34': 0.3, '35-44': 0.2, '45-54': 0.13, '55-64': 0.08, '65+': 0.04 },
+            shifts: { '18-24': 0.2, '25-34': 0.1, '35-44': 0, '45-54': -0.1, '55-64': -0.2, '65+': -0.3 }
+        },
+        gender: {
+            weights: { female: 0.5, male: 0.46, nonbinary: 0.02, other: 0.02 },
+            shifts: { female: -0.15, male: 0.2 }
+        },
+        country: {
+            weights: { CN: 0.7, US: 0.1, JP: 0.08, DE: 0.06, GB: 0.06 },
+            shifts: {}
+        }
+    }
+};
+
+// mulberry32：32 位种子的伪随机数生成器，返回 [0, 1) 的浮点数
+function mulberry32(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Box-Muller 变换：由均匀分布生成标准正态分布
+function createNormalGenerator(random) {
+    let spare = null;
+    return function () {
+        if (spare !== null) {
+            const value = spare;
+            spare = null;
+            return value;
+        }
+        const u1 = 1 - random(); // 避免 log(0)
+        const u2 = random();
+        const radius = Math.sqrt(-2 * Math.log(u1));
+        spare = radius * Math.sin(2 * Math.PI * u2);
+        return radius * Math.cos(2 * Math.PI * u2);
+    };
+}
+
+// 由因子载荷构建相关矩阵（按 DIMENSIONS 顺序）
+function correlationsFromLoadings(loadings) {
+    return DIMENSIONS.map((rowDim, i) =>
+        DIMENSIONS.map((colDim, j) => (i === j ? 1 : loadings[rowDim] * loadings[colDim]))
+    );
+}
+
+// Cholesky 分解：返回下三角矩阵 L（matrix = L·Lᵀ）；矩阵不是正定时返回 null
+function cholesky(matrix) {
+    const size = matrix.length;
+    const lower = Array.from({ length: size }, () => new Array(size).fill(0));
+
+    for (let i = 0; i < size; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+
+            if (i === j) {
+                if (sum <= 0) return null;
+                lower[i][i] = Math.sqrt(sum);
+            } else {
+                lower[i][j] = sum / lower[j][j];
+            }
+        }
+    }
+    return lower;
+}
+
+// 合并用户配置与默认参数；返回 { profile } 或 { error }
+// 配置格式：{ means: {维度: 数值}, sds: {维度: 数值}, correlations: 10×10 矩阵, demographics: {字段: { weights, shifts }} }，均可省略
+function resolveNormProfile(overrides = {}) {
+    const means = { ...DEFAULT_NORM_PROFILE.means, ...overrides.means };
+    const sds = { ...DEFAULT_NORM_PROFILE.sds, ...overrides.sds };
+
+    for (const dim of DIMENSIONS) {
+        if (typeof means[dim] !== 'number' || !Number.isFinite(means[dim])) {
+            return { error: `维度 ${dim} 的平均分无效` };
+        }
+        if (typeof sds[dim] !== 'number' || !(sds[dim] > 0)) {
+            return { error: `维度 ${dim} 的标准差必须为正数` };
+        }
+    }
+
+    const correlations = overrides.correlations || correlationsFromLoadings(DEFAULT_NORM_PROFILE.loadings);
+    const size = DIMENSIONS.length;
+    const validShape = Array.isArray(correlations) && correlations.length === size &&
+        correlations.every(row => Array.isArray(row) && row.length === size &&
+            row.every(value => typeof value === 'number' && value >= -1 && value <= 1));
+    if (!validShape) {
+        return { error: `correlations 必须是 ${size}×${size} 的矩阵，元素在 -1 到 1 之间（维度顺序: ${DIMENSIONS.join(', ')}）` };
+    }
+
+    for (let i = 0; i < size; i++) {
+        if (correlations[i][i] !== 1) return { error: 'correlations 对角线元素必须为 1' };
+        for (let j = 0; j < i; j++) {
+            if (correlations[i][j] !== correlations[j][i]) return { error: 'correlations 必须是对称矩阵' };
+        }
+    }
+
+    const lower = cholesky(correlations);
+    if (!lower) {
+        return { error: 'correlations 不是正定矩阵，无法生成相关数据' };
+    }
+
+    // demographics 设为 null 时不生成人口统计字段；只配置部分字段时其余字段使用默认值
+    const demographics = overrides.demographics === null
+        ? {}
+        : { ...DEFAULT_NORM_PROFILE.demographics, ...overrides.demographics };
+    for (const [field, config] of Object.entries(demographics)) {
+        const error = validateDemographicConfig(field, config);
+        if (error) return { error };
+    }
+
+    return { profile: { means, sds, correlations, lower, demographics } };
+}
+
+function validateDemographicConfig(field, config) {
+    if (!DEMOGRAPHIC_FIELDS.includes(field)) {
+        return `未知的人口统计字段 ${field}（可用: ${DEMOGRAPHIC_FIELDS.join(', ')}）`;
+    }
+    if (!config || typeof config.weights !== 'object' || Object.keys(config.weights).length === 0) {
+        return `demographics.${field}.weights 不能为空`;
+    }
+
+    for (const [value, weight] of Object.entries(config.weights)) {
+        if (pickDemographics({ [field]: value })[field] !== value) {
+            return `demographics.${field} 中的取值 ${value} 无效`;
+        }
+        if (typeof weight !== 'number' || !(weight > 0)) {
+            return `demographics.${field}.weights.${value} 必须为正数`;
+        }
+    }
+    for (const [value, shift] of Object.entries(config.shifts || {})) {
+        if (typeof shift !== 'number' || !Number.isFinite(shift)) {
+            return `demographics.${field}.shifts.${value} 必须是数值`;
+        }
+    }
+    return null;
+}
+
+// 按权重抽取一个取值
+function pickWeighted(weights, random) {
+    const entries = Object.entries(weights);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let target = random() * total;
+
+    for (const [value, weight] of entries) {
+        target -= weight;
+        if (target < 0) return value;
+    }
+    return entries[entries.length - 1][0];
+}
+
+// 生成 count 条虚拟测试数据；相同的 seed 和参数总是得到相同的分数
+// 分数四舍五入为整数并截断到 SCORE_MIN–SCORE_MAX
+function generateSamples(count, profile, seed) {
+    const normal = createNormalGenerator(mulberry32(seed));
+    // 人口统计字段使用独立的随机序列，增减字段不影响分数部分的随机数
+    const demographicRandom = mulberry32(seed ^ 0x9E3779B9);
+    const { means, sds, lower, demographics = {} } = profile;
+    const samples = [];
+
+    for (let n = 0; n < count; n++) {
+        const independent = DIMENSIONS.map(() => normal());
+        const sample = {};
+
+        let shift = 0;
+        const groups = {};
+        for (const [field, config] of Object.entries(demographics)) {
+            groups[field] = pickWeighted(config.weights, demographicRandom);
+            shift += (config.shifts && config.shifts[groups[field]]) || 0;
+        }
+
+        DIMENSIONS.forEach((dim, i) => {
+            let z = shift;
+            for (let k = 0; k <= i; k++) z += lower[i][k] * independent[k];
+            const score = Math.round(means[dim] + sds[dim] * z);
+            sample[dim] = Math.min(SCORE_MAX, Math.max(SCORE_MIN, score));
+        });
+
+        samples.push({ ...sample, ...groups });
+    }
+
+    return samples;
+}
+
+// 样本概况：各维度平均分、标准差，以及维度间的平均相关系数（用于 --dry-run 检查）
+function summarizeSamples(samples) {
+    const count = samples.length;
+    const stats = {};
+
+    for (const dim of DIMENSIONS) {
+        const mean = samples.reduce((sum, sample) => sum + sample[dim], 0) / count;
+        const variance = samples.reduce((sum, sample) => sum + (sample[dim] - mean) ** 2, 0) / count;
+        stats[dim] = { mean, sd: Math.sqrt(variance) };
+    }
+
+    let totalCorrelation = 0;
+    let pairs = 0;
+    for (let i = 0; i < DIMENSIONS.length; i++) {
+        for (let j = i + 1; j < DIMENSIONS.length; j++) {
+            const a = DIMENSIONS[i];
+            const b = DIMENSIONS[j];
+            const covariance = samples.reduce((sum, sample) =>
+                sum + (sample[a] - stats[a].mean) * (sample[b] - stats[b].mean), 0) / count;
+            const denominator = stats[a].sd * stats[b].sd;
+            totalCorrelation += denominator > 0 ? covariance / denominator : 0;
+            pairs++;
+        }
+    }
+
+    return { count, stats, meanCorrelation: pairs > 0 ? totalCorrelation / pairs : 0 };
+}
+
+module.exports = {
+    DEFAULT_NORM_PROFILE,
+    mulberry32,
+    createNormalGenerator,
+    correlationsFromLoadings,
+    cholesky,
+    resolveNormProfile,
+    generateSamples,
+    summarizeSamples
+};
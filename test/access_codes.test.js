@@ -0,0 +1,148 @@
+// test/access_codes.test.js - 访问码验证、到期与会话令牌
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, DAY } = require('./helpers');
+
+// 本文件只测试访问码本身：关闭限流，并提高封禁阈值
+const LENIENT_ENV = { SECURITY_MAX_FAILED_ATTEMPTS: '100' };
+const NO_RATE_LIMIT = { rateLimitPolicies: [] };
+
+describe('POST /api/check-access-code', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestApp({
+            codes: {
+                TESTCODE: {},
+                SHORTLIVED: { expiresInDays: 1 },
+                SINGLEUSE: { maxUses: 1 },
+                TWOUSES: { maxUses: 2 }
+            },
+            env: LENIENT_ENV,
+            config: NO_RATE_LIMIT
+        });
+    });
+
+    after(() => ctx.close());
+
+    test('有效访问码返回会话令牌，并规范化大小写和空白', async () => {
+        const { status, body } = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: '  testcode ' } });
+
+        assert.equal(status, 200);
+        assert.equal(body.valid, true);
+        assert.equal(body.code, 'TESTCODE');
+        assert.equal(body.remainingUses, 99);
+        assert.equal(typeof body.token, 'string');
+    });
+
+    test('不存在的访问码返回 ACCESS_CODE_INVALID', async () => {
+        const { status, body } = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'NOSUCHCODE' } });
+
+        assert.equal(status, 400);
+        assert.equal(body.valid, false);
+        assert.equal(body.messageCode, 'ACCESS_CODE_INVALID');
+    });
+
+    test('格式错误和缺少访问码分别返回对应的错误', async () => {
+        const badFormat = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'BAD-CODE!' } });
+        assert.equal(badFormat.status, 400);
+        assert.equal(badFormat.body.messageCode, 'ACCESS_CODE_BAD_FORMAT');
+
+        const missing = await ctx.request('POST', '/api/check-access-code', { body: {} });
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.messageCode, 'VALIDATION_FAILED');
+        assert.equal(missing.body.valid, false);
+        assert.equal(missing.body.errors[0].field, 'body.accessCode');
+    });
+
+    test('使用次数用完后返回 ACCESS_CODE_EXHAUSTED', async () => {
+        const first = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'SINGLEUSE' } });
+        assert.equal(first.status, 200);
+        const { deviceId } = first.body;
+        assert.match(deviceId, /^[0-9a-f]{24}\.[A-Za-z0-9_-]{43}$/);
+
+        // 同一设备（服务端签发的设备ID）在窗口期内重复验证不消耗次数
+        const again = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'SINGLEUSE', deviceId } });
+        assert.equal(again.status, 200);
+        assert.equal(again.body.reused, true);
+        assert.equal(again.body.deviceId, deviceId);
+
+        const other = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'SINGLEUSE' } });
+        assert.equal(other.status, 400);
+        assert.equal(other.body.messageCode, 'ACCESS_CODE_EXHAUSTED');
+    });
+
+    test('编造或篡改的设备ID不能免费重复核销', async () => {
+        const first = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'TWOUSES' } });
+        assert.equal(first.body.remainingUses, 1);
+        const [id] = first.body.deviceId.split('.');
+
+        // 客户端自选的设备ID和签名被篡改的设备ID都按新设备处理，消耗一次使用次数
+        const forged = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'TWOUSES', deviceId: 'device-one' } });
+        assert.equal(forged.status, 200);
+        assert.equal(forged.body.reused, false);
+        assert.equal(forged.body.remainingUses, 0);
+        assert.notEqual(forged.body.deviceId, 'device-one');
+
+        const tampered = await ctx.request('POST', '/api/check-access-code', {
+            headers: { 'X-Device-Id': `${id}.${'A'.repeat(43)}` },
+            body: { accessCode: 'TWOUSES' }
+        });
+        assert.equal(tampered.status, 400);
+        assert.equal(tampered.body.messageCode, 'ACCESS_CODE_EXHAUSTED');
+
+        // 会话令牌同样由服务端签发：持有令牌重新验证按核销时的设备处理，不消耗次数
+        const renewed = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'TWOUSES' }, token: forged.body.token });
+        assert.equal(renewed.status, 200);
+        assert.equal(renewed.body.reused, true);
+    });
+
+    test('到期后返回 ACCESS_CODE_EXPIRED', async () => {
+        const before = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'SHORTLIVED' } });
+        assert.equal(before.status, 200);
+
+        ctx.clock.advance(DAY + 1000);
+
+        const afterExpiry = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'SHORTLIVED' } });
+        assert.equal(afterExpiry.status, 400);
+        assert.equal(afterExpiry.body.messageCode, 'ACCESS_CODE_EXPIRED');
+    });
+
+    test('响应消息按 Accept-Language 本地化', async () => {
+        const { body } = await ctx.request('POST', '/api/check-access-code', {
+            body: { accessCode: 'NOSUCHCODE' },
+            headers: { 'Accept-Language': 'en-US' }
+        });
+
+        assert.equal(body.messageCode, 'ACCESS_CODE_INVALID');
+        assert.match(body.message, /[A-Za-z]/);
+    });
+});
+
+describe('会话令牌', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestApp();
+    });
+
+    after(() => ctx.close());
+
+    test('受保护的接口缺少令牌时返回 401', async () => {
+        const { status, headers } = await ctx.request('POST', '/api/rankings', { body: {} });
+
+        assert.equal(status, 401);
+        assert.match(headers.get('WWW-Authenticate'), /invalid_request/);
+    });
+
+    test('令牌过期后返回 401', async () => {
+        const token = await ctx.getToken();
+
+        ctx.clock.advance(3 * 60 * 60 * 1000);
+
+        const { status, headers } = await ctx.request('POST', '/api/rankings', { body: {}, token });
+        assert.equal(status, 401);
+        assert.match(headers.get('WWW-Authenticate'), /invalid_token/);
+    });
+});
@@ -0,0 +1,99 @@
+// test/dfactor.test.js - 黑暗人格总因子 (D)：加权合成分数、D_WEIGHTS / D_BANDS 配置解析与等级边界
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { DIMENSIONS } = require('../dimensions');
+const { DEFAULT_D_BANDS, loadDWeights, loadDBands, computeDScore, getDBand } = require('../dfactor');
+
+function uniformScores(value) {
+    return Object.fromEntries(DIMENSIONS.map(dim => [dim, value]));
+}
+
+const EQUAL_WEIGHTS = Object.fromEntries(DIMENSIONS.map(dim => [dim, 1]));
+
+describe('D 分数', () => {
+    test('等权时为各维度分数的平均，保留两位小数', () => {
+        assert.equal(computeDScore(uniformScores(20), EQUAL_WEIGHTS), 20);
+        assert.equal(computeDScore({ ...uniformScores(20), sadism: 31 }, EQUAL_WEIGHTS), 21.1);
+        assert.equal(computeDScore({ ...uniformScores(20), sadism: 21, moral: 21, mach: 21 }, EQUAL_WEIGHTS), 20.3);
+        assert.equal(computeDScore({ ...uniformScores(7), greed: 8 }, EQUAL_WEIGHTS), 7.1);
+    });
+
+    test('按权重加权平均，权重为0的维度不计入', () => {
+        const weights = { ...EQUAL_WEIGHTS, sadism: 2, moral: 0 };
+        // (8 × 20 + 2 × 31) / (8 + 2) = 22.2；moral 的 7 分不影响结果
+        assert.equal(computeDScore({ ...uniformScores(20), sadism: 31, moral: 7 }, weights), 22.2);
+    });
+
+    test('分数范围与单个维度相同（7-35）', () => {
+        const weights = loadDWeights({ D_WEIGHTS: '{"power":3}' });
+        assert.equal(computeDScore(uniformScores(7), weights), 7);
+        assert.equal(computeDScore(uniformScores(35), weights), 35);
+    });
+});
+
+describe('D_WEIGHTS 配置', () => {
+    test('未配置时各维度等权', () => {
+        assert.deepEqual(loadDWeights({}), EQUAL_WEIGHTS);
+    });
+
+    test('只覆盖列出的维度，忽略未知维度', () => {
+        assert.deepEqual(loadDWeights({ D_WEIGHTS: '{"sadism":2,"moral":0.5,"unknown":9}' }), { ...EQUAL_WEIGHTS, sadism: 2, moral: 0.5 });
+    });
+
+    test('无效的权重使用默认值1', () => {
+        assert.deepEqual(loadDWeights({ D_WEIGHTS: '{"sadism":-1,"greed":"2","mach":null,"power":3}' }), { ...EQUAL_WEIGHTS, power: 3 });
+    });
+
+    test('JSON 格式错误或权重全部为0时使用等权', () => {
+        assert.deepEqual(loadDWeights({ D_WEIGHTS: '{"sadism":2' }), EQUAL_WEIGHTS);
+        assert.deepEqual(loadDWeights({ D_WEIGHTS: JSON.stringify(Object.fromEntries(DIMENSIONS.map(dim => [dim, 0]))) }), EQUAL_WEIGHTS);
+    });
+});
+
+describe('D_BANDS 配置', () => {
+    test('未配置时使用默认等级', () => {
+        assert.deepEqual(loadDBands({}), DEFAULT_D_BANDS);
+    });
+
+    test('按 maxPercentile 排序', () => {
+        const bands = loadDBands({ D_BANDS: '[{"band":"high","maxPercentile":100},{"band":"low","maxPercentile":30}]' });
+        assert.deepEqual(bands.map(item => item.band), ['low', 'high']);
+    });
+
+    test('格式错误时使用默认等级', () => {
+        const malformed = [
+            '[{"band":"low","maxPercentile":30}',                 // JSON 不完整
+            '{"band":"low","maxPercentile":100}',                 // 不是数组
+            '[]',
+            '[null]',
+            '[{"maxPercentile":100}]',                            // 缺少 band
+            '[{"band":"high","maxPercentile":"100"}]',            // maxPercentile 不是数字
+            '[{"band":"low","maxPercentile":30},{"band":"mid","maxPercentile":90}]' // 没有覆盖到100
+        ];
+        for (const value of malformed) {
+            assert.deepEqual(loadDBands({ D_BANDS: value }), DEFAULT_D_BANDS, value);
+        }
+    });
+});
+
+describe('D 等级边界', () => {
+    test('默认等级的上限包含在该等级内', () => {
+        const bandAt = percentile => getDBand(percentile, DEFAULT_D_BANDS).band;
+
+        assert.equal(bandAt(0), 'low');
+        assert.equal(bandAt(25), 'low');
+        assert.equal(bandAt(25.01), 'average');
+        assert.equal(bandAt(75), 'average');
+        assert.equal(bandAt(75.01), 'high');
+        assert.equal(bandAt(100), 'high');
+    });
+
+    test('超出最高上限时归入最后一个等级，只返回等级代码', () => {
+        const bands = loadDBands({ D_BANDS: '[{"band":"low","maxPercentile":50},{"band":"high","maxPercentile":100}]' });
+
+        assert.deepEqual(getDBand(50, bands), { band: 'low' });
+        assert.deepEqual(getDBand(50.5, bands), { band: 'high' });
+        assert.deepEqual(getDBand(101, bands), { band: 'high' });
+    });
+});
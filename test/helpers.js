@@ -0,0 +1,137 @@
+// test/helpers.js - 集成测试工具：手动推进的时钟，以及使用内存存储、随机端口启动的应用
+
+const { createApp } = require('../app');
+const { loadConfig } = require('../config');
+const { MemoryAccessCodeStore } = require('../access_codes');
+const { MemoryStateStore } = require('../state_snapshot');
+const { logger } = require('../logger');
+const { COLLECTIONS } = require('../db');
+
+const ADMIN_KEY = 'test-admin-key-123456';
+const DAY = 24 * 60 * 60 * 1000;
+// 固定的 IP 哈希密钥：模拟重启的两个应用得到相同的 IP 哈希
+const IP_HASH_SECRET = 'test-ip-hash-secret';
+
+// 测试时不输出服务日志（TEST_VERBOSE=true 时保留），错误日志照常输出
+if (process.env.TEST_VERBOSE !== 'true') {
+    logger.configure({ level: 'error' });
+}
+
+// 手动时钟：now() 返回固定时间，advance(ms) 向前推进
+function createManualClock(start = '2025-01-01T00:00:00Z') {
+    let current = new Date(start).getTime();
+    return {
+        now: () => new Date(current),
+        advance: ms => { current += ms; }
+    };
+}
+
+// 测试结果集合的内存替身：只实现 results.js 用到的 createIndex、insertOne、findOne、findOneAndUpdate（$set/$unset）、deleteOne、deleteMany，
+// 以及常模和统计读取样本用的 find().toArray()（忽略筛选条件，返回全部文档）
+// 筛选条件支持字段相等和 createdAt 的 $lt；results 为保存的文档数组，simulated 为虚拟数据集合的文档
+function createFakeResultsDb({ simulated = [] } = {}) {
+    const docs = [];
+    const matches = (doc, filter) => Object.entries(filter).every(([key, value]) =>
+        (key === 'createdAt' && value.$lt ? doc.createdAt < value.$lt : doc[key] === value));
+    const collection = {
+        createIndex: async () => {},
+        find: () => ({ toArray: async () => docs.slice() }),
+        insertOne: async doc => { docs.push(doc); },
+        findOne: async filter => docs.find(doc => matches(doc, filter)) || null,
+        findOneAndUpdate: async (filter, { $set = {}, $unset = {} }) => {
+            const doc = docs.find(item => matches(item, filter));
+            if (!doc) return null;
+            Object.assign(doc, $set);
+            Object.keys($unset).forEach(key => delete doc[key]);
+            return doc;
+        },
+        deleteOne: async filter => {
+            const index = docs.findIndex(doc => matches(doc, filter));
+            if (index >= 0) docs.splice(index, 1);
+            return { deletedCount: index >= 0 ? 1 : 0 };
+        },
+        deleteMany: async filter => {
+            const remaining = docs.filter(doc => !matches(doc, filter));
+            const deletedCount = docs.length - remaining.length;
+            docs.splice(0, docs.length, ...remaining);
+            return { deletedCount };
+        }
+    };
+    const simulatedCollection = { find: () => ({ toArray: async () => simulated.slice() }) };
+    const collections = { [COLLECTIONS.TEST_RESULTS]: collection, [COLLECTIONS.SIMULATED_TESTS]: simulatedCollection };
+    return { collection: name => collections[name] || null, results: docs };
+}
+
+// 启动测试应用（不连接数据库，不启动定时任务）
+// codes: { 访问码: { maxUses, expiresInDays } }；env 为读取配置用的环境变量，config 直接覆盖配置项
+// state: 状态快照存储，多个应用共用同一个存储可以模拟重启；logger: 替换共享的 logger（检查日志输出时使用）
+// connectDB: 默认始终返回 null（没有数据库）；stores: 额外传给 createApp 的存储
+async function startTestApp({
+    codes = { TESTCODE: {} },
+    env = {},
+    config: overrides = {},
+    clock = createManualClock(),
+    state = new MemoryStateStore(),
+    logger: appLogger = logger,
+    connectDB = async () => null,
+    stores = {}
+} = {}) {
+    const config = { ...loadConfig({ ADMIN_KEY, IP_HASH_SECRET, ...env }), ...overrides };
+
+    const accessCodes = new MemoryAccessCodeStore();
+    for (const [code, { maxUses = 100, expiresInDays = 30 }] of Object.entries(codes)) {
+        await accessCodes.importCodes([code], {
+            maxUses,
+            expiresAt: new Date(clock.now().getTime() + expiresInDays * DAY)
+        }, clock.now());
+    }
+
+    const server = createApp({
+        config,
+        clock,
+        connectDB,
+        stores: { accessCodes, state, ...stores },
+        alertSinks: [],
+        logger: appLogger
+    });
+    await server.init();
+    const httpServer = await server.listen(0, '127.0.0.1');
+    const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+
+    // 发送 JSON 请求，返回 { status, headers, body }
+    async function request(method, path, { body, token, headers = {} } = {}) {
+        const response = await fetch(baseUrl + path, {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...headers
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            // 非 JSON 响应（如 CSV）保留原文
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    }
+
+    // 验证访问码并返回会话令牌
+    async function getToken(accessCode = 'TESTCODE') {
+        const { body } = await request('POST', '/api/check-access-code', { body: { accessCode } });
+        return body.token;
+    }
+
+    return { server, clock, state, baseUrl, request, getToken, close: () => server.close() };
+}
+
+module.exports = {
+    ADMIN_KEY,
+    DAY,
+    createManualClock,
+    createFakeResultsDb,
+    startTestApp
+};
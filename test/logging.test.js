@@ -0,0 +1,135 @@
+// test/logging.test.js - 结构化日志、脱敏与请求ID
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, createManualClock } = require('./helpers');
+const { createLogger, loadLoggingConfig, maskIP, hashIP, truncateCode } = require('../logger');
+
+// 把日志收集到数组中，entries 为解析后的 JSON 对象
+function createCapturingLogger(options = {}) {
+    const lines = [];
+    const logger = createLogger({ clock: createManualClock(), write: line => lines.push(line), ...options });
+    return { logger, lines, entries: () => lines.map(line => JSON.parse(line)) };
+}
+
+describe('脱敏', () => {
+    test('隐藏 IP 的末段', () => {
+        assert.equal(maskIP('203.0.113.57'), '203.0.113.x');
+        assert.equal(maskIP('::ffff:203.0.113.57'), '203.0.113.x');
+        assert.equal(maskIP('2001:db8:1:2:3:4:5:6'), '2001:db8:1:x::');
+        assert.equal(maskIP('2001:db8:1:2::/64'), '2001:db8:1:x::');
+    });
+
+    test('同一 IP 和盐的哈希相同，换盐后不同', () => {
+        assert.equal(hashIP('203.0.113.57', 'salt-a'), hashIP('203.0.113.57', 'salt-a'));
+        assert.notEqual(hashIP('203.0.113.57', 'salt-a'), hashIP('203.0.113.57', 'salt-b'));
+        assert.match(hashIP('203.0.113.57', 'salt-a'), /^[0-9a-f]{16}$/);
+    });
+
+    test('访问码只保留前缀，短访问码不会完整输出', () => {
+        assert.equal(truncateCode('TESTCODE'), 'TES***');
+        assert.equal(truncateCode('TESTCODE', 0), '***');
+        assert.equal(truncateCode('AB', 3), 'A***');
+    });
+});
+
+describe('Logger', () => {
+    test('输出 JSON 行，按字段名脱敏，Error 展开为 message 和 stack', () => {
+        const { logger, entries } = createCapturingLogger();
+        logger.info('访问码验证成功', { ip: '203.0.113.57', code: 'TESTCODE', reused: false });
+        logger.error('出错', { error: new Error('boom') });
+
+        const [info, error] = entries();
+        assert.deepEqual(info, {
+            level: 'info',
+            time: '2025-01-01T00:00:00.000Z',
+            msg: '访问码验证成功',
+            ip: '203.0.113.x',
+            code: 'TES***',
+            reused: false
+        });
+        assert.equal(error.error.message, 'boom');
+        assert.match(error.error.stack, /^Error: boom/);
+    });
+
+    test('低于配置级别的日志不输出', () => {
+        const { logger, entries } = createCapturingLogger({ level: 'warn' });
+        logger.debug('调试');
+        logger.info('信息');
+        logger.warn('警告');
+        assert.deepEqual(entries().map(entry => entry.level), ['warn']);
+
+        logger.configure({ level: 'silent' });
+        logger.error('错误');
+        assert.equal(entries().length, 1);
+    });
+
+    test('子 logger 附带固定字段，full 模式输出原始 IP', () => {
+        const { logger, entries } = createCapturingLogger({ ipMode: 'full' });
+        logger.child({ requestId: 'req-1' }).info('请求完成', { ip: '203.0.113.57' });
+        assert.equal(entries()[0].requestId, 'req-1');
+        assert.equal(entries()[0].ip, '203.0.113.57');
+    });
+
+    test('读取日志配置，无效值使用默认值', () => {
+        const defaults = loadLoggingConfig({});
+        assert.equal(defaults.level, 'info');
+        assert.equal(defaults.ipMode, 'mask');
+        assert.equal(defaults.codeVisibleChars, 3);
+
+        const config = loadLoggingConfig({ LOG_LEVEL: 'DEBUG', LOG_IP_MODE: 'hash', LOG_IP_HASH_SALT: 'pepper', LOG_CODE_VISIBLE_CHARS: '0' });
+        assert.deepEqual(config, { level: 'debug', ipMode: 'hash', ipHashSalt: 'pepper', codeVisibleChars: 0 });
+
+        assert.equal(loadLoggingConfig({ LOG_LEVEL: 'verbose', LOG_IP_MODE: 'plain' }).level, 'info');
+        assert.equal(loadLoggingConfig({ LOG_LEVEL: 'verbose', LOG_IP_MODE: 'plain' }).ipMode, 'mask');
+    });
+});
+
+describe('请求日志', () => {
+    test('生成请求ID并在响应头中返回，合法的 X-Request-Id 原样沿用', async () => {
+        const capture = createCapturingLogger();
+        const ctx = await startTestApp({ logger: capture.logger });
+        try {
+            const generated = await ctx.request('GET', '/api/health');
+            assert.match(generated.headers.get('X-Request-Id'), /^[0-9a-f-]{36}$/);
+
+            const propagated = await ctx.request('GET', '/api/health', { headers: { 'X-Request-Id': 'upstream-123' } });
+            assert.equal(propagated.headers.get('X-Request-Id'), 'upstream-123');
+
+            const invalid = await ctx.request('GET', '/api/health', { headers: { 'X-Request-Id': 'bad id!' } });
+            assert.notEqual(invalid.headers.get('X-Request-Id'), 'bad id!');
+
+            const access = capture.entries().find(entry => entry.requestId === 'upstream-123');
+            assert.equal(access.msg, '请求完成');
+            assert.equal(access.method, 'GET');
+            assert.equal(access.route, '/api/health');
+            assert.equal(access.status, 200);
+            assert.equal(typeof access.latencyMs, 'number');
+            assert.equal(access.ip, '127.0.0.x');
+        } finally {
+            await ctx.close();
+        }
+    });
+
+    test('访问码验证日志不包含完整访问码和原始 IP', async () => {
+        const capture = createCapturingLogger({ ipMode: 'hash', ipHashSalt: 'test-salt' });
+        const ctx = await startTestApp({ logger: capture.logger });
+        try {
+            const { headers } = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'TESTCODE' } });
+            await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'NOSUCHCODE' } });
+
+            assert.equal(capture.lines.some(line => line.includes('TESTCODE') || line.includes('NOSUCHCODE')), false);
+            assert.equal(capture.lines.some(line => line.includes('127.0.0.1')), false);
+
+            const success = capture.entries().find(entry => entry.msg === '访问码验证成功');
+            assert.equal(success.requestId, headers.get('X-Request-Id'));
+            assert.equal(success.code, 'TES***');
+            assert.equal(success.ip, hashIP('127.0.0.1', 'test-salt'));
+
+            const failure = capture.entries().find(entry => entry.msg === '访问码验证失败');
+            assert.equal(failure.reason, 'invalid');
+        } finally {
+            await ctx.close();
+        }
+    });
+});
@@ -0,0 +1,139 @@
+// test/metrics.test.js - Prometheus 指标格式与 /metrics 接口
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, ADMIN_KEY } = require('./helpers');
+const { MetricsRegistry } = require('../metrics');
+
+// 从文本格式中读取一个时间序列的值，如 metricValue(text, 'x_total{a="1"}')
+function metricValue(text, series) {
+    const line = text.split('\n').find(item => item.startsWith(series + ' '));
+    return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+describe('MetricsRegistry', () => {
+    test('输出计数器、仪表和直方图的文本格式', async () => {
+        const registry = new MetricsRegistry();
+        const counter = registry.counter({ name: 'test_events_total', help: '事件数', labelNames: ['kind'] });
+        registry.gauge({ name: 'test_queue', help: '队列长度', collect: gauge => gauge.set({}, 3) });
+        const histogram = registry.histogram({ name: 'test_seconds', help: '耗时', buckets: [0.1, 1] });
+
+        counter.inc({ kind: 'a"b' });
+        counter.inc({ kind: 'a"b' }, 2);
+        histogram.observe({}, 0.05);
+        histogram.observe({}, 0.5);
+
+        const text = await registry.render();
+        assert.match(text, /^# HELP test_events_total 事件数\n# TYPE test_events_total counter\n/);
+        assert.equal(metricValue(text, 'test_events_total{kind="a\\"b"}'), 3);
+        assert.equal(metricValue(text, 'test_queue'), 3);
+        assert.equal(metricValue(text, 'test_seconds_bucket{le="0.1"}'), 1);
+        assert.equal(metricValue(text, 'test_seconds_bucket{le="1"}'), 2);
+        assert.equal(metricValue(text, 'test_seconds_bucket{le="+Inf"}'), 2);
+        assert.equal(metricValue(text, 'test_seconds_count'), 2);
+        assert.equal(metricValue(text, 'test_seconds_sum'), 0.55);
+    });
+
+    test('同名指标不能重复注册', () => {
+        const registry = new MetricsRegistry();
+        registry.counter({ name: 'dup_total', help: '' });
+        assert.throws(() => registry.counter({ name: 'dup_total', help: '' }));
+    });
+});
+
+describe('GET /metrics', () => {
+    test('输出请求、访问码、封禁和限流指标，不包含访问码', async () => {
+        const ctx = await startTestApp({ codes: { TESTCODE: { maxUses: 10 }, OTHERCODE: { maxUses: 5 } } });
+        try {
+            await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'TESTCODE' } });
+            await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'NOSUCHCODE' } });
+            await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'BAD-CODE!' } });
+            // 限流策略为每10秒5次，第6次被拒绝
+            for (let i = 0; i < 3; i++) {
+                await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'NOSUCHCODE' } });
+            }
+            await ctx.request('POST', '/api/admin/ban-ip', { body: { ip: '203.0.113.9' }, headers: { 'X-Admin-Key': ADMIN_KEY } });
+
+            const { status, headers, body } = await ctx.request('GET', '/metrics');
+            assert.equal(status, 200);
+            assert.match(headers.get('Content-Type'), /^text\/plain;.*version=0\.0\.4/);
+
+            assert.equal(metricValue(body, 'darkfactor_http_requests_total{method="POST",route="/api/check-access-code",status="200"}'), 1);
+            assert.equal(metricValue(body, 'darkfactor_http_requests_total{method="POST",route="/api/check-access-code",status="429"}'), 1);
+            assert.equal(metricValue(body, 'darkfactor_http_request_duration_seconds_count{method="POST",route="/api/check-access-code",status="400"}'), 4);
+            assert.equal(metricValue(body, 'darkfactor_access_code_checks_total{result="success",reason="redeemed"}'), 1);
+            assert.equal(metricValue(body, 'darkfactor_access_code_checks_total{result="failure",reason="invalid"}'), 3);
+            assert.equal(metricValue(body, 'darkfactor_access_code_checks_total{result="failure",reason="bad_format"}'), 1);
+            assert.equal(metricValue(body, 'darkfactor_rate_limit_rejections_total{policy="check-access-code"}'), 1);
+            assert.equal(metricValue(body, 'darkfactor_ip_block_events_total{reason="admin_ban"}'), 1);
+            assert.equal(metricValue(body, 'darkfactor_blocked_ips{type="banned"}'), 1);
+            assert.equal(metricValue(body, 'darkfactor_blocked_ips{type="temporary"}'), 0);
+            // 未配置 METRICS_KEY 时不输出访问码库存
+            assert.equal(body.includes('darkfactor_access_codes'), false);
+            assert.equal(body.includes('TESTCODE') || body.includes('OTHERCODE'), false);
+        } finally {
+            await ctx.close();
+        }
+    });
+
+    test('自动封禁计入封禁事件和当前封禁数', async () => {
+        const ctx = await startTestApp({ config: { rateLimitPolicies: [] } });
+        try {
+            for (let i = 0; i < 5; i++) {
+                await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'NOSUCHCODE' } });
+            }
+
+            const { body } = await ctx.request('GET', '/metrics');
+            assert.equal(metricValue(body, 'darkfactor_ip_block_events_total{reason="failed_attempts"}'), 1);
+            assert.equal(metricValue(body, 'darkfactor_blocked_ips{type="temporary"}'), 1);
+        } finally {
+            await ctx.close();
+        }
+    });
+
+    test('配置 METRICS_KEY 后需要 Bearer 密钥', async () => {
+        const ctx = await startTestApp({ env: { METRICS_KEY: 'metrics-secret' } });
+        try {
+            const missing = await ctx.request('GET', '/metrics');
+            assert.equal(missing.status, 401);
+            assert.equal(missing.body.messageCode, 'METRICS_KEY_INVALID');
+
+            const wrong = await ctx.request('GET', '/metrics', { token: 'wrong' });
+            assert.equal(wrong.status, 401);
+
+            const ok = await ctx.request('GET', '/metrics', { token: 'metrics-secret' });
+            assert.equal(ok.status, 200);
+            assert.match(ok.body, /darkfactor_http_requests_total/);
+        } finally {
+            await ctx.close();
+        }
+    });
+
+    test('配置 METRICS_KEY 后输出按状态的访问码数量和每个访问码的剩余次数，不包含访问码', async () => {
+        const ctx = await startTestApp({
+            codes: { TESTCODE: { maxUses: 10 }, OTHERCODE: { maxUses: 5 }, OLDCODE: { expiresInDays: -1 } },
+            env: { METRICS_KEY: 'metrics-secret' }
+        });
+        try {
+            await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'TESTCODE' } });
+
+            const { body } = await ctx.request('GET', '/metrics', { token: 'metrics-secret' });
+            assert.equal(metricValue(body, 'darkfactor_access_codes{status="active"}'), 2);
+            assert.equal(metricValue(body, 'darkfactor_access_codes{status="expired"}'), 1);
+            assert.equal(metricValue(body, 'darkfactor_access_codes{status="revoked"}'), 0);
+            // 每个有效访问码一条，以哈希前缀区分；已过期的 OLDCODE 不输出
+            const remaining = body.split('\n')
+                .map(line => line.match(/^darkfactor_access_code_remaining_uses\{code_id="([0-9a-f]{12})"\} (\d+)$/))
+                .filter(Boolean);
+            assert.deepEqual(remaining.map(match => Number(match[2])).sort((a, b) => a - b), [5, 9]);
+            assert.notEqual(remaining[0][1], remaining[1][1]);
+            assert.equal(/TESTCODE|OTHERCODE|OLDCODE/.test(body), false);
+
+            // code_id 不随抓取变化
+            const again = await ctx.request('GET', '/metrics', { token: 'metrics-secret' });
+            assert.ok(remaining.every(match => again.body.includes(match[0])));
+        } finally {
+            await ctx.close();
+        }
+    });
+});
@@ -0,0 +1,97 @@
+// test/norms.test.js - 经验常模的百分位计算与人口统计分组回退
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { DIMENSIONS } = require('../dimensions');
+const { COLLECTIONS } = require('../db');
+const { empiricalPercentile, parametricPercentile, NormStore } = require('../norms');
+
+function uniformScores(value) {
+    return Object.fromEntries(DIMENSIONS.map(dim => [dim, value]));
+}
+
+// 只实现 NormStore.refresh() 用到的 collection().find().toArray()
+function createFakeDb(collections) {
+    return {
+        collection: name => ({
+            find: () => ({ toArray: async () => collections[name] || [] })
+        })
+    };
+}
+
+describe('百分位', () => {
+    test('经验百分位使用中位秩处理同分', () => {
+        const sorted = [10, 20, 20, 30];
+        assert.equal(empiricalPercentile(sorted, 5), 0);
+        assert.equal(empiricalPercentile(sorted, 10), 12.5);
+        assert.equal(empiricalPercentile(sorted, 20), 50);
+        assert.equal(empiricalPercentile(sorted, 35), 100);
+    });
+
+    test('参数化百分位以平均分20为中点且单调递增', () => {
+        assert.equal(parametricPercentile(20), 50);
+        assert.ok(parametricPercentile(25) > 50 && parametricPercentile(25) < parametricPercentile(30));
+        assert.ok(Math.abs(parametricPercentile(15) + parametricPercentile(25) - 100) < 1e-9);
+    });
+});
+
+describe('经验常模', () => {
+    const norms = new NormStore();
+
+    before(async () => {
+        // 100 名女性全部为 10 分，100 名男性全部为 30 分，均来自 US
+        const simulated = [
+            ...Array.from({ length: 100 }, () => ({ ...uniformScores(10), gender: 'female', country: 'US' })),
+            ...Array.from({ length: 100 }, () => ({ ...uniformScores(30), gender: 'male', country: 'US' }))
+        ];
+        await norms.refresh(createFakeDb({ [COLLECTIONS.SIMULATED_TESTS]: simulated }));
+    });
+
+    test('全体常模：位于两组之间的分数排在50%', () => {
+        const { rankings, normSource, normGroup, sampleSize } = norms.computeRankings(uniformScores(20));
+
+        assert.equal(normSource, 'empirical');
+        assert.equal(sampleSize, 200);
+        assert.equal(normGroup.key, 'all');
+        DIMENSIONS.forEach(dim => assert.equal(rankings[dim], 50));
+    });
+
+    test('同分样本取中位秩', () => {
+        const { rankings, dFactor } = norms.computeRankings(uniformScores(10));
+
+        assert.equal(rankings.egoism, 25);
+        assert.equal(dFactor.percentile, 25);
+    });
+
+    test('按性别分组计算百分位', () => {
+        const female = norms.computeRankings(uniformScores(20), { gender: 'female' });
+        const male = norms.computeRankings(uniformScores(20), { gender: 'male' });
+
+        assert.equal(female.normGroup.sampleSize, 100);
+        assert.equal(female.normGroup.fallback, false);
+        assert.equal(female.rankings.egoism, 100);
+        assert.equal(male.rankings.egoism, 0);
+        assert.equal(male.dFactor.band, 'low');
+    });
+
+    test('分组样本不足时回退到更宽泛的分组', () => {
+        const { normGroup } = norms.computeRankings(uniformScores(20), { gender: 'female', country: 'CN' });
+
+        assert.deepEqual(normGroup.fields, { gender: 'female' });
+        assert.equal(normGroup.fallback, true);
+
+        const unknown = norms.computeRankings(uniformScores(20), { ageBand: '18-24' });
+        assert.equal(unknown.normGroup.key, 'all');
+        assert.equal(unknown.normGroup.fallback, true);
+    });
+
+    test('常模属于各自的实例：未加载数据的实例仍使用参数化常模', () => {
+        const other = new NormStore();
+        const { rankings, normSource } = other.computeRankings(uniformScores(10));
+
+        assert.equal(normSource, 'parametric');
+        assert.equal(rankings.egoism, Math.round(parametricPercentile(10)));
+        assert.equal(norms.status().source, 'empirical');
+        assert.equal(other.status().source, 'parametric');
+    });
+});
@@ -0,0 +1,249 @@
+// test/privacy.test.js - IP 哈希与盐轮换、数据保留任务、结果删除令牌和数据清单
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, createManualClock, createFakeResultsDb, ADMIN_KEY, DAY } = require('./helpers');
+const { IPHasher, MemorySaltStore } = require('../ip_hashing');
+const { createResult, deleteResult, purgeExpiredResults } = require('../results');
+const { DIMENSIONS } = require('../dimensions');
+
+const HOUR = 60 * 60 * 1000;
+const NO_RATE_LIMIT = { rateLimitPolicies: [] };
+const ADMIN = { 'X-Admin-Key': ADMIN_KEY };
+
+async function failAttempts(ctx, count) {
+    for (let i = 0; i < count; i++) {
+        await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'WRONGCODE' } });
+    }
+}
+
+function sampleResult() {
+    const scores = Object.fromEntries(DIMENSIONS.map(dim => [dim, 20]));
+    return { scores, rankings: scores, normSource: 'parametric', totalComparisons: 0, sessionId: 'sid' };
+}
+
+describe('IPHasher', () => {
+    test('同一周期内哈希稳定，不同密钥的哈希不同', () => {
+        const clock = createManualClock();
+        const hasher = new IPHasher({ secret: 'secret-a', clock });
+        const other = new IPHasher({ secret: 'secret-b', clock });
+
+        assert.equal(hasher.hash('203.0.113.9'), hasher.hash('203.0.113.9'));
+        assert.notEqual(hasher.hash('203.0.113.9'), other.hash('203.0.113.9'));
+        assert.ok(hasher.isHash(hasher.hash('203.0.113.9')));
+        assert.equal(hasher.isHash('203.0.113.9'), false);
+    });
+
+    test('轮换后哈希改变，上一周期的哈希仍在候选值中', () => {
+        const clock = createManualClock();
+        const hasher = new IPHasher({ secret: 'secret', rotationMs: DAY, clock });
+        const before = hasher.hash('203.0.113.9');
+
+        clock.advance(DAY);
+        const [current, previous] = hasher.candidates('203.0.113.9');
+        assert.notEqual(current, before);
+        assert.equal(previous, before);
+
+        clock.advance(DAY);
+        assert.equal(hasher.candidates('203.0.113.9').includes(before), false);
+        assert.equal(hasher.status().nextRotationAt.getTime(), clock.now().getTime() + DAY);
+    });
+
+    test('盐随机生成：相同密钥只有共用盐的存储时哈希才相同', async () => {
+        const clock = createManualClock();
+        const store = new MemorySaltStore();
+        const hasher = new IPHasher({ secret: 'secret', clock, store });
+        await hasher.sync();
+
+        const shared = new IPHasher({ secret: 'secret', clock, store });
+        await shared.sync();
+        const separate = new IPHasher({ secret: 'secret', clock });
+
+        assert.equal(shared.hash('203.0.113.9'), hasher.hash('203.0.113.9'));
+        assert.notEqual(separate.hash('203.0.113.9'), hasher.hash('203.0.113.9'));
+    });
+
+    test('同步时预先生成下一周期的盐，删除早于上一周期的盐，之后无法再算出旧哈希', async () => {
+        const clock = createManualClock();
+        const store = new MemorySaltStore();
+        const hasher = new IPHasher({ secret: 'secret', rotationMs: DAY, clock, store });
+        await hasher.sync();
+        const epoch = hasher.epochAt();
+        const before = hasher.hash('203.0.113.9');
+        assert.deepEqual(store.exportSalts().map(entry => entry.epoch), [epoch, epoch + 1]);
+
+        clock.advance(2 * DAY);
+        await hasher.sync();
+        assert.deepEqual(store.exportSalts().map(entry => entry.epoch), [epoch + 1, epoch + 2, epoch + 3]);
+
+        // 持有密钥和剩余的盐也无法重新计算已删除周期的哈希
+        const restarted = new IPHasher({ secret: 'secret', rotationMs: DAY, clock, store });
+        await restarted.sync();
+        assert.notEqual(restarted.hashWith(epoch, '203.0.113.9'), before);
+    });
+});
+
+describe('IP 哈希存储', () => {
+    test('安全状态和审计日志只包含 IP 哈希，可按原始 IP 查询审计日志', async () => {
+        const ctx = await startTestApp({ config: NO_RATE_LIMIT });
+        try {
+            await failAttempts(ctx, 5);
+
+            const status = await ctx.request('GET', '/api/admin/security-status', { headers: ADMIN });
+            assert.match(status.body.blockedIPs[0].ip, /^[0-9a-f]{32}$/);
+            assert.equal(JSON.stringify(status.body).includes('127.0.0.1'), false);
+
+            // 封禁事件在封禁前按当前周期的哈希记录，之后安全记录换成不轮换的哈希，两者都能按原始 IP 查到
+            const audit = await ctx.request('GET', '/api/admin/audit?type=ip_blocked', { headers: ADMIN });
+            assert.match(audit.body.events[0].ip, /^[0-9a-f]{32}$/);
+            assert.equal(JSON.stringify(audit.body).includes('127.0.0.1'), false);
+
+            // 盐轮换后，按原始 IP 仍能查到上一周期的记录
+            ctx.clock.advance(DAY);
+            const byIP = await ctx.request('GET', '/api/admin/audit?type=ip_blocked&ip=127.0.0.1', { headers: ADMIN });
+            assert.equal(byIP.body.total, 1);
+        } finally {
+            await ctx.close();
+        }
+    });
+
+    test('没有封禁的记录轮换后沿用原记录，两次轮换后无法关联并被清理', async () => {
+        const ctx = await startTestApp({ config: NO_RATE_LIMIT });
+        try {
+            await failAttempts(ctx, 1);
+            ctx.clock.advance(DAY + HOUR);
+            await failAttempts(ctx, 1);
+
+            const status = await ctx.request('GET', '/api/admin/security-status', { headers: ADMIN });
+            assert.equal(status.body.security.totalRecords, 1);
+
+            ctx.clock.advance(2 * DAY);
+            assert.equal(ctx.server.cleanupSecurityRecords(), 1);
+        } finally {
+            await ctx.close();
+        }
+    });
+
+    test('手动封禁以不轮换的哈希保存，多次轮换和数据保留任务之后仍然有效', async () => {
+        const ctx = await startTestApp({ config: NO_RATE_LIMIT });
+        try {
+            await ctx.request('POST', '/api/admin/ban-ip', { body: { ip: '127.0.0.1' }, headers: ADMIN });
+            assert.equal((await ctx.request('GET', '/')).status, 403);
+
+            ctx.clock.advance(3 * DAY);
+            await ctx.server.runRetention();
+            assert.equal((await ctx.request('GET', '/')).status, 403);
+        } finally {
+            await ctx.close();
+        }
+    });
+
+    test('封禁等级跨越轮换保留，再犯时封禁时间延长', async () => {
+        const ctx = await startTestApp({ config: NO_RATE_LIMIT });
+        try {
+            await failAttempts(ctx, 5);
+
+            ctx.clock.advance(2 * DAY + HOUR);
+            await ctx.server.runRetention();
+            await failAttempts(ctx, 5);
+
+            const blocked = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'TESTCODE' } });
+            assert.equal(blocked.status, 429);
+            assert.equal(blocked.body.retryAfter, 60 * 60);
+        } finally {
+            await ctx.close();
+        }
+    });
+});
+
+describe('数据保留', () => {
+    test('保留任务删除过期的安全记录和审计记录', async () => {
+        const ctx = await startTestApp({ config: NO_RATE_LIMIT, env: { AUDIT_RETENTION_DAYS: '30' } });
+        try {
+            await failAttempts(ctx, 2);
+            assert.deepEqual(await ctx.server.runRetention(), { securityRecords: 0, results: 0, auditEvents: 0 });
+
+            ctx.clock.advance(31 * DAY);
+            await failAttempts(ctx, 1);
+            const purged = await ctx.server.runRetention();
+            assert.equal(purged.auditEvents, 2);
+
+            const audit = await ctx.request('GET', '/api/admin/audit', { headers: ADMIN });
+            assert.equal(audit.body.events.filter(event => event.type === 'access_code_failure').length, 1);
+            assert.equal(audit.body.messageCode, 'AUDIT_EVENTS_FOUND');
+        } finally {
+            await ctx.close();
+        }
+    });
+
+    test('超过保留时间的测试结果被删除', async () => {
+        const db = createFakeResultsDb();
+        await createResult(db, sampleResult());
+        db.results[0].createdAt = new Date(Date.now() - 400 * DAY);
+        await createResult(db, sampleResult());
+
+        assert.equal(await purgeExpiredResults(db, new Date(Date.now() - 365 * DAY)), 1);
+        assert.equal(db.results.length, 1);
+    });
+});
+
+describe('删除测试结果', () => {
+    test('只有正确的删除令牌可以删除结果，数据库只保存令牌哈希', async () => {
+        const db = createFakeResultsDb();
+        const { result, deletionToken } = await createResult(db, sampleResult());
+        assert.match(deletionToken, /^[A-Za-z0-9_-]{32}$/);
+        assert.equal(JSON.stringify(db.results).includes(deletionToken), false);
+
+        assert.deepEqual(await deleteResult(db, result.id, 'x'.repeat(32)), { error: 'invalid_token' });
+        assert.deepEqual(await deleteResult(db, result.id, deletionToken), { deleted: true });
+        assert.deepEqual(await deleteResult(db, result.id, deletionToken), { error: 'not_found' });
+    });
+
+    test('缺少删除令牌时返回 401，不需要会话令牌', async () => {
+        const ctx = await startTestApp();
+        try {
+            const id = 'A'.repeat(22);
+            const missing = await ctx.request('DELETE', `/api/results/${id}`);
+            assert.equal(missing.status, 401);
+            assert.equal(missing.body.messageCode, 'DELETION_TOKEN_REQUIRED');
+
+            // 测试环境没有数据库
+            const withToken = await ctx.request('DELETE', `/api/results/${id}`, { headers: { 'X-Deletion-Token': 'x'.repeat(32) } });
+            assert.equal(withToken.status, 503);
+        } finally {
+            await ctx.close();
+        }
+    });
+});
+
+describe('GET /api/admin/data-inventory', () => {
+    test('列出各类数据的存储、数量和保留策略', async () => {
+        const ctx = await startTestApp({ config: NO_RATE_LIMIT });
+        try {
+            await failAttempts(ctx, 1);
+
+            const { status, body } = await ctx.request('GET', '/api/admin/data-inventory', { headers: ADMIN });
+            assert.equal(status, 200);
+            assert.equal(body.ipHashing.secretConfigured, true);
+            assert.equal(body.ipHashing.rotationHours, 24);
+            assert.equal(body.ipHashing.saltStorage, 'memory');
+            assert.equal(body.data.testResults.storage, 'unavailable');
+            assert.equal(body.data.testResults.retentionDays, 365);
+            assert.equal(body.data.securityRecords.count, 1);
+            assert.equal(body.data.securityRecords.retentionHours, 24);
+            assert.equal(body.data.auditLog.count, 1);
+            assert.equal(body.data.auditLog.retentionDays, 180);
+            assert.equal(body.data.accessCodes.count, 1);
+
+            // 列出文档中实际保存的字段名
+            assert.ok(body.data.securityRecords.fields.includes('ip'));
+            assert.ok(body.data.securityRecords.fields.includes('lastIP'));
+            assert.ok(body.data.auditLog.fields.includes('ip'));
+            for (const category of Object.values(body.data)) {
+                assert.equal(category.fields.includes('ipHash'), false);
+            }
+        } finally {
+            await ctx.close();
+        }
+    });
+});
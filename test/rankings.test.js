@@ -0,0 +1,73 @@
+// test/rankings.test.js - 排名接口（参数化常模）与请求校验
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+const { DIMENSIONS } = require('../dimensions');
+
+function uniformScores(value) {
+    return Object.fromEntries(DIMENSIONS.map(dim => [dim, value]));
+}
+
+describe('POST /api/rankings', () => {
+    let ctx;
+    let token;
+
+    before(async () => {
+        ctx = await startTestApp();
+        token = await ctx.getToken();
+    });
+
+    after(() => ctx.close());
+
+    test('参数化常模下按正态近似计算百分位', async () => {
+        const scores = { ...uniformScores(20), egoism: 25, greed: 30, mach: 15, moral: 7, power: 35 };
+        const { status, body } = await ctx.request('POST', '/api/rankings', { body: scores, token });
+
+        assert.equal(status, 200);
+        assert.equal(body.normSource, 'parametric');
+        assert.equal(body.warningCode, 'NORMS_PARAMETRIC');
+        assert.equal(body.rankings.narcissism, 50);
+        assert.equal(body.rankings.egoism, 80);
+        assert.equal(body.rankings.greed, 94);
+        assert.equal(body.rankings.mach, 20);
+        assert.equal(body.rankings.moral, 2);
+        assert.equal(body.rankings.power, 99);
+        assert.deepEqual(body.userScores, scores);
+    });
+
+    test('D 总因子包含分数、百分位和等级代码（不含固定语言的名称）', async () => {
+        const { body } = await ctx.request('POST', '/api/rankings?lang=en', { body: uniformScores(20), token });
+
+        assert.deepEqual(body.dFactor, { score: 20, percentile: 50, band: 'average' });
+    });
+
+    test('缺少维度、超出范围和多余字段返回字段级错误', async () => {
+        const { greed, ...missing } = uniformScores(20);
+        const { status, body } = await ctx.request('POST', '/api/rankings', {
+            body: { ...missing, egoism: 36, mach: '20', extra: 1 },
+            token
+        });
+
+        assert.equal(status, 400);
+        assert.equal(body.messageCode, 'VALIDATION_FAILED');
+        const errors = Object.fromEntries(body.errors.map(error => [error.field, error.messageCode]));
+        assert.deepEqual(errors, {
+            'body.greed': 'FIELD_REQUIRED',
+            'body.egoism': 'FIELD_MAXIMUM',
+            'body.mach': 'FIELD_TYPE',
+            'body.extra': 'FIELD_UNKNOWN'
+        });
+    });
+
+    test('人口统计字段不合法时返回字段级错误', async () => {
+        const { status, body } = await ctx.request('POST', '/api/rankings', {
+            body: { ...uniformScores(20), gender: 'unknown-value' },
+            token
+        });
+
+        assert.equal(status, 400);
+        assert.equal(body.errors[0].field, 'body.gender');
+        assert.equal(body.errors[0].messageCode, 'FIELD_ENUM');
+    });
+});
@@ -0,0 +1,141 @@
+// test/report.test.js - 解读报告的等级划分、本地化解读、雷达图和报告接口
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+const { DIMENSIONS } = require('../dimensions');
+const { loadReportConfig, getBand, buildReport } = require('../report');
+const { renderRadarChart } = require('../radar_chart');
+
+function uniformScores(value) {
+    return Object.fromEntries(DIMENSIONS.map(dim => [dim, value]));
+}
+
+// 参数化常模下的排名结果（平均分20，标准差5）
+function sampleSource() {
+    return {
+        scores: { ...uniformScores(20), greed: 30, power: 35, sadism: 27, mach: 12 },
+        rankings: { ...uniformScores(50), greed: 94, power: 99, sadism: 92, mach: 9 },
+        dFactor: { score: 21.1, percentile: 59, band: 'average' },
+        normSource: 'parametric',
+        normGroup: null
+    };
+}
+
+describe('等级划分', () => {
+    test('按分界确定等级，分界值归入较低的等级', () => {
+        assert.equal(getBand(0), 'low');
+        assert.equal(getBand(25), 'low');
+        assert.equal(getBand(25.5), 'average');
+        assert.equal(getBand(90), 'high');
+        assert.equal(getBand(91), 'very_high');
+        assert.equal(getBand(50, [10, 40, 60]), 'high');
+    });
+
+    test('读取分界配置，无效配置使用默认值', () => {
+        assert.deepEqual(loadReportConfig({}), { bandCutoffs: [25, 75, 90], highlightCount: 3 });
+        assert.deepEqual(loadReportConfig({ REPORT_BAND_CUTOFFS: '30,70,95', REPORT_HIGHLIGHT_COUNT: '2' }),
+            { bandCutoffs: [30, 70, 95], highlightCount: 2 });
+        assert.deepEqual(loadReportConfig({ REPORT_BAND_CUTOFFS: '70,30,95' }).bandCutoffs, [25, 75, 90]);
+        assert.deepEqual(loadReportConfig({ REPORT_BAND_CUTOFFS: '30,70' }).bandCutoffs, [25, 75, 90]);
+    });
+});
+
+describe('buildReport', () => {
+    test('每个维度包含等级和本地化解读，最突出的特质按百分位排序', () => {
+        const report = buildReport(sampleSource(), { lang: 'en', highlightCount: 2 });
+
+        const greed = report.dimensions.find(item => item.dimension === 'greed');
+        assert.equal(greed.name, 'Greed');
+        assert.equal(greed.band, 'very_high');
+        assert.equal(greed.bandLabel, 'Very high');
+        assert.match(greed.interpretation, /higher than about 94% of the comparison group/);
+
+        assert.equal(report.dimensions.find(item => item.dimension === 'mach').band, 'low');
+        assert.deepEqual(report.highlights.map(item => item.dimension), ['power', 'greed']);
+        assert.equal(report.summary, 'Compared with the comparison group, your most pronounced traits are Power seeking and Greed.');
+        assert.equal(report.dFactor.bandLabel, 'Average');
+    });
+
+    test('中文报告；没有偏高的维度时不列出突出特质', () => {
+        const report = buildReport({ ...sampleSource(), rankings: uniformScores(50) }, { lang: 'zh' });
+
+        assert.deepEqual(report.highlights, []);
+        assert.equal(report.summary, '与比较组相比，你没有高于平均水平的特质。');
+        assert.equal(report.dimensions[0].name, '利己主义');
+        assert.equal(report.dimensions[0].bandLabel, '中等');
+        assert.match(report.dimensions[0].interpretation, /^你的利己主义得分高于比较组中约50%的人/);
+    });
+});
+
+describe('renderRadarChart', () => {
+    test('每个维度一个轴和标签，文本经过转义，百分位限制在 0-100', () => {
+        const axes = DIMENSIONS.map(dim => ({ label: dim, value: 50 }));
+        axes[0] = { label: '<Ego & "self">', value: 150 };
+        const svg = renderRadarChart(axes, { title: 'Profile' });
+
+        assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+        assert.equal((svg.match(/<circle /g) || []).length, DIMENSIONS.length);
+        assert.ok(svg.includes('&lt;Ego &amp; &quot;self&quot;&gt;: 100'));
+        assert.equal(svg.includes('<Ego'), false);
+    });
+});
+
+describe('报告接口', () => {
+    let ctx;
+    let token;
+
+    before(async () => {
+        ctx = await startTestApp({ config: { rateLimitPolicies: [] } });
+        token = await ctx.getToken();
+    });
+
+    after(() => ctx.close());
+
+    test('POST /api/report 返回 JSON 报告，参数化常模时附带提示', async () => {
+        const scores = { ...uniformScores(20), greed: 30, power: 35 };
+        const { status, body } = await ctx.request('POST', '/api/report?lang=en', { body: { scores }, token });
+
+        assert.equal(status, 200);
+        assert.equal(body.messageCode, 'REPORT_GENERATED');
+        assert.equal(body.warningCode, 'NORMS_PARAMETRIC');
+        assert.equal(body.report.dimensions.length, DIMENSIONS.length);
+        assert.deepEqual(body.report.highlights.map(item => item.dimension), ['power', 'greed']);
+        assert.equal(body.generatedAt, '2025-01-01T00:00:00.000Z');
+    });
+
+    test('format=html 返回独立的可打印页面，内嵌雷达图', async () => {
+        const { status, headers, body } = await ctx.request('POST', '/api/report?format=html', { body: { scores: uniformScores(20) }, token });
+
+        assert.equal(status, 200);
+        assert.match(headers.get('Content-Type'), /^text\/html/);
+        assert.match(headers.get('Content-Security-Policy'), /default-src 'none'/);
+        assert.match(body, /^<!DOCTYPE html>/);
+        assert.ok(body.includes('<html lang="zh">'));
+        assert.ok(body.includes('<svg '));
+        assert.ok(body.includes('@media print'));
+    });
+
+    test('缺少作答和分数时返回 400，缺少会话令牌时返回 401', async () => {
+        const missing = await ctx.request('POST', '/api/report', { body: {}, token });
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.messageCode, 'RESULT_PAYLOAD_REQUIRED');
+
+        const unauthorized = await ctx.request('POST', '/api/report', { body: { scores: uniformScores(20) } });
+        assert.equal(unauthorized.status, 401);
+    });
+
+    test('已保存结果的报告和雷达图需要查看令牌和数据库', async () => {
+        const id = 'A'.repeat(22);
+        const missing = await ctx.request('GET', `/api/results/${id}/chart.svg`, { token });
+        assert.equal(missing.status, 401);
+        assert.equal(missing.body.messageCode, 'READ_TOKEN_REQUIRED');
+
+        // 测试环境没有数据库
+        const readToken = 'x'.repeat(32);
+        const chart = await ctx.request('GET', `/api/results/${id}/chart.svg?token=${readToken}`);
+        assert.equal(chart.status, 503);
+        const report = await ctx.request('GET', `/api/results/${id}/report?format=html`, { headers: { 'X-Read-Token': readToken } });
+        assert.equal(report.status, 503);
+    });
+});
@@ -0,0 +1,140 @@
+// test/results.test.js - 测试结果的读取权限（按ID凭查看令牌读取，他人通过分享令牌比较）、对外返回的字段，以及数据库恢复后启用结果接口
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeResultsDb, startTestApp } = require('./helpers');
+const { createResult, findResult, findComparableResult } = require('../results');
+const { DIMENSIONS } = require('../dimensions');
+const { MemoryAuditStore } = require('../audit_log');
+const { IPRuleSet } = require('../ip_rules');
+const { MemorySaltStore } = require('../ip_hashing');
+
+function sampleResult(sessionId, shareable = false) {
+    const scores = Object.fromEntries(DIMENSIONS.map(dim => [dim, 20]));
+    return { scores, rankings: scores, normSource: 'parametric', totalComparisons: 0, accessCode: 'TESTCODE', sessionId, shareable };
+}
+
+describe('findResult', () => {
+    test('只有持有查看令牌才能按ID读取，与会话无关', async () => {
+        const db = createFakeResultsDb();
+        const { result, readToken } = await createResult(db, sampleResult('owner', true));
+        const other = await createResult(db, sampleResult('owner'));
+
+        assert.equal((await findResult(db, result.id, readToken)).id, result.id);
+        assert.equal(await findResult(db, result.id, other.readToken), null);
+        assert.equal(await findResult(db, result.id, 'x'.repeat(32)), null);
+        assert.equal(await findResult(db, result.id, undefined), null);
+    });
+});
+
+describe('findComparableResult', () => {
+    test('他人的结果即使已开启比较也不能按ID读取，只能通过分享令牌', async () => {
+        const db = createFakeResultsDb();
+        const { result, shareToken, readToken } = await createResult(db, sampleResult('owner', true));
+
+        assert.deepEqual(await findComparableResult(db, { id: result.id }), { error: 'not_found' });
+        assert.equal((await findComparableResult(db, { shareToken })).result.id, result.id);
+        assert.equal((await findComparableResult(db, { id: result.id, readToken })).result.id, result.id);
+    });
+
+    test('对外返回的结果不包含访问码，数据库中仍保存', async () => {
+        const db = createFakeResultsDb();
+        const { result, shareToken, readToken } = await createResult(db, sampleResult('owner', true));
+
+        assert.equal(db.results[0].accessCode, 'TESTCODE');
+        assert.equal('accessCode' in result, false);
+        assert.equal('accessCode' in (await findResult(db, result.id, readToken)), false);
+        assert.equal('accessCode' in (await findComparableResult(db, { shareToken })).result, false);
+    });
+
+    test('无效或不存在的分享令牌返回 not_found', async () => {
+        const db = createFakeResultsDb();
+        await createResult(db, sampleResult('owner', true));
+
+        assert.deepEqual(await findComparableResult(db, { shareToken: 'x'.repeat(24) }), { error: 'not_found' });
+        assert.deepEqual(await findComparableResult(db, { shareToken: 'short' }), { error: 'not_found' });
+    });
+});
+
+describe('数据库重新连接', () => {
+    test('启动时数据库不可用，连接恢复后启用结果接口并加载经验常模', async () => {
+        const simulated = Array.from({ length: 100 }, (_, index) =>
+            Object.fromEntries(DIMENSIONS.map(dim => [dim, index % 2 === 0 ? 10 : 30])));
+        const db = createFakeResultsDb({ simulated });
+        let available = false;
+
+        // 限流、审计日志和IP规则使用内存存储，替身数据库只需要支持测试结果和常模样本
+        const ctx = await startTestApp({
+            config: { rateLimitPolicies: [], rateLimitStore: 'memory' },
+            connectDB: async () => (available ? db : null),
+            stores: { audit: new MemoryAuditStore(), ipRules: new IPRuleSet() }
+        });
+
+        try {
+            const token = await ctx.getToken();
+            const body = { scores: Object.fromEntries(DIMENSIONS.map(dim => [dim, 20])) };
+
+            assert.equal((await ctx.request('POST', '/api/results', { body, token })).status, 503);
+            assert.equal(await ctx.server.connectDatabase(), null);
+
+            available = true;
+            assert.equal(await ctx.server.connectDatabase(), db);
+
+            const saved = await ctx.request('POST', '/api/results', { body, token });
+            assert.equal(saved.status, 201);
+            assert.equal(saved.body.result.normSource, 'empirical');
+            assert.equal(db.results.length, 1);
+
+            const health = await ctx.request('GET', '/api/health');
+            assert.equal(health.body.norms.source, 'empirical');
+            assert.equal(health.body.norms.sampleSize, 100);
+        } finally {
+            await ctx.close();
+        }
+    });
+});
+
+describe('结果接口', () => {
+    test('会话令牌过期后凭查看令牌仍能重新打开自己的结果，雷达图可用查询参数读取', async () => {
+        const db = createFakeResultsDb();
+        const ctx = await startTestApp({
+            config: { rateLimitPolicies: [], rateLimitStore: 'memory' },
+            connectDB: async () => db,
+            stores: { audit: new MemoryAuditStore(), ipRules: new IPRuleSet(), ipHashSalts: new MemorySaltStore() }
+        });
+
+        try {
+            const body = { scores: Object.fromEntries(DIMENSIONS.map(dim => [dim, 20])) };
+            const saved = await ctx.request('POST', '/api/results', { body, token: await ctx.getToken() });
+            assert.equal(saved.status, 201);
+            const { result: { id }, readToken } = saved.body;
+
+            // 会话令牌两小时后过期
+            ctx.clock.advance(3 * 60 * 60 * 1000);
+
+            const reopened = await ctx.request('GET', `/api/results/${id}?lang=en`, { headers: { 'X-Read-Token': readToken } });
+            assert.equal(reopened.status, 200);
+            assert.equal(reopened.body.result.id, id);
+            assert.equal(reopened.body.messageCode, 'RESULT_FOUND');
+            assert.equal(reopened.body.message, 'Test result retrieved');
+
+            const chart = await ctx.request('GET', `/api/results/${id}/chart.svg?token=${readToken}`);
+            assert.equal(chart.status, 200);
+            assert.match(chart.headers.get('Content-Type'), /^image\/svg\+xml/);
+
+            const report = await ctx.request('GET', `/api/results/${id}/report?format=html&token=${readToken}`);
+            assert.equal(report.status, 200);
+
+            // 没有令牌或令牌不符时不暴露结果是否存在
+            assert.equal((await ctx.request('GET', `/api/results/${id}`)).status, 401);
+            assert.equal((await ctx.request('GET', `/api/results/${id}`, { headers: { 'X-Read-Token': 'x'.repeat(32) } })).status, 404);
+
+            // 新会话中凭查看令牌开启比较
+            const shared = await ctx.request('POST', `/api/results/${id}/share`, { headers: { 'X-Read-Token': readToken } });
+            assert.equal(shared.status, 200);
+            assert.equal((await ctx.request('POST', `/api/results/${id}/share`, { headers: { 'X-Read-Token': 'x'.repeat(32) } })).status, 403);
+        } finally {
+            await ctx.close();
+        }
+    });
+});
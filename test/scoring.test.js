@@ -0,0 +1,124 @@
+// test/scoring.test.js - 题目计分键的解析与按作答计分（含反向计分题）
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DIMENSIONS } = require('../dimensions');
+const { parseScoringKey, loadScoringKey, scoreAnswers } = require('../scoring');
+const { startTestApp } = require('./helpers');
+
+// 测试用计分键：题目ID按维度顺序编号（D01-D70），egoism 反向计分第2、5题，greed 反向计分第1题，其余维度没有反向计分题
+function itemIds(dimIndex) {
+    return Array.from({ length: 7 }, (_, index) => `D${String(dimIndex * 7 + index + 1).padStart(2, '0')}`);
+}
+
+function testDefinition() {
+    const definition = Object.fromEntries(DIMENSIONS.map((dim, index) => [dim, { items: itemIds(index) }]));
+    definition.egoism.reversed = ['D02', 'D05'];
+    definition.greed.reversed = ['D08'];
+    return definition;
+}
+
+// 每题作答 value；overrides 覆盖个别题目
+function answerAll(value, overrides = {}) {
+    const answers = {};
+    DIMENSIONS.forEach((dim, index) => itemIds(index).forEach(id => { answers[id] = value; }));
+    return { ...answers, ...overrides };
+}
+
+describe('计分键', () => {
+    test('按维度生成题目并标记反向计分题', () => {
+        const key = parseScoringKey(testDefinition());
+
+        assert.equal(key.length, 70);
+        assert.deepEqual(key.filter(item => item.reversed).map(item => item.id), ['D02', 'D05', 'D08']);
+        assert.deepEqual(key[7], { id: 'D08', dimension: 'greed', reversed: true });
+    });
+
+    test('格式错误时抛出错误', () => {
+        const withDefinition = change => {
+            const definition = testDefinition();
+            change(definition);
+            return () => parseScoringKey(definition);
+        };
+
+        assert.throws(() => parseScoringKey([]), /以维度为键/);
+        assert.throws(withDefinition(d => { d.unknown = { items: [] }; }), /未知的维度/);
+        assert.throws(withDefinition(d => { delete d.sadism; }), /sadism/);
+        assert.throws(withDefinition(d => { d.mach.items.pop(); }), /mach/);
+        assert.throws(withDefinition(d => { d.mach.reversed = ['D01']; }), /反向计分题/);
+        assert.throws(withDefinition(d => { d.moral.items[0] = 'D01'; }), /重复: D01/);
+    });
+
+    test('从 SCORING_KEY_FILE 读取，未配置或文件无效时返回 null', async () => {
+        const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'darkfactor-scoring-'));
+        try {
+            const file = path.join(dir, 'scoring_key.json');
+            fs.writeFileSync(file, JSON.stringify(testDefinition()));
+            assert.equal(loadScoringKey({ SCORING_KEY_FILE: file }).length, 70);
+
+            fs.writeFileSync(file, '{ not json');
+            assert.equal(loadScoringKey({ SCORING_KEY_FILE: file }), null);
+            assert.equal(loadScoringKey({ SCORING_KEY_FILE: path.join(dir, 'missing.json') }), null);
+            assert.equal(loadScoringKey({}), null);
+        } finally {
+            await fs.promises.rm(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('按作答计分', () => {
+    const key = parseScoringKey(testDefinition());
+
+    test('全部作答为4时，反向计分题按2计入', () => {
+        const { scores } = scoreAnswers(answerAll(4), key);
+
+        assert.equal(scores.egoism, 5 * 4 + 2 * 2);
+        assert.equal(scores.greed, 6 * 4 + 2);
+        assert.equal(scores.mach, 7 * 4);
+    });
+
+    test('已知作答得到已知总分', () => {
+        // egoism: 5 + (6-1) + 3 + 4 + (6-2) + 5 + 1 = 27；greed: (6-5) + 6 × 1 = 7
+        const answers = answerAll(1, { D01: 5, D02: 1, D03: 3, D04: 4, D05: 2, D06: 5, D07: 1, D08: 5 });
+        const { scores } = scoreAnswers(answers, key);
+
+        assert.deepEqual(scores, { ...Object.fromEntries(DIMENSIONS.map(dim => [dim, 7])), egoism: 27, greed: 7 });
+    });
+
+    test('分数范围为7-35', () => {
+        const lowest = scoreAnswers(answerAll(1, { D02: 5, D05: 5, D08: 5 }), key).scores;
+        const highest = scoreAnswers(answerAll(5, { D02: 1, D05: 1, D08: 1 }), key).scores;
+
+        assert.ok(DIMENSIONS.every(dim => lowest[dim] === 7 && highest[dim] === 35));
+    });
+
+    test('缺少、超出范围和未知的题目返回逐题错误', () => {
+        const { D03, ...answers } = answerAll(3);
+        const { errors } = scoreAnswers({ ...answers, D04: 6, D05: 2.5, X99: 1 }, key);
+
+        assert.deepEqual(errors.map(error => [error.item, error.code]), [
+            ['X99', 'ITEM_UNKNOWN'],
+            ['D03', 'ITEM_MISSING'],
+            ['D04', 'ITEM_OUT_OF_RANGE'],
+            ['D05', 'ITEM_OUT_OF_RANGE']
+        ]);
+    });
+});
+
+describe('POST /api/score', () => {
+    test('未配置计分键时返回 503', async () => {
+        const ctx = await startTestApp();
+        try {
+            const token = await ctx.getToken();
+            const { status, body } = await ctx.request('POST', '/api/score', { body: { answers: answerAll(3) }, token });
+
+            assert.equal(status, 503);
+            assert.equal(body.messageCode, 'SCORING_KEY_UNAVAILABLE');
+        } finally {
+            await ctx.close();
+        }
+    });
+});
@@ -0,0 +1,160 @@
+// test/security.test.js - 连续失败封禁、到期解除、管理员解除与逐级延长
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, ADMIN_KEY } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+
+// 关闭限流，只测试连续失败封禁
+const NO_RATE_LIMIT = { rateLimitPolicies: [] };
+
+async function failAttempts(ctx, count) {
+    const responses = [];
+    for (let i = 0; i < count; i++) {
+        responses.push(await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'WRONGCODE' } }));
+    }
+    return responses;
+}
+
+describe('连续失败封禁', () => {
+    let ctx;
+
+    beforeEach(async () => {
+        ctx = await startTestApp({ config: NO_RATE_LIMIT });
+    });
+
+    afterEach(() => ctx.close());
+
+    test('连续失败5次后封禁，正确的访问码也被拒绝', async () => {
+        const responses = await failAttempts(ctx, 5);
+        responses.forEach(response => assert.equal(response.body.messageCode, 'ACCESS_CODE_INVALID'));
+
+        const blocked = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'TESTCODE' } });
+        assert.equal(blocked.status, 429);
+        assert.equal(blocked.body.messageCode, 'TOO_MANY_ATTEMPTS');
+        assert.equal(blocked.body.valid, false);
+        assert.equal(blocked.body.retryAfter, 15 * 60);
+        assert.equal(blocked.headers.get('Retry-After'), String(15 * 60));
+    });
+
+    test('成功验证后失败计数清零', async () => {
+        await failAttempts(ctx, 4);
+        const success = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'TESTCODE' } });
+        assert.equal(success.status, 200);
+
+        const responses = await failAttempts(ctx, 4);
+        responses.forEach(response => assert.equal(response.status, 400));
+    });
+
+    test('封禁到期后自动解除并写入审计日志', async () => {
+        await failAttempts(ctx, 5);
+
+        ctx.clock.advance(15 * MINUTE + 1000);
+
+        const afterExpiry = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'TESTCODE' } });
+        assert.equal(afterExpiry.status, 200);
+
+        const { body } = await ctx.request('GET', '/api/admin/audit?type=ip_blocked,ip_unblocked', {
+            headers: { 'X-Admin-Key': ADMIN_KEY }
+        });
+        assert.deepEqual(body.events.map(event => event.type).sort(), ['ip_blocked', 'ip_unblocked']);
+        assert.equal(body.events.find(event => event.type === 'ip_unblocked').reason, 'expired');
+    });
+
+    test('管理员解除封禁', async () => {
+        await failAttempts(ctx, 5);
+
+        const status = await ctx.request('GET', '/api/admin/security-status', { headers: { 'X-Admin-Key': ADMIN_KEY } });
+        assert.equal(status.body.blockedIPs.length, 1);
+        const ip = status.body.blockedIPs[0].ip;
+
+        const unblocked = await ctx.request('POST', '/api/admin/unblock-ip', {
+            body: { ip },
+            headers: { 'X-Admin-Key': ADMIN_KEY }
+        });
+        assert.equal(unblocked.status, 200);
+        assert.equal(unblocked.body.messageCode, 'IP_UNBLOCKED');
+
+        const success = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'TESTCODE' } });
+        assert.equal(success.status, 200);
+    });
+
+    test('解除封禁需要管理员密钥', async () => {
+        const { status } = await ctx.request('POST', '/api/admin/unblock-ip', { body: { ip: '127.0.0.1' } });
+        assert.equal(status, 401);
+    });
+
+    test('再次被封禁时封禁时长逐级延长', async () => {
+        await failAttempts(ctx, 5);
+        ctx.clock.advance(15 * MINUTE + 1000);
+
+        await failAttempts(ctx, 5);
+        const blocked = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'TESTCODE' } });
+        assert.equal(blocked.status, 429);
+        assert.equal(blocked.body.retryAfter, 60 * 60);
+    });
+
+    test('封禁次数与阈值可配置', async () => {
+        await ctx.close();
+        ctx = await startTestApp({
+            env: { SECURITY_MAX_FAILED_ATTEMPTS: '2', SECURITY_BLOCK_ESCALATION_MINUTES: '5,10' },
+            config: NO_RATE_LIMIT
+        });
+
+        await failAttempts(ctx, 2);
+        const blocked = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'TESTCODE' } });
+        assert.equal(blocked.status, 429);
+        assert.equal(blocked.body.retryAfter, 5 * 60);
+    });
+});
+
+describe('限流', () => {
+    test('访问码接口默认每10秒最多5次请求', async () => {
+        const ctx = await startTestApp();
+        try {
+            const responses = [];
+            for (let i = 0; i < 6; i++) {
+                responses.push(await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'TESTCODE' } }));
+            }
+
+            responses.slice(0, 5).forEach(response => assert.equal(response.status, 200));
+            assert.equal(responses[5].status, 429);
+            assert.equal(responses[5].body.messageCode, 'RATE_LIMITED');
+            assert.equal(responses[5].body.valid, false);
+
+            ctx.clock.advance(20 * 1000);
+            const afterWindow = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'TESTCODE' } });
+            assert.equal(afterWindow.status, 200);
+        } finally {
+            await ctx.close();
+        }
+    });
+});
+
+describe('安全记录清理', () => {
+    test('长时间无活动且未被封禁的记录会被清理', async () => {
+        const ctx = await startTestApp({ config: NO_RATE_LIMIT });
+        try {
+            await failAttempts(ctx, 1);
+            assert.equal(ctx.server.cleanupSecurityRecords(), 0);
+
+            ctx.clock.advance(25 * 60 * MINUTE);
+            assert.equal(ctx.server.cleanupSecurityRecords(), 1);
+        } finally {
+            await ctx.close();
+        }
+    });
+
+    test('近期被封禁过的记录保留', async () => {
+        const ctx = await startTestApp({ config: NO_RATE_LIMIT });
+        try {
+            await failAttempts(ctx, 5);
+
+            ctx.clock.advance(25 * 60 * MINUTE);
+            assert.equal(ctx.server.cleanupSecurityRecords(), 0);
+        } finally {
+            await ctx.close();
+        }
+    });
+});
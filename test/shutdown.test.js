@@ -0,0 +1,237 @@
+// test/shutdown.test.js - 优雅关闭（排空处理中的请求）与状态快照的保存和恢复
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { startTestApp, createManualClock, ADMIN_KEY } = require('./helpers');
+const { FileStateStore, MongoStateStore } = require('../state_snapshot');
+const { COLLECTIONS } = require('../db');
+
+const MINUTE = 60 * 1000;
+const NO_RATE_LIMIT = { rateLimitPolicies: [] };
+
+// MongoStateStore 用到的集合操作的内存替身（按 _id 保存文档）
+function createFakeStateDb() {
+    const createCollection = () => {
+        const docs = new Map();
+        return {
+            docs,
+            createIndex: async () => {},
+            findOne: async filter => docs.get(filter._id) || null,
+            find: () => ({ toArray: async () => Array.from(docs.values()).map(({ _id, savedAt, ...rest }) => rest) }),
+            replaceOne: async (filter, replacement) => { docs.set(filter._id, { _id: filter._id, ...replacement }); },
+            bulkWrite: async operations => {
+                for (const { replaceOne } of operations) {
+                    docs.set(replaceOne.filter._id, { _id: replaceOne.filter._id, ...replaceOne.replacement });
+                }
+            },
+            deleteMany: async filter => {
+                for (const id of Array.from(docs.keys())) {
+                    if (!filter._id.$nin.includes(id)) docs.delete(id);
+                }
+            }
+        };
+    };
+    const collections = { [COLLECTIONS.APP_STATE]: createCollection(), [COLLECTIONS.SECURITY_RECORDS]: createCollection() };
+    return { collection: name => collections[name] };
+}
+
+async function failAttempts(ctx, count) {
+    for (let i = 0; i < count; i++) {
+        await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'WRONGCODE' } });
+    }
+}
+
+// 模拟重启：两个应用共用时钟和状态存储
+async function restart(ctx, options = {}) {
+    await ctx.close();
+    return startTestApp({ clock: ctx.clock, state: ctx.state, config: NO_RATE_LIMIT, ...options });
+}
+
+function startWithState(options = {}) {
+    return startTestApp({ config: NO_RATE_LIMIT, ...options });
+}
+
+describe('状态快照', () => {
+    test('重启后被封禁的IP仍然被封禁', async () => {
+        let ctx = await startWithState();
+        await failAttempts(ctx, 5);
+
+        ctx = await restart(ctx);
+        try {
+            const blocked = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'TESTCODE' } });
+            assert.equal(blocked.status, 429);
+            assert.equal(blocked.body.messageCode, 'TOO_MANY_ATTEMPTS');
+
+            // 封禁等级同样保留：到期后再次被封禁时延长
+            ctx.clock.advance(15 * MINUTE + 1000);
+            await failAttempts(ctx, 5);
+            const again = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'TESTCODE' } });
+            assert.equal(again.body.retryAfter, 60 * 60);
+        } finally {
+            await ctx.close();
+        }
+    });
+
+    test('未设置 IP_HASH_SECRET 时重启后仍使用同一密钥，封禁保留', async () => {
+        const env = { IP_HASH_SECRET: '' };
+        let ctx = await startWithState({ env });
+        await failAttempts(ctx, 5);
+        const before = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'TESTCODE' } });
+        assert.equal(before.status, 429);
+
+        ctx = await restart(ctx, { env });
+        try {
+            const after = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'TESTCODE' } });
+            assert.equal(after.status, 429);
+            assert.equal(after.body.messageCode, 'TOO_MANY_ATTEMPTS');
+        } finally {
+            await ctx.close();
+        }
+    });
+
+    test('重启后保留攻击统计和手动封禁', async () => {
+        let ctx = await startWithState();
+        await failAttempts(ctx, 2);
+        await ctx.request('POST', '/api/admin/ban-ip', {
+            body: { ip: '203.0.113.9', reason: 'abuse' },
+            headers: { 'X-Admin-Key': ADMIN_KEY }
+        });
+
+        ctx = await restart(ctx);
+        try {
+            const { body } = await ctx.request('GET', '/');
+            assert.equal(body.security.totalAttempts, 2);
+            assert.equal(body.security.failedAttempts, 2);
+
+            const rules = await ctx.request('GET', '/api/admin/ip-rules', { headers: { 'X-Admin-Key': ADMIN_KEY } });
+            // 封禁列表只包含 IP 哈希
+            assert.deepEqual(rules.body.bans.map(ban => ban.reason), ['abuse']);
+            assert.match(rules.body.bans[0].ip, /^[0-9a-f]{32}$/);
+        } finally {
+            await ctx.close();
+        }
+    });
+
+    test('重启后保留内存存储中访问码的使用记录', async () => {
+        const codes = { SINGLEUSE: { maxUses: 1 } };
+        let ctx = await startWithState({ codes });
+        const first = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'SINGLEUSE' } });
+        assert.equal(first.status, 200);
+        const { deviceId } = first.body;
+
+        ctx = await restart(ctx, { codes });
+        try {
+            const reused = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'SINGLEUSE', deviceId } });
+            assert.equal(reused.status, 200);
+            assert.equal(reused.body.reused, true);
+
+            const other = await ctx.request('POST', '/api/check-access-code', { body: { accessCode: 'SINGLEUSE' } });
+            assert.equal(other.body.messageCode, 'ACCESS_CODE_EXHAUSTED');
+        } finally {
+            await ctx.close();
+        }
+    });
+
+    test('已过期可清理的安全记录不再恢复', async () => {
+        let ctx = await startWithState();
+        await failAttempts(ctx, 1);
+        ctx.clock.advance(25 * 60 * MINUTE);
+
+        ctx = await restart(ctx);
+        try {
+            const { body } = await ctx.request('GET', '/api/health');
+            assert.equal(body.security.monitoredIPs, 0);
+        } finally {
+            await ctx.close();
+        }
+    });
+
+    test('文件存储写入后可还原，时间字段还原为 Date', async () => {
+        const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'darkfactor-state-'));
+        try {
+            const store = new FileStateStore(path.join(dir, 'nested', 'snapshot.json'));
+            await store.init();
+            assert.equal(await store.load(), null);
+
+            const savedAt = createManualClock().now();
+            await store.save({ savedAt, counters: { totalAttempts: 3 }, securityRecords: [{ ip: '198.51.100.1', blockUntil: savedAt }], accessCodes: null });
+
+            const loaded = await store.load();
+            assert.ok(loaded.savedAt instanceof Date);
+            assert.equal(loaded.securityRecords[0].blockUntil.getTime(), savedAt.getTime());
+            assert.equal(loaded.counters.totalAttempts, 3);
+        } finally {
+            await fs.promises.rm(dir, { recursive: true, force: true });
+        }
+    });
+    test('MongoDB 存储保存时删除快照中已没有的记录，重启后不会恢复', async () => {
+        const store = new MongoStateStore(createFakeStateDb(), { retentionMs: 7 * 24 * 60 * MINUTE });
+        await store.init();
+
+        const savedAt = createManualClock().now();
+        const banned = { ip: 'a'.repeat(32), banned: true, bannedAt: savedAt };
+        const monitored = { ip: 'b'.repeat(32), banned: false, failedAttempts: 1 };
+        await store.save({ savedAt, counters: {}, securityRecords: [banned, monitored] });
+        assert.equal((await store.load()).securityRecords.length, 2);
+
+        // 被封禁的记录已在内存中清理
+        await store.save({ savedAt, counters: {}, securityRecords: [monitored] });
+        assert.deepEqual((await store.load()).securityRecords.map(record => record.ip), [monitored.ip]);
+
+        await store.save({ savedAt, counters: {}, securityRecords: [] });
+        assert.deepEqual((await store.load()).securityRecords, []);
+    });
+});
+
+describe('优雅关闭', () => {
+    test('关闭时等待处理中的请求完成', async () => {
+        const ctx = await startTestApp();
+        const body = JSON.stringify({ accessCode: 'TESTCODE' });
+
+        // 先发送请求头和一半请求体，关闭开始后再发送剩余部分
+        const response = new Promise((resolve, reject) => {
+            const req = http.request(`${ctx.baseUrl}/api/check-access-code`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+            }, res => {
+                let data = '';
+                res.on('data', chunk => { data += chunk; });
+                res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+            });
+            req.on('error', reject);
+            req.write(body.slice(0, 10));
+            setTimeout(() => req.end(body.slice(10)), 100);
+        });
+
+        await new Promise(resolve => setTimeout(resolve, 30));
+        const closed = ctx.close();
+
+        const result = await response;
+        assert.equal(result.status, 200);
+        assert.equal(result.body.valid, true);
+        await closed;
+
+        await assert.rejects(fetch(`${ctx.baseUrl}/api/health`));
+    });
+
+    test('超过等待时间的请求被强制断开', async () => {
+        const ctx = await startTestApp({ config: { shutdownTimeoutMs: 100 } });
+
+        const response = new Promise(resolve => {
+            const req = http.request(`${ctx.baseUrl}/api/check-access-code`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Content-Length': 100 }
+            }, () => resolve('response'));
+            req.on('error', () => resolve('error'));
+            req.write('{"accessCode":');
+        });
+
+        await new Promise(resolve => setTimeout(resolve, 30));
+        await ctx.close();
+        assert.equal(await response, 'error');
+    });
+});
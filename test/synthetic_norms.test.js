@@ -0,0 +1,119 @@
+// test/synthetic_norms.test.js - 虚拟常模数据：相同种子可复现，生成的维度具有指定的相关系数
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { DIMENSIONS } = require('../dimensions');
+const { DEFAULT_NORM_PROFILE, mulberry32, cholesky, resolveNormProfile, generateSamples } = require('../synthetic_norms');
+
+function pickScores(sample) {
+    return Object.fromEntries(DIMENSIONS.map(dim => [dim, sample[dim]]));
+}
+
+// 两个维度在样本中的皮尔逊相关系数
+function correlation(samples, a, b) {
+    const mean = dim => samples.reduce((sum, sample) => sum + sample[dim], 0) / samples.length;
+    const meanA = mean(a);
+    const meanB = mean(b);
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (const sample of samples) {
+        covariance += (sample[a] - meanA) * (sample[b] - meanB);
+        varianceA += (sample[a] - meanA) ** 2;
+        varianceB += (sample[b] - meanB) ** 2;
+    }
+    return covariance / Math.sqrt(varianceA * varianceB);
+}
+
+// 单位矩阵上设置指定的相关系数（对称）
+function correlationMatrix(pairs) {
+    const matrix = DIMENSIONS.map((_, i) => DIMENSIONS.map((__, j) => (i === j ? 1 : 0)));
+    for (const [a, b, r] of pairs) {
+        const i = DIMENSIONS.indexOf(a);
+        const j = DIMENSIONS.indexOf(b);
+        matrix[i][j] = r;
+        matrix[j][i] = r;
+    }
+    return matrix;
+}
+
+describe('可复现', () => {
+    test('相同种子得到相同的随机序列', () => {
+        const first = mulberry32(42);
+        const second = mulberry32(42);
+        const values = Array.from({ length: 5 }, () => first());
+
+        assert.deepEqual(Array.from({ length: 5 }, () => second()), values);
+        assert.ok(values.every(value => value >= 0 && value < 1));
+        const other = mulberry32(43);
+        assert.notDeepEqual(Array.from({ length: 5 }, () => other()), values);
+    });
+
+    test('相同种子和参数得到相同的样本，不同种子得到不同的样本', () => {
+        const { profile } = resolveNormProfile();
+        const samples = generateSamples(200, profile, 20250101);
+
+        assert.deepEqual(generateSamples(200, profile, 20250101), samples);
+        assert.notDeepEqual(generateSamples(200, profile, 20250102), samples);
+        // 较少的样本是较多样本的前缀
+        assert.deepEqual(generateSamples(50, profile, 20250101), samples.slice(0, 50));
+    });
+
+    test('人口统计字段使用独立的随机序列，不改变分数部分', () => {
+        // 保留各字段的抽样权重，去掉平均偏移
+        const unshifted = Object.fromEntries(Object.entries(DEFAULT_NORM_PROFILE.demographics)
+            .map(([field, config]) => [field, { weights: config.weights, shifts: {} }]));
+        const withDemographics = generateSamples(100, resolveNormProfile({ demographics: unshifted }).profile, 7);
+        const withoutDemographics = generateSamples(100, resolveNormProfile({ demographics: null }).profile, 7);
+
+        assert.deepEqual(Object.keys(withoutDemographics[0]).sort(), [...DIMENSIONS].sort());
+        assert.deepEqual(withDemographics.map(sample => pickScores(sample)), withoutDemographics);
+    });
+});
+
+describe('相关结构', () => {
+    test('Cholesky 分解还原相关矩阵', () => {
+        const matrix = correlationMatrix([['egoism', 'greed', 0.6], ['mach', 'moral', -0.3]]);
+        const lower = cholesky(matrix);
+
+        for (let i = 0; i < matrix.length; i++) {
+            for (let j = 0; j < matrix.length; j++) {
+                const product = lower[i].reduce((sum, value, k) => sum + value * lower[j][k], 0);
+                assert.ok(Math.abs(product - matrix[i][j]) < 1e-12);
+            }
+        }
+    });
+
+    test('生成的维度具有指定的相关系数', () => {
+        // 标准差较小，截断到 7-35 分的影响可以忽略；取整只使相关系数略微减弱
+        const { profile, error } = resolveNormProfile({
+            means: Object.fromEntries(DIMENSIONS.map(dim => [dim, 21])),
+            sds: Object.fromEntries(DIMENSIONS.map(dim => [dim, 3])),
+            correlations: correlationMatrix([['egoism', 'greed', 0.6], ['mach', 'moral', -0.3]]),
+            demographics: null
+        });
+        assert.equal(error, undefined);
+
+        const samples = generateSamples(5000, profile, 1234);
+
+        assert.ok(Math.abs(correlation(samples, 'egoism', 'greed') - 0.6) < 0.05);
+        assert.ok(Math.abs(correlation(samples, 'mach', 'moral') + 0.3) < 0.05);
+        assert.ok(Math.abs(correlation(samples, 'egoism', 'sadism')) < 0.05);
+    });
+
+    test('默认参数下维度间的相关系数接近载荷的乘积', () => {
+        const { profile } = resolveNormProfile({ demographics: null });
+        const samples = generateSamples(5000, profile, 99);
+
+        // egoism 与 mach 的载荷均为 0.75：相关系数约为 0.5625（取整和截断使其略微减弱）
+        const r = correlation(samples, 'egoism', 'mach');
+        assert.ok(r > 0.5 && r < 0.6, `r = ${r}`);
+    });
+
+    test('不是正定矩阵的相关矩阵被拒绝', () => {
+        const { error } = resolveNormProfile({
+            correlations: correlationMatrix([['egoism', 'greed', 0.9], ['egoism', 'mach', 0.9], ['greed', 'mach', -0.9]])
+        });
+        assert.match(error, /正定/);
+    });
+});
@@ -1,7 +1,12 @@
 // test_api.js - 模拟前端请求的脚本
 
-// 假设服务器运行在本地的 3000 端口
-const API_URL = 'http://localhost:3000/api/rankings';
+// 默认请求本地 8000 端口（与服务器默认端口一致），可通过 API_BASE_URL 指定
+const API_BASE_URL = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 8000}`;
+const API_URL = `${API_BASE_URL}/api/rankings`;
+const CHECK_CODE_URL = `${API_BASE_URL}/api/check-access-code`;
+
+// 排名接口需要会话令牌：先用访问码换取令牌（通过 TEST_ACCESS_CODE 环境变量指定）
+const TEST_ACCESS_CODE = process.env.TEST_ACCESS_CODE;
 
 // 模拟用户的10个原始分数 (7-35 分)
 // 注意：这是随机选取的测试分数，用于验证排名计算
@@ -23,11 +28,25 @@ async function testRankingsAPI() {
         console.log("--- 正在模拟前端请求排名 ---");
         console.log("发送数据:", testUserScores);
         
+        // 0. 验证访问码，获取会话令牌
+        const checkResponse = await fetch(CHECK_CODE_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ accessCode: TEST_ACCESS_CODE })
+        });
+        const checkResult = await checkResponse.json();
+        if (!checkResult.valid) {
+            throw new Error(`访问码验证失败: ${checkResult.message}`);
+        }
+        
         // 1. 发送 POST 请求到你的后端 API
         const response = await fetch(API_URL, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${checkResult.token}`
             },
             // 将分数对象转换成 JSON 字符串发送
             body: JSON.stringify(testUserScores)
@@ -36,7 +55,7 @@ async function testRankingsAPI() {
         // 2. 检查响应是否成功
         if (!response.ok) {
             const errorData = await response.json();
-            throw new Error(`API 返回错误: ${response.status} - ${errorData.error}`);
+            throw new Error(`API 返回错误: ${response.status} - ${errorData.message}`);
         }
 
         // 3. 解析并显示后端返回的排名结果
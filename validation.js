@@ -0,0 +1,184 @@
+// validation.js - 基于 JSON Schema（常用子集）的请求校验与统一错误响应
+
+const { reply, localizeErrors } = require('./i18n');
+const { logger } = require('./logger');
+
+// 支持的关键字：type（可为数组，如 ['string', 'null']）、enum、pattern、format(date-time)、
+// minLength、maxLength、minimum、maximum、properties、required、additionalProperties、items、$ref
+// 错误格式：{ field, code, params }，code 为 i18n 消息代码
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(type, value) {
+    if (Array.isArray(type)) return type.some(item => matchesType(item, value));
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : String(key);
+}
+
+// 查询参数都是字符串，按 schema 声明的类型转换后再校验
+function coerceQueryValue(schema, value) {
+    if (typeof value !== 'string' || !schema) return value;
+    if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+// components: { 名称: schema }，用于解析 { $ref: '#/components/schemas/名称' }
+function validateValue(schema, value, path, components, errors) {
+    if (schema.$ref) {
+        const name = schema.$ref.split('/').pop();
+        return validateValue(components[name], value, path, components, errors);
+    }
+
+    if (schema.type && !matchesType(schema.type, value)) {
+        errors.push({ field: path, code: 'FIELD_TYPE', params: { type: [].concat(schema.type).join(' | ') } });
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ field: path, code: 'FIELD_ENUM', params: { allowed: schema.enum.join(', ') } });
+        return errors;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ field: path, code: 'FIELD_TOO_SHORT', params: { min: schema.minLength } });
+        } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ field: path, code: 'FIELD_TOO_LONG', params: { max: schema.maxLength } });
+        } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ field: path, code: 'FIELD_PATTERN' });
+        } else if (schema.format === 'date-time' && Number.isNaN(new Date(value).getTime())) {
+            errors.push({ field: path, code: 'FIELD_DATE_TIME' });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ field: path, code: 'FIELD_MINIMUM', params: { min: schema.minimum } });
+        } else if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ field: path, code: 'FIELD_MAXIMUM', params: { max: schema.maximum } });
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => validateValue(schema.items, item, joinPath(path, index), components, errors));
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) {
+                errors.push({ field: joinPath(path, name), code: 'FIELD_REQUIRED' });
+            }
+        }
+
+        for (const [name, propertyValue] of Object.entries(value)) {
+            if (propertyValue === undefined) continue;
+
+            if (properties[name]) {
+                validateValue(properties[name], propertyValue, joinPath(path, name), components, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ field: joinPath(path, name), code: 'FIELD_UNKNOWN' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateValue(schema.additionalProperties, propertyValue, joinPath(path, name), components, errors);
+            }
+        }
+    }
+
+    return errors;
+}
+
+// 校验一个请求：spec 为 { body, query, params } 三个可选 schema
+// 返回错误列表（字段名带上 body./query./params. 前缀）
+function validateRequest(spec, req, components) {
+    const errors = [];
+
+    if (spec.params) {
+        validateValue(spec.params, { ...req.params }, 'params', components, errors);
+    }
+
+    if (spec.query) {
+        const properties = spec.query.properties || {};
+        const query = {};
+        for (const [name, value] of Object.entries(req.query || {})) {
+            query[name] = coerceQueryValue(properties[name], value);
+        }
+        validateValue(spec.query, query, 'query', components, errors);
+    }
+
+    if (spec.body) {
+        // 没有请求体时按空对象处理，由 required 报告缺少的字段
+        const body = req.body === undefined ? {} : req.body;
+        validateValue(spec.body, body, 'body', components, errors);
+    }
+
+    return errors;
+}
+
+// 统一的错误响应：{ success: false, messageCode, message, errors? }
+function sendError(req, res, status, code, { params, errors, ...extra } = {}) {
+    const body = { success: false, ...reply(req, code, params), ...extra };
+    if (errors) body.errors = localizeErrors(req, errors);
+    return res.status(status).json(body);
+}
+
+// 创建校验中间件的工厂；onInvalid(req, errors) 在返回 400 之前调用（例如记录失败尝试），
+// extra 为错误响应中附加的字段
+function createValidator(routeSchemas, components) {
+    return function validate(routeKey, { onInvalid, extra } = {}) {
+        const spec = routeSchemas[routeKey];
+        if (!spec) throw new Error(`未定义接口 schema: ${routeKey}`);
+
+        return (req, res, next) => {
+            const errors = validateRequest(spec, req, components);
+            if (errors.length === 0) return next();
+
+            if (onInvalid) onInvalid(req, errors);
+            return sendError(req, res, 400, 'VALIDATION_FAILED', { ...extra, errors });
+        };
+    };
+}
+
+// 开发时校验响应（VALIDATE_RESPONSES=true）：响应与 schema 不符时只打印警告，不影响返回
+function createResponseChecker(routeSchemas, components) {
+    return function checkResponses(req, res, next) {
+        const originalJson = res.json.bind(res);
+        res.json = body => {
+            const routeKey = req.route ? `${req.method} ${req.route.path}` : null;
+            const spec = routeKey && routeSchemas[routeKey];
+            const schema = spec && spec.responses && spec.responses[res.statusCode];
+
+            if (schema) {
+                const errors = validateValue(schema, JSON.parse(JSON.stringify(body)), 'response', components, []);
+                if (errors.length > 0) {
+                    logger.warn('响应与 schema 不符', { route: routeKey, status: res.statusCode, errors: errors.map(error => `${error.field} ${error.code}`) });
+                }
+            }
+            return originalJson(body);
+        };
+        next();
+    };
+}
+
+module.exports = {
+    validateValue,
+    validateRequest,
+    sendError,
+    createValidator,
+    createResponseChecker
+};